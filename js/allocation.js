@@ -3,7 +3,7 @@
 // Planned spend = contracted roster $ + Auction Board Plan $.
 
 import { getAuctionTargets, getRoster, getSettings } from "./storage.js";
-import { getEmptySlotKeys } from "./recommended-targets.js";
+import { getEmptySlotKeys } from "./lineup-planner.js";
 
 function num(v, fallback = 0) {
   const n = Number(v);
@@ -26,7 +26,10 @@ function isStarter(pos) {
   return list.includes("SP");
 }
 
-function classifySpend({ type, pos, dollars }) {
+/**
+ * Spend bucket for a player: "hit", "sp" (any SP eligibility) or "rp".
+ */
+export function classifySpend({ type, pos, dollars }) {
   const t = String(type ?? "hit").toLowerCase() === "pit" ? "pit" : "hit";
   if (t === "hit") return { bucket: "hit", dollars };
   return { bucket: isStarter(pos) ? "sp" : "rp", dollars };
@@ -1,63 +1,30 @@
 // js/auction-data.js
-// Loads auction values CSV with a robust parser (handles quoted commas, etc.)
+// Loads the auction values CSV (parsing lives in csv.js).
 // Also provides pricing helpers for the Auction Board (Base Val → Δ → Adj $).
 
 import { DEFAULT_WEIGHTS } from "./storage.js";
+import { getPlayerKey } from "./player-key.js";
+import { parseCsvObjects } from "./csv.js";
 
-function toNumberMaybe(raw) {
-  const s = String(raw ?? "").trim();
-  if (s === "") return "";
+export { getPlayerKey };
 
-  const cleaned = s.replace(/[$,]/g, "");
-  const n = Number(cleaned);
-  return Number.isFinite(n) ? n : s;
-}
-
-// Minimal CSV parser that handles quoted fields + commas inside quotes
-function parseCSV(text) {
-  const rows = [];
-  let row = [];
-  let field = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const c = text[i];
-    const next = text[i + 1];
-
-    if (c === '"') {
-      if (inQuotes && next === '"') {
-        field += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (!inQuotes && c === ",") {
-      row.push(field);
-      field = "";
-      continue;
-    }
-
-    if (!inQuotes && (c === "\n" || c === "\r")) {
-      if (c === "\r" && next === "\n") i++;
-      row.push(field);
-      rows.push(row);
-      row = [];
-      field = "";
-      continue;
-    }
-
-    field += c;
-  }
-
-  if (field.length || row.length) {
-    row.push(field);
-    rows.push(row);
-  }
+/**
+ * Normalize one auction CSV row in place (name/type aliases + player_key).
+ */
+export function normalizeAuctionRow(obj) {
+  // Your CSV uses "player" and "type"
+  obj.Name = String(obj.player ?? obj.Name ?? obj.name ?? "").trim();
+  obj.name = obj.Name;
+  obj.player = obj.Name; // keep it consistent
+  obj.type = String(obj.type ?? "").trim().toLowerCase();
+  obj.player_key = getPlayerKey({ type: obj.type, Name: obj.Name });
+
+  // Force known text columns to be strings (prevents weird coercion)
+  ["display_role","role_25","role_24","flags","score_bucket","tier","draftable"].forEach((k) => {
+    if (obj[k] != null && obj[k] !== "") obj[k] = String(obj[k]).trim();
+  });
 
-  return rows;
+  return obj;
 }
 
 export async function loadAuctionPlayers() {
@@ -71,32 +38,7 @@ export async function loadAuctionPlayers() {
   }
 
   const text = await res.text();
-  const rows = parseCSV(text.trim());
-  if (!rows.length) return [];
-
-  const headers = rows[0].map((h) => String(h ?? "").trim());
-
-  const players = rows.slice(1).map((values) => {
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = toNumberMaybe(values[i]);
-    });
-
-    // Your CSV uses "player" and "type"
-    obj.Name = String(obj.player ?? obj.Name ?? obj.name ?? "").trim();
-    obj.name = obj.Name;
-    obj.player = obj.Name; // keep it consistent
-    obj.type = String(obj.type ?? "").trim().toLowerCase();
-
-    // Force known text columns to be strings (prevents weird coercion)
-    ["display_role","role_25","role_24","flags","score_bucket","tier","draftable"].forEach((k) => {
-      if (obj[k] != null && obj[k] !== "") obj[k] = String(obj[k]).trim();
-    });
-
-    return obj;
-  });
-
-  return players;
+  return parseCsvObjects(text).map(normalizeAuctionRow);
 }
 
 /* ========================================================================== */
@@ -150,6 +92,7 @@ export function getCatStat(player, cat) {
  */
 export function detectCatStats(samplePlayer) {
   if (!samplePlayer) return false;
+  if (samplePlayer.sgp_cats && typeof samplePlayer.sgp_cats === "object") return true;
   let found = 0;
   for (const cat of ALL_CATS) {
     if (getCatStat(samplePlayer, cat) != null) found++;
@@ -166,11 +109,58 @@ export function getBaseVal26(player) {
 }
 
 /**
- * Compute a weighted value using per-category component columns if present.
- * IMPORTANT: this assumes those per-category columns are already comparable components
- * (normalized contributions), NOT raw stats.
+ * Market price estimate for a player, or null when the CSV has none.
+ * Prefers an explicit "Market Estimate" column, then last year's auction price
+ * (actual, then imputed).
+ */
+export function getMarketEstimate(player) {
+  if (!player) return null;
+  const candidates = [
+    player["Market Estimate"],
+    player.market_estimate,
+    player.auction_price_25,
+    player.auction_price_25_imputed,
+  ];
+  for (const v of candidates) {
+    const n = Number(v);
+    if (v != null && v !== "" && Number.isFinite(n)) return Math.max(0, n);
+  }
+  return null;
+}
+
+/**
+ * Baseline $ value for a player in the given value mode.
+ * - "proj":   auction_value_26 (model value)
+ * - "market": market estimate, falling back to auction_value_26
+ */
+export function getBaselineVal(player, valueMode = "proj") {
+  if (!player) return null;
+  if (String(valueMode).toLowerCase() === "market") {
+    const m = getMarketEstimate(player);
+    if (m != null) return m;
+  }
+  return getBaseVal26(player);
+}
+
+/**
+ * Per-category SGP above replacement (attached by sgp.js), or null.
+ * HIT_CATS says SBN; the engine (and the Strategy page) say SB.
+ */
+function getSgpComponent(player, cat) {
+  const cats = player?.sgp_cats;
+  if (!cats || typeof cats !== "object") return null;
+  const v = cat === "SBN" ? (cats.SBN ?? cats.SB) : cats[cat];
+  const n = Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Compute a weighted value using per-category components if present.
+ * - Prefers SGP components from the valuation engine (player.sgp_cats)
+ * - Otherwise per-category CSV columns, which are assumed to already be
+ *   comparable components (normalized contributions), NOT raw stats.
  *
- * If the CSV does not contain per-cat columns, this returns baseVal unchanged.
+ * If neither exists, this returns baseVal unchanged.
  */
 export function getWeightedVal26(player, weights, hasCatStats) {
   const baseVal = getBaseVal26(player);
@@ -178,22 +168,25 @@ export function getWeightedVal26(player, weights, hasCatStats) {
 
   const w = { ...DEFAULT_WEIGHTS, ...(weights || {}) };
   const cats = normType(player.type) === "pit" ? PIT_CATS : HIT_CATS;
+  const useSgp = !!player.sgp_cats;
 
   let baseScore = 0;
   let weightedScore = 0;
   let any = false;
 
   for (const cat of cats) {
-    const v = getCatStat(player, cat);
+    const v = useSgp ? getSgpComponent(player, cat) : getCatStat(player, cat);
     if (v == null) continue;
     any = true;
 
-    const ww = num(w[cat], 0);
+    // Strategy page saves SB; DEFAULT_WEIGHTS carries SBN.
+    const ww = num(cat === "SBN" ? (w.SB ?? w.SBN) : w[cat], 0);
     baseScore += v;          // implicit weight=1
     weightedScore += v * ww; // weight applied
   }
 
-  if (!any || baseScore === 0) return baseVal;
+  // SGP components can be negative; a replacement-level total has no scale.
+  if (!any || baseScore === 0 || (useSgp && baseScore < 0)) return baseVal;
 
   const scaled = baseVal * (weightedScore / baseScore);
   return Number.isFinite(scaled) ? Math.max(0, scaled) : baseVal;
@@ -209,10 +202,12 @@ export function getWeightedVal26(player, weights, hasCatStats) {
  * - opts:
  *    - hasCatStats: boolean (detectCatStats(players[0]) result)
  *    - caps: { strategyCap, deltaCap }
+ *    - inflation: draft inflation factor (number or { factor }, see inflation.js); default 1
  *
  * Output:
  * {
- *   baseVal, weightedVal,
+ *   rawVal, inflation,
+ *   baseVal, weightedVal,   // both inflation-adjusted
  *   plan, hardMax,
  *   marketDelta, strategyDelta, totalDelta,
  *   adjPrice
@@ -225,8 +220,13 @@ export function computeTargetPricing(target, player, weights, opts = {}) {
   const strategyCap = num(caps.strategyCap, 6); // max $ strategy can move Δ
   const deltaCap = num(caps.deltaCap, 15);      // max total Δ
 
-  const baseVal = getBaseVal26(player);
-  const weightedVal = getWeightedVal26(player, weights, hasCatStats);
+  // Draft inflation scales every $ value the same way (1 = no adjustment).
+  const inflRaw = num(opts.inflation?.factor ?? opts.inflation, 1);
+  const inflation = inflRaw > 0 ? inflRaw : 1;
+
+  const rawVal = getBaseVal26(player);
+  const baseVal = rawVal * inflation;
+  const weightedVal = getWeightedVal26(player, weights, hasCatStats) * inflation;
 
   // Market delta is always "value minus plan"
   const plan = num(target?.plan, 0);
@@ -246,6 +246,8 @@ export function computeTargetPricing(target, player, weights, opts = {}) {
   const adjPrice = Math.min(baseVal + totalDelta, hardMax);
 
   return {
+    rawVal,
+    inflation,
     baseVal,
     weightedVal,
     plan,
@@ -10,10 +10,32 @@ import {
   clearAuctionTargets,
   getSettings,
   setSettings,
+  getDraftLog,
+  getTakenPlayerKeys,
+  getNameAliases,
+  onStateChange,
+  STATE_KEYS,
   DEFAULT_WEIGHTS
 } from "./storage.js";
 
-import { loadAuctionPlayers, computeTargetPricing, detectCatStats as detectCatStatsCsv } from "./auction-data.js";
+import {
+  computeTargetPricing,
+  detectCatStats as detectCatStatsCsv,
+  getWeightedVal26 as getWeightedVal26Csv,
+  getPlayerKey
+} from "./auction-data.js";
+import { loadPlayerRepo, withStats } from "./player-repo.js";
+import { createNameResolver } from "./name-resolver.js";
+import { computeSgpValues, attachSgp } from "./sgp.js";
+import { mountLiveDraft } from "./live-draft.js";
+import { mountLeagueLedger } from "./league-ledger.js";
+import { mountMockDraft } from "./mock-draft.js";
+import { syncAutoWeights } from "./category-targets.js";
+import { getDraftInflation, getInflatedVal26, inflationLabel } from "./inflation.js";
+import { initCompare, refreshCompare } from "./compare.js";
+import { mountRecommendedTargets } from "./recommended-targets.js";
+import { mountDraftRoomPanel } from "./draft-room.js";
+import { mountNominationAdvisor } from "./nomination-advisor.js";
 
 console.log("[auction-page] LOADED v2 weights-test");
 
@@ -88,14 +110,15 @@ function deltaTier(delta) {
 
 // -------------------------
 // Strategy Weights UI
-// NOTE: weights only affect Val26 if the auction CSV includes per-category numeric columns
-// (either raw category components or normalized contributions).
+// NOTE: weights affect Val26 through the SGP engine's per-category components
+// (sgp.js), or per-category numeric columns if the auction CSV ever ships them.
 // -------------------------
 const ALL_CATS = ["OPS","TB","HR","RBI","R","AVG","SBN","IP","QS","K","HLD","SV","ERA","WHIP"];
-const HIT_CATS = ["OPS","TB","HR","RBI","R","AVG","SBN"];
-const PIT_CATS = ["IP","QS","K","HLD","SV","ERA","WHIP"];
 let HAS_CAT_STATS = false;
 
+// Draft inflation (see inflation.js); refreshed on every render.
+let INFLATION = { factor: 1 };
+
 /* ----------------------------- small utilities ---------------------------- */
 
 function norm(s) {
@@ -105,13 +128,6 @@ function norm(s) {
     .toLowerCase();
 }
 
-function normLoose(s) {
-  return norm(s)
-    .replace(/\s+/g, " ")
-    .replace(/[.'’]/g, "")
-    .trim();
-}
-
 function num(v) {
   const x = Number(v);
   return Number.isFinite(x) ? x : 0;
@@ -145,73 +161,13 @@ function weightsAreNeutral(weights) {
   return true;
 }
 
-function getCatStat(p, cat) {
-  if (!p) return null;
-
-  // Common key possibilities
-  const k1 = cat;                       // OPS
-  const k2 = cat.toLowerCase();         // ops
-  const k3 = cat.toUpperCase();         // OPS
-  const k4 = `${cat}_26`;               // OPS_26
-  const k5 = `${cat.toLowerCase()}_26`; // ops_26
-
-  const candidates = [k1, k2, k3, k4, k5];
-
-  for (const k of candidates) {
-    if (p[k] != null && p[k] !== "" && Number.isFinite(Number(p[k]))) return Number(p[k]);
-  }
-  return null;
-}
-
-// Strict: only returns true if the CSV actually contains category stat columns
-function detectCatStats(samplePlayer) {
-  if (!samplePlayer) return false;
-  let found = 0;
-
-  // Require at least 2 cats to reduce false positives
-  for (const cat of ALL_CATS) {
-    const v = getCatStat(samplePlayer, cat);
-    if (v != null) found++;
-    if (found >= 2) return true;
-  }
-  return false;
-}
-
 /**
- * Compute a "weighted Val26" using per-category columns if present.
- * IMPORTANT: This assumes those category columns are already comparable components
- * (e.g., normalized scores / z-ish contributions), NOT raw stats.
- *
- * If you only have a single auction_value_26 (no per-cat columns), weights cannot
- * change value — we return the base value unchanged.
+ * Weighted Val26 (see getWeightedVal26 in auction-data.js).
+ * Weights move value once the SGP engine has attached per-category components
+ * (or the CSV carries its own component columns). Otherwise this is the base value.
  */
 function getWeightedVal26(p, weights) {
-  const baseVal = num(p?.auction_value_26);
-  if (!p || !HAS_CAT_STATS) return baseVal;
-
-  const w = weights || DEFAULT_WEIGHTS;
-  const cats = typeLabel(p.type) === "pit" ? PIT_CATS : HIT_CATS;
-
-  let baseScore = 0;
-  let weightedScore = 0;
-  let any = false;
-
-  for (const cat of cats) {
-    const v = getCatStat(p, cat);
-    if (v == null) continue;
-    any = true;
-
-    const ww = num(w[cat] ?? DEFAULT_WEIGHTS[cat] ?? 0);
-
-    baseScore += v;          // implicit weight=1
-    weightedScore += v * ww; // weight applied
-  }
-
-  if (!any || baseScore === 0) return baseVal;
-
-  // Scale base dollars by ratio of weighted to base score
-  const scaled = baseVal * (weightedScore / baseScore);
-  return Number.isFinite(scaled) ? Math.max(0, scaled) : baseVal;
+  return getWeightedVal26Csv(p, weights || DEFAULT_WEIGHTS, HAS_CAT_STATS);
 }
 
 /* --------------------------- weights panel render -------------------------- */
@@ -306,23 +262,23 @@ function renderWeightsPanel(onChange) {
 /* --------------------------- CSV pool + index ----------------------------- */
 
 let AUCTION_PLAYERS = [];
+let PLAYER_REPO = null;
 let AUCTION_BY_NAME = new Map();
-let AUCTION_BY_NAME_LOOSE = new Map();
+let AUCTION_RESOLVER = createNameResolver([]);
 
 function buildPlayerIndex(players) {
   AUCTION_BY_NAME = new Map();
-  AUCTION_BY_NAME_LOOSE = new Map();
 
   for (const p of players) {
     const name = String(p?.Name ?? p?.player ?? p?.name ?? "").trim();
     if (!name) continue;
 
     const strictKey = norm(name);
-    const looseKey = normLoose(name);
-
     if (!AUCTION_BY_NAME.has(strictKey)) AUCTION_BY_NAME.set(strictKey, p);
-    if (!AUCTION_BY_NAME_LOOSE.has(looseKey)) AUCTION_BY_NAME_LOOSE.set(looseKey, p);
   }
+
+  // Accents, "Last, First", Jr./II, nicknames, saved aliases (Data page)
+  AUCTION_RESOLVER = createNameResolver(players, { aliases: getNameAliases() });
 }
 
 function ensureNameDatalist(players) {
@@ -335,7 +291,7 @@ function ensureNameDatalist(players) {
   }
 
   // cap for Safari performance
-  const capped = players.slice(0, 2500);
+  const capped = getAvailablePlayers(players).slice(0, 2500);
   dl.innerHTML = capped
     .map((p) => {
       const n = String(p?.Name ?? p?.player ?? p?.name ?? "").trim();
@@ -346,9 +302,25 @@ function ensureNameDatalist(players) {
     .join("");
 }
 
+// SGP engine: raw projections → per-category components + engine $.
+// Optional: the board still works off CSV values if projections are missing.
+function attachSgpValues(players, repo) {
+  try {
+    const projections = repo.players.filter((p) => p.stats26).map((p) => withStats(p));
+    const sgp = computeSgpValues(projections);
+    attachSgp(players, sgp);
+  } catch (e) {
+    console.warn("[AUCTION] SGP valuation skipped:", e);
+  }
+}
+
 async function initAuctionPool() {
   try {
-    AUCTION_PLAYERS = await loadAuctionPlayers();
+    // Player repository: auction values joined with projections, 2025 stats and master.csv.
+    const repo = await loadPlayerRepo();
+    PLAYER_REPO = repo;
+    AUCTION_PLAYERS = repo.players.filter((p) => p.sources.auction);
+    attachSgpValues(AUCTION_PLAYERS, repo);
     buildPlayerIndex(AUCTION_PLAYERS);
     ensureNameDatalist(AUCTION_PLAYERS);
 
@@ -365,11 +337,42 @@ async function initAuctionPool() {
     console.error("[AUCTION] Failed to load auction CSV:", e);
     AUCTION_PLAYERS = [];
     AUCTION_BY_NAME = new Map();
-    AUCTION_BY_NAME_LOOSE = new Map();
+    AUCTION_RESOLVER = createNameResolver([]);
     HAS_CAT_STATS = false;
   }
 }
 
+// Players still on the board (not sold in the live draft, not kept by an opponent).
+function getAvailablePlayers(players) {
+  const taken = getTakenPlayerKeys();
+  if (!taken.size) return players;
+  return players.filter((p) => !taken.has(p.player_key));
+}
+
+function saleForTarget(t) {
+  const key = t.player_key || getPlayerKey({ type: typeLabel(t.type), Name: t.name ?? "" });
+  return getDraftLog().sales.find((s) => s.player_key === key) || null;
+}
+
+function renderRecommended() {
+  const s = getSettings();
+  mountRecommendedTargets({
+    players: getAvailablePlayers(AUCTION_PLAYERS),
+    valueMode: s.value_mode ?? "proj",
+    inflation: INFLATION,
+  });
+}
+
+function renderInflation() {
+  const el = document.getElementById("ldInflation");
+  if (!el) return;
+  const i = INFLATION;
+  el.textContent = i.valueLeft > 0
+    ? `Inflation ${inflationLabel(i)} • ${money(i.dollarsLeft)} left for ${money(i.valueLeft)} of value (${i.slotsLeft} slots)`
+    : `Inflation ${inflationLabel(i)}`;
+  el.title = "League $ remaining ÷ value of the best undrafted players that fill the open slots";
+}
+
 function tierFromCsv(n) {
   const x = Number(n);
   if (!Number.isFinite(x)) return "";
@@ -382,25 +385,9 @@ function lookupPlayerByName(name) {
   const strict = norm(name);
   if (strict && AUCTION_BY_NAME.has(strict)) return AUCTION_BY_NAME.get(strict);
 
-  const loose = normLoose(name);
-  if (loose && AUCTION_BY_NAME_LOOSE.has(loose)) return AUCTION_BY_NAME_LOOSE.get(loose);
-
-  // "Last, First" -> "First Last"
-  const raw = String(name ?? "").trim();
-  if (raw.includes(",")) {
-    const parts = raw.split(",").map((s) => s.trim()).filter(Boolean);
-    if (parts.length >= 2) {
-      const flipped = `${parts.slice(1).join(" ")} ${parts[0]}`;
-
-      const flippedStrict = norm(flipped);
-      if (AUCTION_BY_NAME.has(flippedStrict)) return AUCTION_BY_NAME.get(flippedStrict);
-
-      const flippedLoose = normLoose(flipped);
-      if (AUCTION_BY_NAME_LOOSE.has(flippedLoose)) return AUCTION_BY_NAME_LOOSE.get(flippedLoose);
-    }
-  }
-
-  return null;
+  // Same name on a hitter and a pitcher (Ohtani): first one, as before
+  const r = AUCTION_RESOLVER.resolve(name);
+  return r.player || null;
 }
 
 /**
@@ -502,6 +489,11 @@ function getModelChips(p) {
   const baseVal = num(p.auction_value_26);
   const wVal = getWeightedVal26(p, weights);
 
+  if (baseVal > 0 && Math.abs(INFLATION.factor - 1) >= 0.01) {
+    const infl = getInflatedVal26(p, INFLATION);
+    push(`Infl ${money(infl)}`, `Infl <span style="opacity:.95">${money(infl)}</span>`);
+  }
+
   if (baseVal > 0) {
     if (HAS_CAT_STATS && !weightsAreNeutral(weights) && Math.round(wVal) !== Math.round(baseVal)) {
       push(`Val26 ${money(wVal)}`, `Val26 <span style="opacity:.95">${money(wVal)}</span>`);
@@ -514,6 +506,9 @@ function getModelChips(p) {
     }
   }
 
+  const sgpVal = num(p.sgp_value_26);
+  if (sgpVal > 0) push(`SGP ${money(sgpVal)}`, `SGP <span style="opacity:.9">${money(sgpVal)}</span>`);
+
   const draftable = String(p.draftable ?? "").trim();
   if (draftable) push(`Draftable ${draftable}`);
 
@@ -609,7 +604,7 @@ function renderTierSummary(allTargets) {
     // Adj $ is based on Base Val + Δ (market + strategy), capped by hard max.
     const weights = getWeightsSafe();
     const p = lookupPlayerByName(t.name ?? "");
-    const pricing = computeTargetPricing(t, p, weights, { hasCatStats: HAS_CAT_STATS });
+    const pricing = computeTargetPricing(t, p, weights, { hasCatStats: HAS_CAT_STATS, inflation: INFLATION });
     const adjv = Number.isFinite(pricing.adjPrice) ? pricing.adjPrice : 0;
 
     if (plan > 0) byTier[tier].plan += plan;
@@ -687,6 +682,8 @@ function render() {
   if (!tbody) return;
 
   const all = getAuctionTargets();
+  INFLATION = getDraftInflation(AUCTION_PLAYERS);
+  renderInflation();
   renderTierSummary(all);
 
   const filtered = applyFilters(all);
@@ -698,7 +695,7 @@ function render() {
     const weightsNow = getWeightsSafe();
     const adjSum = all.reduce((acc,t)=>{
       const p = lookupPlayerByName(t.name ?? "");
-      const pr = computeTargetPricing(t, p, weightsNow, { hasCatStats: HAS_CAT_STATS });
+      const pr = computeTargetPricing(t, p, weightsNow, { hasCatStats: HAS_CAT_STATS, inflation: INFLATION });
       return acc + (Number.isFinite(pr.adjPrice) ? pr.adjPrice : 0);
     },0);
     meta.textContent = `Targets: ${all.length} (hit ${hit} / pit ${pit}) • Planned: ${money(planSum)} • Adj: ${money(adjSum)}`;
@@ -740,11 +737,23 @@ function render() {
         const newName = input.value;
         updateAuctionTarget(t.id, { name: newName });
         applyCsvAutofill(t.id, newName);
-        render();
       });
 
       td.appendChild(input);
 
+      const sale = saleForTarget(t);
+      if (sale) {
+        const sold = document.createElement("div");
+        sold.className = "small";
+        sold.style.marginTop = "4px";
+        sold.style.fontWeight = "800";
+        sold.textContent = sale.mine
+          ? `Won for ${money(sale.price)}`
+          : `Sold to ${sale.team || "?"} for ${money(sale.price)}`;
+        td.appendChild(sold);
+        tr.style.opacity = "0.6";
+      }
+
       const p = lookupPlayerByName(input.value);
       if (p) window.__HAG_LAST_PLAYER = p;
 
@@ -792,7 +801,6 @@ function render() {
       sel.value = typeLabel(t.type);
       sel.addEventListener("change", () => {
         updateAuctionTarget(t.id, { type: sel.value });
-        render();
       });
       td.appendChild(sel);
       tr.appendChild(td);
@@ -814,7 +822,6 @@ function render() {
 
       input.addEventListener("change", () => {
         updateAuctionTarget(t.id, { pos: input.value });
-        render();
       });
 
       td.appendChild(input);
@@ -833,7 +840,6 @@ function render() {
       sel.value = t.tier ?? "B";
       sel.addEventListener("change", () => {
         updateAuctionTarget(t.id, { tier: sel.value });
-        render();
       });
       td.appendChild(sel);
       tr.appendChild(td);
@@ -842,7 +848,7 @@ function render() {
     // 5) Val / Δ / Adj $ (computed)
     // Uses CSV base value + (market delta vs plan) + small capped strategy bias.
     const weightsNow = getWeightsSafe();
-    const pricing = computeTargetPricing(t, rowPlayer, weightsNow, { hasCatStats: HAS_CAT_STATS });
+    const pricing = computeTargetPricing(t, rowPlayer, weightsNow, { hasCatStats: HAS_CAT_STATS, inflation: INFLATION });
     {
       // Val
       const td = document.createElement("td");
@@ -885,7 +891,6 @@ function render() {
       input.style.width = "90px";
       input.addEventListener("change", () => {
         updateAuctionTarget(t.id, { plan: num(input.value) });
-        render();
       });
       td.appendChild(input);
       tr.appendChild(td);
@@ -903,7 +908,6 @@ function render() {
       input.style.width = "90px";
       input.addEventListener("change", () => {
         updateAuctionTarget(t.id, { max: num(input.value) });
-        render();
       });
       td.appendChild(input);
       tr.appendChild(td);
@@ -921,7 +925,6 @@ function render() {
       input.style.width = "110px";
       input.addEventListener("change", () => {
         updateAuctionTarget(t.id, { enforce: num(input.value) });
-        render();
       });
       td.appendChild(input);
       tr.appendChild(td);
@@ -936,7 +939,6 @@ function render() {
       input.style.width = "260px";
       input.addEventListener("change", () => {
         updateAuctionTarget(t.id, { notes: input.value });
-        render();
       });
       td.appendChild(input);
       tr.appendChild(td);
@@ -952,7 +954,6 @@ function render() {
       btn.textContent = "Remove";
       btn.addEventListener("click", () => {
         removeAuctionTarget(t.id);
-        render();
       });
       td.appendChild(btn);
       tr.appendChild(td);
@@ -1013,6 +1014,47 @@ async function init() {
   render();
   renderDeltaLegendKey();
 
+  // Both panels only write; the state-change handler below redraws them.
+  const ledger = mountLeagueLedger();
+  const liveDraft = mountLiveDraft({ lookup: lookupPlayerByName });
+  renderRecommended();
+  initCompare(AUCTION_PLAYERS);
+
+  const advisor = mountNominationAdvisor({
+    getPlayers: () => AUCTION_PLAYERS,
+    getFactor: () => INFLATION?.factor ?? 1,
+  });
+
+  if (PLAYER_REPO) mountMockDraft({ repo: PLAYER_REPO, lookup: lookupPlayerByName });
+
+  // Shared draft room: room updates land in storage and come back through the bus
+  mountDraftRoomPanel();
+
+  // Any storage write (this page, another page's panel, another tab) redraws the board
+  onStateChange(
+    [STATE_KEYS.targets, STATE_KEYS.draft, STATE_KEYS.roster, STATE_KEYS.settings, STATE_KEYS.league, STATE_KEYS.categoryTargets, STATE_KEYS.nameAliases],
+    ({ keys }) => {
+      // A name alias saved on the Data page: typed names resolve through it
+      if (keys.has(STATE_KEYS.nameAliases)) buildPlayerIndex(AUCTION_PLAYERS);
+      // Category targets with auto weights: re-weight as our roster fills.
+      // That is a settings write of its own, so its batch does the redraw.
+      if (PLAYER_REPO && syncAutoWeights(PLAYER_REPO)) {
+        renderWeightsPanel(() => render());
+        return;
+      }
+      ledger?.refresh();
+      liveDraft?.refresh();
+      ensureNameDatalist(AUCTION_PLAYERS);
+      render();
+      renderRecommended();
+      refreshCompare({ aliases: keys.has(STATE_KEYS.nameAliases) });
+      advisor?.refresh();
+    }
+  );
+
+  document.getElementById("recAffordableOnly")?.addEventListener("change", renderRecommended);
+  document.getElementById("recMaxBid")?.addEventListener("change", renderRecommended);
+
   renderWeightsPanel(() => {
     render();
   });
@@ -1032,12 +1074,10 @@ async function init() {
     if (created?.id) applyCsvAutofill(created.id, created.name);
 
     clearQuickAdd();
-    render();
   });
 
   document.getElementById("btnClearTargets")?.addEventListener("click", () => {
     clearAuctionTargets();
-    render();
   });
 
   ["fType", "fTier", "fSort"].forEach((id) => {
@@ -0,0 +1,478 @@
+// js/backup.js
+// Backup / restore of every toolkit key (hag_*) as one versioned JSON bundle.
+//
+// Bundle (current version):
+// {
+//   app: "hag-toolkit",
+//   version: 2,
+//   exported_at: "2026-03-01T18:00:00.000Z",
+//   checksum: "…",                 // hash of `keys`; catches truncated / hand-edited files
+//   keys: { hag_settings: {...}, hag_roster_v1: [...], ... }
+// }
+//
+// Older bundles are migrated forward on import:
+// - v0: a bare localStorage dump ({ hag_settings: "<json string>", ... })
+// - v1: { version: 1, data: { key: value } } (no checksum)
+//
+// Restore modes:
+// - replace: the device ends up exactly like the bundle (other hag_* keys are removed)
+// - merge:   lists are unioned by id (bundle wins on conflicts), objects are merged
+// Device-only keys (draft room connection, stashed corrupt values) stay out of
+// bundles and are left alone by restores.
+
+import { runMigrations, save, remove, DEVICE_KEYS } from "./storage.js";
+
+export const BACKUP_APP = "hag-toolkit";
+export const BACKUP_VERSION = 2;
+
+const KEY_PREFIX = "hag_";
+
+// Snapshot taken right before a restore (so it can be undone). Never exported.
+const PREV_KEY = "hag_backup_prev_v1";
+
+// Left out of exports and never restored over: the undo snapshot and
+// device-only keys.
+const LOCAL_KEYS = new Set([PREV_KEY, ...DEVICE_KEYS]);
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function parseMaybe(raw) {
+  if (typeof raw !== "string") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Small stable string hash (FNV-1a). Not crypto; just a corruption check.
+ */
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (isPlainObject(v)) {
+    return `{${Object.keys(v)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+export function bundleChecksum(keys) {
+  return hashString(stableStringify(keys || {}));
+}
+
+/* ---------------------------- Reading state ---------------------------- */
+
+/**
+ * Every hag_* key currently in localStorage (except LOCAL_KEYS).
+ */
+export function listToolkitKeys() {
+  const out = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k && k.startsWith(KEY_PREFIX) && !LOCAL_KEYS.has(k)) out.push(k);
+  }
+  return out.sort();
+}
+
+function readKeys() {
+  const keys = {};
+  for (const k of listToolkitKeys()) keys[k] = parseMaybe(localStorage.getItem(k));
+  return keys;
+}
+
+/**
+ * Snapshot of all toolkit state as a bundle.
+ */
+export function createBackup() {
+  const keys = readKeys();
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    checksum: bundleChecksum(keys),
+    keys,
+  };
+}
+
+export function backupFilename(date = new Date()) {
+  const d = date.toISOString().slice(0, 10);
+  return `hag-toolkit-backup-${d}.json`;
+}
+
+/* ------------------------------ Migrations ----------------------------- */
+
+// MIGRATIONS[n] upgrades a version-n bundle to version n + 1.
+const MIGRATIONS = {
+  0: (raw) => {
+    const keys = {};
+    for (const [k, v] of Object.entries(raw)) {
+      if (k.startsWith(KEY_PREFIX)) keys[k] = parseMaybe(v);
+    }
+    return { app: BACKUP_APP, version: 1, data: keys };
+  },
+  1: (b) => {
+    const keys = isPlainObject(b.data) ? b.data : {};
+    return {
+      app: BACKUP_APP,
+      version: 2,
+      exported_at: b.exported_at || "",
+      checksum: bundleChecksum(keys),
+      keys,
+    };
+  },
+};
+
+function detectVersion(b) {
+  if (!isPlainObject(b)) return null;
+  if (b.version == null) {
+    return Object.keys(b).some((k) => k.startsWith(KEY_PREFIX)) ? 0 : null;
+  }
+  const v = Number(b.version);
+  return Number.isInteger(v) && v >= 0 ? v : null;
+}
+
+/**
+ * Parse + validate + migrate a backup file.
+ * Returns { ok, bundle, errors: [], warnings: [], migratedFrom }.
+ */
+export function readBackup(text) {
+  const errors = [];
+  const warnings = [];
+
+  let raw;
+  try {
+    raw = JSON.parse(String(text ?? "").replace(/^\uFEFF/, ""));
+  } catch (e) {
+    return { ok: false, bundle: null, errors: [`Not valid JSON: ${e.message}`], warnings, migratedFrom: null };
+  }
+
+  if (isPlainObject(raw) && raw.app && raw.app !== BACKUP_APP) {
+    errors.push(`This file is from "${raw.app}", not ${BACKUP_APP}.`);
+  }
+
+  const from = detectVersion(raw);
+  if (from == null) errors.push("Not a toolkit backup (no version and no hag_* keys).");
+  else if (from > BACKUP_VERSION) {
+    errors.push(`Backup is version ${from}; this toolkit reads up to version ${BACKUP_VERSION}. Update the toolkit first.`);
+  }
+  if (errors.length) return { ok: false, bundle: null, errors, warnings, migratedFrom: from };
+
+  let bundle = raw;
+  for (let v = from; v < BACKUP_VERSION; v++) bundle = MIGRATIONS[v](bundle);
+
+  if (!isPlainObject(bundle.keys)) {
+    return { ok: false, bundle: null, errors: ["Backup has no keys section."], warnings, migratedFrom: from };
+  }
+
+  // Only a file that was written with a checksum can fail it.
+  if (from === BACKUP_VERSION && bundle.checksum && bundle.checksum !== bundleChecksum(bundle.keys)) {
+    errors.push("Checksum mismatch: the file was truncated or edited. Restore refused.");
+  }
+
+  const foreign = Object.keys(bundle.keys).filter((k) => !k.startsWith(KEY_PREFIX));
+  if (foreign.length) warnings.push(`Ignoring non-toolkit keys: ${foreign.join(", ")}`);
+  if (from < BACKUP_VERSION) warnings.push(`Upgraded from backup version ${from}.`);
+
+  const keys = {};
+  for (const [k, v] of Object.entries(bundle.keys)) {
+    if (k.startsWith(KEY_PREFIX) && !LOCAL_KEYS.has(k)) keys[k] = v;
+  }
+
+  return {
+    ok: errors.length === 0,
+    bundle: { ...bundle, keys },
+    errors,
+    warnings,
+    migratedFrom: from,
+  };
+}
+
+/* -------------------------------- Merge -------------------------------- */
+
+function itemId(x) {
+  if (!isPlainObject(x)) return null;
+  return x.id ?? x.player_key ?? null;
+}
+
+/**
+ * Union two lists: items with an id/player_key are matched on it (incoming wins),
+ * everything else is de-duplicated by value. Incoming order first.
+ */
+function mergeLists(local, incoming) {
+  const out = [];
+  const seen = new Set();
+  const sig = (x) => {
+    const id = itemId(x);
+    return id != null ? `id:${id}` : `v:${stableStringify(x)}`;
+  };
+  for (const x of [...incoming, ...local]) {
+    const s = sig(x);
+    if (seen.has(s)) continue;
+    seen.add(s);
+    out.push(x);
+  }
+  return out;
+}
+
+function mergeValue(local, incoming) {
+  if (local === undefined) return incoming;
+  if (Array.isArray(local) && Array.isArray(incoming)) return mergeLists(local, incoming);
+  if (isPlainObject(local) && isPlainObject(incoming)) {
+    const out = { ...local };
+    for (const [k, v] of Object.entries(incoming)) out[k] = mergeValue(local[k], v);
+    return out;
+  }
+  return incoming;
+}
+
+// Keys whose pieces only make sense together: merge = take the bundle's copy.
+const WHOLE_KEYS = new Set(["hag_league_v1", "hag_lineup_planner_v1"]);
+
+function mergeKey(key, local, incoming) {
+  if (WHOLE_KEYS.has(key)) return incoming;
+  if (key === "hag_draft_log_v1" && isPlainObject(local) && isPlainObject(incoming)) {
+    return {
+      nomination: incoming.nomination ?? local.nomination ?? null,
+      sales: mergeLists(local.sales || [], incoming.sales || []),
+    };
+  }
+  return mergeValue(local, incoming);
+}
+
+function describeValue(v) {
+  if (Array.isArray(v)) return `${v.length} item(s)`;
+  if (isPlainObject(v)) {
+    if (Array.isArray(v.sales)) return `${v.sales.length} sale(s)`;
+    if (Array.isArray(v.teams)) return `${v.teams.length} team(s)`;
+    return `${Object.keys(v).length} field(s)`;
+  }
+  return v == null ? "empty" : "value";
+}
+
+/**
+ * What a restore would do, per key.
+ * Returns { mode, changes: [{ key, action: "add"|"replace"|"merge"|"remove"|"same", from, to }], next }.
+ */
+export function planRestore(bundle, mode = "merge") {
+  const current = readKeys();
+  const incoming = bundle?.keys || {};
+  const next = {};
+  const changes = [];
+
+  const all = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+  for (const key of [...all].sort()) {
+    const has = Object.prototype.hasOwnProperty.call(incoming, key);
+    const local = current[key];
+
+    if (!has) {
+      if (mode === "replace") changes.push({ key, action: "remove", from: describeValue(local), to: "—" });
+      else next[key] = local;
+      continue;
+    }
+
+    const value = mode === "replace" ? incoming[key] : mergeKey(key, local, incoming[key]);
+    next[key] = value;
+
+    let action = "same";
+    if (local === undefined) action = "add";
+    else if (stableStringify(local) !== stableStringify(value)) action = mode === "replace" ? "replace" : "merge";
+    changes.push({ key, action, from: local === undefined ? "—" : describeValue(local), to: describeValue(value) });
+  }
+
+  return { mode, changes, next };
+}
+
+/**
+ * Apply a plan from planRestore(). The current state is snapshotted first so
+ * undoLastRestore() can roll it back.
+ */
+export function applyRestore(plan) {
+  if (!plan?.next) return false;
+
+  save(PREV_KEY, createBackup());
+
+  for (const k of listToolkitKeys()) {
+    if (!Object.prototype.hasOwnProperty.call(plan.next, k)) remove(k);
+  }
+  for (const [k, v] of Object.entries(plan.next)) save(k, v ?? null);
+
+  // A bundle from an older schema gets the storage migrations too.
+  runMigrations();
+  return true;
+}
+
+export function hasUndoSnapshot() {
+  return localStorage.getItem(PREV_KEY) != null;
+}
+
+/**
+ * Put back the state from right before the last restore.
+ */
+export function undoLastRestore() {
+  const res = readBackup(localStorage.getItem(PREV_KEY));
+  if (!res.ok) return false;
+
+  for (const k of listToolkitKeys()) {
+    if (!Object.prototype.hasOwnProperty.call(res.bundle.keys, k)) remove(k);
+  }
+  for (const [k, v] of Object.entries(res.bundle.keys)) save(k, v ?? null);
+  remove(PREV_KEY);
+  runMigrations();
+  return true;
+}
+
+/* --------------------------------- UI ---------------------------------- */
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function downloadJson(obj, filename) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function renderPlan(box, res, plan) {
+  if (!res) {
+    box.innerHTML = "";
+    return;
+  }
+
+  const msgs = [
+    ...res.errors.map((e) => `<div style="color:#ff6b6b;">${escapeHtml(e)}</div>`),
+    ...res.warnings.map((w) => `<div style="opacity:.8;">${escapeHtml(w)}</div>`),
+  ].join("");
+
+  if (!plan) {
+    box.innerHTML = `<div class="small">${msgs}</div>`;
+    return;
+  }
+
+  const rows = plan.changes
+    .map(
+      (c) => `
+        <tr>
+          <td>${escapeHtml(c.key)}</td>
+          <td>${escapeHtml(c.action)}</td>
+          <td>${escapeHtml(c.from)}</td>
+          <td>${escapeHtml(c.to)}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  const when = res.bundle?.exported_at ? ` • exported ${escapeHtml(res.bundle.exported_at.replace("T", " ").slice(0, 16))}` : "";
+
+  box.innerHTML = `
+    <div class="small" style="margin-bottom:8px;">${msgs}<div>Backup v${BACKUP_VERSION}${when}</div></div>
+    <div class="table-wrap">
+      <table class="data-table">
+        <thead><tr><th>Key</th><th>Action</th><th>Now</th><th>After</th></tr></thead>
+        <tbody>${rows || `<tr><td colspan="4" class="small">Nothing to restore.</td></tr>`}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Mount the backup panel (Dashboard).
+ * - onRestore(): called after a restore/undo so the page can re-hydrate
+ */
+export function mountBackupPanel({ onRestore } = {}) {
+  const root = document.getElementById("backupPanel");
+  if (!root) return null;
+
+  const btnExport = document.getElementById("bkExport");
+  const fileInput = document.getElementById("bkFile");
+  const modeSelect = document.getElementById("bkMode");
+  const btnRestore = document.getElementById("bkRestore");
+  const btnUndo = document.getElementById("bkUndo");
+  const status = document.getElementById("bkStatus");
+  const planBox = document.getElementById("bkPlan");
+
+  let res = null;
+  let plan = null;
+
+  const setStatus = (msg) => {
+    if (status) status.textContent = msg;
+  };
+
+  function refresh() {
+    plan = res?.ok ? planRestore(res.bundle, modeSelect?.value || "merge") : null;
+    if (planBox) renderPlan(planBox, res, plan);
+    if (btnRestore) btnRestore.disabled = !plan;
+    if (btnUndo) btnUndo.disabled = !hasUndoSnapshot();
+  }
+
+  btnExport?.addEventListener("click", () => {
+    const bundle = createBackup();
+    downloadJson(bundle, backupFilename());
+    setStatus(`Exported ${Object.keys(bundle.keys).length} key(s) ✓`);
+  });
+
+  fileInput?.addEventListener("change", async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    res = readBackup(await file.text());
+    setStatus(res.ok ? `Loaded ${file.name}` : "Can't restore this file");
+    refresh();
+  });
+
+  modeSelect?.addEventListener("change", refresh);
+
+  btnRestore?.addEventListener("click", () => {
+    if (!plan) return;
+    const msg =
+      plan.mode === "replace"
+        ? "Replace ALL toolkit data on this device with the backup?"
+        : "Merge the backup into this device's toolkit data?";
+    if (!window.confirm(msg)) return;
+
+    applyRestore(plan);
+    res = null;
+    if (fileInput) fileInput.value = "";
+    setStatus("Restored ✓ (Undo puts the previous data back)");
+    refresh();
+    onRestore?.();
+  });
+
+  btnUndo?.addEventListener("click", () => {
+    if (!undoLastRestore()) {
+      setStatus("Nothing to undo");
+      refresh();
+      return;
+    }
+    setStatus("Previous data restored ✓");
+    refresh();
+    onRestore?.();
+  });
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,392 @@
+// js/category-targets.js
+// Category target planner (Strategy page).
+// - Targets: standings goals per category (e.g. 280 HR, 95 QS, 1.18 WHIP),
+//   typed in from past standings or suggested from a league projection
+// - Progress: our projected totals (roster, optionally + Auction Board
+//   targets) vs. each target, on pace for the slots filled so far
+// - Gap closers: available players who close the biggest gaps
+// - Auto weights: gaps can drive the strategy weights (also re-synced by the
+//   Auction Board after every live-draft sale)
+
+import {
+  getCategoryTargets,
+  setCategoryTargets,
+  getCategoryWeights,
+  setCategoryWeights,
+  getRoster,
+  getAuctionTargets,
+  getTakenPlayerKeys,
+  getLeague,
+} from "./storage.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { withStats } from "./player-repo.js";
+import { teamCategoryTotals, higherIsBetter, SGP_HIT_CATS, SGP_PIT_CATS } from "./sgp.js";
+import { buildSimTeams, simulateSeason } from "./season-sim.js";
+
+export const TARGET_CATS = [...SGP_HIT_CATS, ...SGP_PIT_CATS];
+
+const RATIO_CATS = ["AVG", "OPS", "ERA", "WHIP"];
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+function isHitCat(cat) {
+  return SGP_HIT_CATS.includes(cat);
+}
+
+export function fmtCat(cat, v) {
+  if (v == null || !Number.isFinite(Number(v))) return "—";
+  if (cat === "AVG" || cat === "OPS") return num(v).toFixed(3);
+  if (cat === "ERA" || cat === "WHIP") return num(v).toFixed(2);
+  return String(Math.round(num(v)));
+}
+
+/* ------------------------------- Math -------------------------------- */
+
+/**
+ * Our side: roster players (+ Auction Board targets if asked), as stat rows.
+ * Returns { players, keys: Set, hitFilled, pitFilled, totals }.
+ */
+export function projectOurTotals(repo, { includeTargets = false } = {}) {
+  const byKey = repo?.byKey || new Map();
+  const keys = new Set();
+  const players = [];
+
+  const add = (name, type) => {
+    const key = getPlayerKey({ type: typeLabel(type), Name: name });
+    if (!name || keys.has(key)) return;
+    keys.add(key);
+    const rec = byKey.get(key);
+    players.push(rec?.stats26 ? withStats(rec) : { type: typeLabel(type), Name: name });
+  };
+
+  for (const r of getRoster() || []) add(r.name, r.type);
+  if (includeTargets) for (const t of getAuctionTargets() || []) add(t.name, t.type);
+
+  return {
+    players,
+    keys,
+    hitFilled: players.filter((p) => typeLabel(p.type) === "hit").length,
+    pitFilled: players.filter((p) => typeLabel(p.type) === "pit").length,
+    totals: teamCategoryTotals(players),
+  };
+}
+
+/**
+ * Gap per category with a target.
+ *
+ * Counting stats are judged on pace: target × (slots filled ÷ slots) for the
+ * hitter or pitcher side. Ratios are judged against the target directly
+ * (no players on that side yet = no read).
+ *
+ * Returns [{ cat, target, projected, pace, gap, gapPct, need, perSlot, met }]
+ * - gap / gapPct: behind pace (> 0) or ahead (< 0)
+ * - need: what's still missing for the full season (≥ 0)
+ * - perSlot: need spread over the open slots on that side (counting stats)
+ */
+export function computeCategoryGaps({ targets = {}, ours, hitSlots = 14, pitSlots = 9 } = {}) {
+  const out = [];
+  for (const cat of TARGET_CATS) {
+    const target = num(targets[cat], 0);
+    if (!(target > 0)) continue;
+
+    const hit = isHitCat(cat);
+    const filled = hit ? ours.hitFilled : ours.pitFilled;
+    const slots = Math.max(1, hit ? hitSlots : pitSlots);
+    const open = Math.max(0, slots - filled);
+    const projected = ours.totals[cat];
+
+    if (RATIO_CATS.includes(cat)) {
+      if (!filled) {
+        out.push({ cat, target, projected: null, pace: target, gap: 0, gapPct: 0, need: 0, perSlot: null, met: false });
+        continue;
+      }
+      const gap = higherIsBetter(cat) ? target - projected : projected - target;
+      out.push({ cat, target, projected, pace: target, gap, gapPct: gap / target, need: Math.max(0, gap), perSlot: null, met: gap <= 0 });
+      continue;
+    }
+
+    const pace = target * Math.min(1, filled / slots);
+    const gap = pace - projected;
+    const need = Math.max(0, target - projected);
+    out.push({
+      cat,
+      target,
+      projected,
+      pace,
+      gap,
+      gapPct: pace > 0 ? gap / pace : 0,
+      need,
+      perSlot: open ? need / open : null,
+      met: projected >= target,
+    });
+  }
+  return out;
+}
+
+/**
+ * Strategy weights from gaps: on pace = 1.0, 100% behind = 2.0, 100% ahead = 0.
+ * Only categories with a target are returned (the rest keep their weight).
+ */
+export function weightsFromGaps(gaps) {
+  const out = {};
+  for (const g of gaps) {
+    if (g.projected == null) continue;
+    out[g.cat] = Math.round(clamp(1 + g.gapPct, 0, 2) * 10) / 10;
+  }
+  return out;
+}
+
+/**
+ * Available players ranked by how much of our gaps they close.
+ * Each category scores the share of its remaining need the player covers,
+ * scaled up for categories further behind pace.
+ *
+ * Returns [{ player, score, helps: [{ cat, share }] }]
+ */
+export function rankGapClosers({ repo, ours, gaps, takenKeys = new Set(), limit = 15, scan = 400 } = {}) {
+  const open = gaps.filter((g) => g.need > 0);
+  if (!open.length) return [];
+
+  const candidates = (repo?.players || [])
+    .filter((p) => p.sources?.auction && p.stats26 && !takenKeys.has(p.player_key) && !ours.keys.has(p.player_key))
+    .sort((a, b) => getBaseVal26(b) - getBaseVal26(a))
+    .slice(0, scan);
+
+  const rows = candidates.map((rec) => {
+    const p = withStats(rec);
+    const type = typeLabel(p.type);
+    const after = teamCategoryTotals([...ours.players, p]);
+    const helps = [];
+    let score = 0;
+
+    for (const g of open) {
+      if (isHitCat(g.cat) !== (type === "hit")) continue;
+      const before = ours.totals[g.cat];
+      const gain = higherIsBetter(g.cat) ? after[g.cat] - before : before - after[g.cat];
+      if (!(gain > 0)) continue;
+      const share = Math.min(1, gain / g.need);
+      const severity = clamp(0.25 + g.gapPct, 0.25, 1.25);
+      score += share * severity;
+      helps.push({ cat: g.cat, share });
+    }
+
+    helps.sort((a, b) => b.share - a.share);
+    return { player: rec, score, helps };
+  });
+
+  return rows
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Suggested targets: what the team in `place` (default 3rd) would total in
+ * each category if every roster were filled out from the player pool.
+ */
+export function suggestTargets(repo, { place = 3 } = {}) {
+  const { teams } = buildSimTeams(repo, { fill: true });
+  const res = simulateSeason(teams, { iterations: 1, volatility: 0, seed: 1 });
+  const idx = clamp(place, 1, res.teams.length) - 1;
+
+  const out = {};
+  for (const cat of TARGET_CATS) {
+    const totals = res.teams.map((t) => t.cats[cat].total).sort((a, b) => (higherIsBetter(cat) ? b - a : a - b));
+    const v = totals[idx];
+    if (!(v > 0)) continue;
+    out[cat] = cat === "AVG" || cat === "OPS" ? Math.round(v * 1000) / 1000 : cat === "ERA" || cat === "WHIP" ? Math.round(v * 100) / 100 : Math.round(v);
+  }
+  return out;
+}
+
+function currentGaps(repo, cfg = getCategoryTargets()) {
+  const league = getLeague();
+  const ours = projectOurTotals(repo, { includeTargets: cfg.includeTargets });
+  const gaps = computeCategoryGaps({ targets: cfg.targets, ours, hitSlots: league.hitter_slots, pitSlots: league.pitcher_slots });
+  return { ours, gaps };
+}
+
+/**
+ * If auto weights are on, push gap-based weights into the strategy.
+ * Returns the saved weights, or null when auto is off / nothing to set.
+ */
+export function syncAutoWeights(repo) {
+  const cfg = getCategoryTargets();
+  if (!cfg.auto) return null;
+  const w = weightsFromGaps(currentGaps(repo, cfg).gaps);
+  const current = getCategoryWeights();
+  if (!Object.keys(w).some((cat) => weightOf(current, cat) !== w[cat])) return null;
+  return setCategoryWeights(w);
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+function weightOf(weights, cat) {
+  return cat === "SB" ? num(weights.SB ?? weights.SBN, 1) : num(weights[cat], 1);
+}
+
+function renderTable(box, cfg, gaps, ours) {
+  const byCat = new Map(gaps.map((g) => [g.cat, g]));
+  const weights = getCategoryWeights();
+
+  const row = (cat) => {
+    const g = byCat.get(cat);
+    const status = !g
+      ? `<span style="opacity:.5;">No target</span>`
+      : g.projected == null
+        ? `<span style="opacity:.6;">No players yet</span>`
+        : g.met
+          ? `<span class="chip chipNeed">Met</span>`
+          : g.gap > 0
+            ? `<span style="color:#ff6b6b;">Behind ${Math.round(g.gapPct * 100)}%</span>`
+            : `<span>Ahead ${Math.round(-g.gapPct * 100)}%</span>`;
+    return `
+      <tr>
+        <td>${cat}</td>
+        <td style="text-align:right;">
+          <input type="number" step="any" min="0" data-ct-cat="${cat}" value="${cfg.targets[cat] ?? ""}" style="width:90px;" />
+        </td>
+        <td style="text-align:right;">${fmtCat(cat, ours.totals[cat])}</td>
+        <td style="text-align:right;">${g ? fmtCat(cat, g.pace) : "—"}</td>
+        <td style="text-align:right;">${g && g.need > 0 ? fmtCat(cat, g.need) : "—"}</td>
+        <td style="text-align:right;">${g?.perSlot != null && g.need > 0 ? fmtCat(cat, g.perSlot) : "—"}</td>
+        <td style="text-align:right;">${weightOf(weights, cat).toFixed(1)}</td>
+        <td>${status}</td>
+      </tr>
+    `;
+  };
+
+  box.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Cat</th>
+          <th style="text-align:right;">Target</th>
+          <th style="text-align:right;">Projected</th>
+          <th style="text-align:right;">Pace</th>
+          <th style="text-align:right;">Still Need</th>
+          <th style="text-align:right;">Per Open Slot</th>
+          <th style="text-align:right;">Weight</th>
+          <th style="text-align:left;">Status</th>
+        </tr>
+      </thead>
+      <tbody>${TARGET_CATS.map(row).join("")}</tbody>
+    </table>
+  `;
+}
+
+function renderClosers(box, closers) {
+  if (!closers.length) {
+    box.innerHTML = `<div class="small" style="opacity:.6;">Set targets to see which available players close the gaps.</div>`;
+    return;
+  }
+  box.innerHTML = closers
+    .map((r) => {
+      const p = r.player;
+      const helps = r.helps
+        .slice(0, 3)
+        .map((h) => `${h.cat} ${Math.round(h.share * 100)}%`)
+        .join(" • ");
+      return `
+        <div class="small" style="display:flex; justify-content:space-between; gap:10px; padding:4px 0;">
+          <span><strong>${escapeHtml(p.Name)}</strong> <span style="opacity:.7;">${escapeHtml(p.POS || p.type)} • $${Math.round(getBaseVal26(p))}</span></span>
+          <span style="opacity:.85;">${escapeHtml(helps)}</span>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Mount the Category Targets panel.
+ * - repo: loadPlayerRepo() result
+ * - onWeights(weights): called after auto weights are saved
+ * Returns { refresh, setRepo } (setRepo swaps in a re-joined repo).
+ */
+export function mountCategoryTargets({ repo, onWeights } = {}) {
+  const root = document.getElementById("catTargets");
+  if (!root) return null;
+
+  const el = (id) => document.getElementById(id);
+
+  function refresh() {
+    const cfg = getCategoryTargets();
+    if (el("ctAuto")) el("ctAuto").checked = cfg.auto;
+    if (el("ctIncludeTargets")) el("ctIncludeTargets").checked = cfg.includeTargets;
+
+    const weights = syncAutoWeights(repo);
+    if (weights) onWeights?.(weights);
+
+    const { ours, gaps } = currentGaps(repo, cfg);
+    if (el("ctTable")) renderTable(el("ctTable"), cfg, gaps, ours);
+    if (el("ctClosers")) {
+      renderClosers(el("ctClosers"), rankGapClosers({ repo, ours, gaps, takenKeys: getTakenPlayerKeys() }));
+    }
+
+    const meta = el("ctMeta");
+    if (meta) {
+      const league = getLeague();
+      const behind = gaps.filter((g) => g.gap > 0 && !g.met).map((g) => g.cat);
+      meta.textContent = [
+        `Hitters ${ours.hitFilled}/${league.hitter_slots}`,
+        `Pitchers ${ours.pitFilled}/${league.pitcher_slots}`,
+        gaps.length ? (behind.length ? `Behind: ${behind.join(", ")}` : "On pace everywhere") : "No targets set",
+      ].join(" • ");
+    }
+  }
+
+  root.addEventListener("change", (e) => {
+    const cat = e.target?.getAttribute?.("data-ct-cat");
+    const cfg = getCategoryTargets();
+    if (cat) {
+      setCategoryTargets({ ...cfg, targets: { ...cfg.targets, [cat]: e.target.value } });
+    } else if (e.target?.id === "ctAuto") {
+      setCategoryTargets({ ...cfg, auto: e.target.checked });
+    } else if (e.target?.id === "ctIncludeTargets") {
+      setCategoryTargets({ ...cfg, includeTargets: e.target.checked });
+    } else {
+      return;
+    }
+    refresh();
+  });
+
+  el("ctSuggest")?.addEventListener("click", () => {
+    const cfg = getCategoryTargets();
+    const place = num(el("ctPlace")?.value, 3);
+    setCategoryTargets({ ...cfg, targets: { ...suggestTargets(repo, { place }) } });
+    refresh();
+  });
+
+  el("ctClear")?.addEventListener("click", () => {
+    if (!confirm("Clear all category targets?")) return;
+    setCategoryTargets({ ...getCategoryTargets(), targets: {} });
+    refresh();
+  });
+
+  refresh();
+  function setRepo(next) {
+    repo = next;
+  }
+
+  return { refresh, setRepo };
+}
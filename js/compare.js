@@ -4,9 +4,11 @@
 // - Shows identity (team/pos), flags, and side-by-side pricing + key projection cats
 // NOTE: Uses projection/auction master CSV data (NOT 2025 stats).
 
-import { getSettings, getCategoryWeights, getAuctionTargets } from "./storage.js";
+import { getSettings, getCategoryWeights, getAuctionTargets, getNameAliases } from "./storage.js";
 import { normalizeName, getPlayerKey } from "./player-key.js";
+import { createNameResolver } from "./name-resolver.js";
 import { computeTargetPricing, detectCatStats } from "./auction-data.js";
+import { getDraftInflation } from "./inflation.js";
 
 const LS_KEY = "hag_compare_keys_v1";
 const MAX_PLAYERS = 4;
@@ -76,8 +78,11 @@ function getFlags(p) {
 }
 
 function getStat(p, keys) {
-  for (const k of keys) {
-    if (p && Object.prototype.hasOwnProperty.call(p, k) && p[k] !== "") return p[k];
+  // Player repository records keep 2026 projections under stats26.
+  for (const src of [p, p?.stats26]) {
+    for (const k of keys) {
+      if (src && Object.prototype.hasOwnProperty.call(src, k) && src[k] !== "") return src[k];
+    }
   }
   return "";
 }
@@ -122,6 +127,8 @@ let _byKey = new Map();
 let _byLooseName = new Map();
 let _normList = [];
 let _suggestByKey = new Map(); // key -> { name, label }
+let _resolver = createNameResolver([]);
+let _inflation = { factor: 1 }; // draft inflation, refreshed per render
 
 function buildIndexes(players) {
   _players = players || [];
@@ -165,6 +172,8 @@ function buildIndexes(players) {
     _byLooseName.set(n2, key);
     _normList.push({ n: n2, key });
   }
+
+  _resolver = createNameResolver(_players, { aliases: getNameAliases() });
 }
 
 function populateDatalist() {
@@ -260,7 +269,12 @@ function escapeHtml(s) {
 
 function getTargetForKey(key) {
   const targets = getAuctionTargets() || [];
-  return targets.find((t) => String(t?.key) === String(key)) || null;
+  return (
+    targets.find((t) => {
+      const tk = t?.player_key || getPlayerKey({ Name: t?.name, type: t?.type });
+      return String(tk) === String(key);
+    }) || null
+  );
 }
 
 function pricingFor(key, player) {
@@ -274,13 +288,15 @@ function pricingFor(key, player) {
   const out = computeTargetPricing(target, player, weights, {
     hasCatStats,
     valueMode,
-    caps: settings?.caps
+    caps: settings?.caps,
+    inflation: _inflation
   });
 
   return {
+    base: out.rawVal,
     value: out.baseVal,
-    delta: out.adjRaw - out.baseVal,
-    adj: out.adjRaw,
+    delta: out.adjPrice - out.baseVal,
+    adj: out.adjPrice,
     plan: num(target?.plan, 0),
     max: num(target?.max, 0),
     enforce: num(target?.enforce, 0)
@@ -290,6 +306,7 @@ function pricingFor(key, player) {
 function getMetricRows(playersByKey) {
   // Auction math first, then strategy cats. Avoid any 2025 actual columns.
   const rows = [
+    { label: "Base", kind: "money", get: (k, p) => pricingFor(k, p).base },
     { label: "Val", kind: "money", get: (k, p) => pricingFor(k, p).value },
     { label: "Δ", kind: "signed", get: (k, p) => pricingFor(k, p).delta },
     { label: "Adj", kind: "money", get: (k, p) => pricingFor(k, p).adj },
@@ -346,6 +363,7 @@ function render() {
   }
 
   panel.style.setProperty("--cmpCols", String(selected.length));
+  _inflation = getDraftInflation(_players);
 
   const playersByKey = new Map(selected);
   const rows = getMetricRows(playersByKey);
@@ -429,6 +447,15 @@ function render() {
   });
 }
 
+/**
+ * Re-render after draft state changes (sales move inflation).
+ * aliases: saved name aliases changed, so rebuild the name resolver first.
+ */
+export function refreshCompare({ aliases = false } = {}) {
+  if (aliases) _resolver = createNameResolver(_players, { aliases: getNameAliases() });
+  render();
+}
+
 function addByName(name) {
   // If user selected/pasted "Name — TEAM — POS", keep only the name part
   const clean = String(name ?? "").split("—")[0].trim();
@@ -438,7 +465,13 @@ function addByName(name) {
   // 1) Exact match
   let key = _byLooseName.get(q);
 
-  // 2) Partial match fallback (lets you type "Acuna")
+  // 2) Resolver: Jr./II, nicknames, initials, saved aliases
+  if (!key) {
+    const r = _resolver.resolve(clean);
+    if (r.key && _byKey.has(r.key)) key = r.key;
+  }
+
+  // 3) Partial match fallback (lets you type "Acuna")
   if (!key) {
     let best = null;
     for (const item of _normList) {
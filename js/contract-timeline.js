@@ -0,0 +1,284 @@
+// js/contract-timeline.js
+// Future-season contract commitments (Roster page).
+// - Rolls every contract in hag_roster_v1 forward, season by season
+// - Committed $, $ left and open hitter / pitcher slots per season
+// - Contracts expiring each season
+// - What-ifs (release / extend) saved apart from the roster, compared to the
+//   contracts as they stand
+
+import { getRoster, getLeague, getContractMoves, setContractMove, clearContractMoves, getKeeperSettings } from "./storage.js";
+import { CURRENT_SEASON, contractPrices } from "./keeper-value.js";
+
+export const DEFAULT_HORIZON = 4;
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.round(num(n))}`;
+}
+
+function signedMoney(n) {
+  const r = Math.round(num(n));
+  if (!r) return "—";
+  return r > 0 ? `+$${r}` : `−$${-r}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* ------------------------------- Math -------------------------------- */
+
+/**
+ * Seasons one contract pays for, with a modelled move applied.
+ * - release: nothing (cut before this season's auction)
+ * - extend: `years` more seasons from `price` once the current deal ends
+ * Prices rise by the keeper `raise` each season (contractPrices()).
+ * Returns [{ season, price, extended }].
+ */
+export function contractSeasons(row, move = null, raise = getKeeperSettings().raise) {
+  if (!row?.underContract || move?.action === "release") return [];
+
+  const out = contractPrices(row, raise).map((s) => ({ ...s, extended: false }));
+  if (move?.action === "extend") {
+    const left = out.length;
+    for (let i = 0; i < move.years; i++) {
+      out.push({ season: CURRENT_SEASON + left + i, price: num(move.price, 0) + i * num(raise, 0), extended: true });
+    }
+  }
+  return out;
+}
+
+/**
+ * Roll contracts forward.
+ *
+ * Inputs (all optional; defaults read storage):
+ * - roster, moves ({ rosterId: move }), league (budget + slot counts)
+ * - raise: keeper price raise per season (getKeeperSettings())
+ * - horizon: number of seasons, starting with CURRENT_SEASON
+ *
+ * Output:
+ * {
+ *   rows: [{ ...rosterRow, move, seasons: contractSeasons(), lastSeason }],
+ *   seasons: [{
+ *     season, committed, budgetLeft, players,
+ *     openHit, openPit, open,
+ *     expiring: rows whose last paid season this is
+ *   }]
+ * }
+ */
+export function rollContracts({
+  roster = getRoster() || [],
+  moves = getContractMoves(),
+  league = getLeague(),
+  horizon = DEFAULT_HORIZON,
+  raise = getKeeperSettings().raise,
+} = {}) {
+  const rows = roster
+    .filter((r) => r.underContract)
+    .map((r) => {
+      const move = moves[r.id] || null;
+      const seasons = contractSeasons(r, move, raise);
+      return { ...r, move, seasons, lastSeason: seasons.length ? seasons[seasons.length - 1].season : null };
+    });
+
+  const seasons = Array.from({ length: Math.max(1, horizon) }).map((_, i) => {
+    const season = CURRENT_SEASON + i;
+    let committed = 0;
+    let hit = 0;
+    let pit = 0;
+    const expiring = [];
+
+    for (const r of rows) {
+      const s = r.seasons.find((x) => x.season === season);
+      if (!s) continue;
+      committed += s.price;
+      if (r.type === "pit") pit += 1;
+      else hit += 1;
+      if (r.lastSeason === season) expiring.push(r);
+    }
+
+    const openHit = Math.max(0, league.hitter_slots - hit);
+    const openPit = Math.max(0, league.pitcher_slots - pit);
+    return {
+      season,
+      committed,
+      budgetLeft: league.budget - committed,
+      players: hit + pit,
+      openHit,
+      openPit,
+      open: openHit + openPit,
+      expiring,
+    };
+  });
+
+  return { rows, seasons };
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+function renderSeasons(box, now, base) {
+  box.innerHTML = `
+    <table class="table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Season</th>
+          <th style="text-align:right;">Committed</th>
+          <th style="text-align:right;">vs. Current</th>
+          <th style="text-align:right;">$ Left</th>
+          <th style="text-align:right;">Open Slots (H / P)</th>
+          <th style="text-align:left;">Expiring After</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${now.seasons
+          .map((s, i) => {
+            const delta = s.committed - base.seasons[i].committed;
+            const expiring = s.expiring.map((r) => `${escapeHtml(r.name)} (${money(r.seasons[r.seasons.length - 1].price)})`).join(", ");
+            return `
+              <tr>
+                <td>${s.season}</td>
+                <td style="text-align:right;">${money(s.committed)} <span class="small" style="opacity:.7;">(${s.players})</span></td>
+                <td style="text-align:right;">${signedMoney(delta)}</td>
+                <td style="text-align:right;">${s.budgetLeft < 0 ? `<strong>${money(s.budgetLeft)}</strong>` : money(s.budgetLeft)}</td>
+                <td style="text-align:right;">${s.open} <span class="small" style="opacity:.7;">(${s.openHit} / ${s.openPit})</span></td>
+                <td class="small">${expiring || `<span style="opacity:.6;">—</span>`}</td>
+              </tr>
+            `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderGrid(box, now, horizon) {
+  if (!now.rows.length) {
+    box.innerHTML = `<div class="small" style="opacity:.75;">No players under contract.</div>`;
+    return;
+  }
+
+  const seasons = Array.from({ length: horizon }).map((_, i) => CURRENT_SEASON + i);
+  box.innerHTML = `
+    <table class="table" style="min-width: 900px;">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Player</th>
+          <th style="text-align:left;">Contract</th>
+          ${seasons.map((y) => `<th style="text-align:right;">${y}</th>`).join("")}
+          <th style="text-align:left;">What-If</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${now.rows
+          .map((r) => {
+            const id = escapeHtml(r.id);
+            const action = r.move?.action || "keep";
+            const cells = seasons
+              .map((y) => {
+                const s = r.seasons.find((x) => x.season === y);
+                if (!s) return `<td style="text-align:right; opacity:.35;">—</td>`;
+                const tag = r.lastSeason === y ? ` <span class="small" style="opacity:.7;">exp</span>` : "";
+                return `<td style="text-align:right;">${s.extended ? `<em>${money(s.price)}</em>` : money(s.price)}${tag}</td>`;
+              })
+              .join("");
+            return `
+              <tr>
+                <td>${escapeHtml(r.name)} <span class="small" style="opacity:.7;">${escapeHtml(r.pos || r.type)}</span></td>
+                <td>${r.contractYear}/${r.contractTotal}, ${money(r.price)}</td>
+                ${cells}
+                <td>
+                  <select data-tl-move="${id}">
+                    <option value="keep"${action === "keep" ? " selected" : ""}>As signed</option>
+                    <option value="release"${action === "release" ? " selected" : ""}>Release</option>
+                    <option value="extend"${action === "extend" ? " selected" : ""}>Extend</option>
+                  </select>
+                  ${
+                    action === "extend"
+                      ? `<input data-tl-years="${id}" type="number" min="1" max="10" step="1" value="${r.move.years}" style="width:56px;" title="Extra seasons" />
+                         <input data-tl-price="${id}" type="number" min="0" step="1" value="${r.move.price}" style="width:70px;" title="$ in the first extra season (rises by the keeper raise after)" />`
+                      : ""
+                  }
+                </td>
+              </tr>
+            `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Mount the Contract Timeline panel.
+ * Returns { refresh } (call after roster edits).
+ */
+export function mountContractTimeline() {
+  const root = document.getElementById("contractTimeline");
+  if (!root) return null;
+
+  const el = (id) => document.getElementById(id);
+
+  function horizon() {
+    return Math.max(2, Math.min(10, num(el("tlHorizon")?.value, DEFAULT_HORIZON)));
+  }
+
+  function refresh() {
+    const h = horizon();
+    const now = rollContracts({ horizon: h });
+    const base = rollContracts({ horizon: h, moves: {} });
+
+    if (el("tlSeasons")) renderSeasons(el("tlSeasons"), now, base);
+    if (el("tlGrid")) renderGrid(el("tlGrid"), now, h);
+
+    const meta = el("tlMeta");
+    if (meta) {
+      const moved = now.rows.filter((r) => r.move);
+      const next = now.seasons[1];
+      meta.textContent = moved.length
+        ? `What-ifs: ${moved.length} • ${CURRENT_SEASON}: ${signedMoney(now.seasons[0].committed - base.seasons[0].committed)} committed • ${next.season}: ${money(next.budgetLeft)} left, ${next.open} open slots`
+        : `Contracts as signed • ${next.season}: ${money(next.committed)} committed, ${money(next.budgetLeft)} left, ${next.open} open slots`;
+    }
+  }
+
+  root.addEventListener("change", (e) => {
+    const t = e.target;
+    if (t?.id === "tlHorizon") return refresh();
+
+    const moveId = t?.dataset?.tlMove;
+    if (moveId) {
+      const row = (getRoster() || []).find((r) => r.id === moveId);
+      if (t.value === "release") setContractMove(moveId, { action: "release" });
+      else if (t.value === "extend") setContractMove(moveId, { action: "extend", years: 1, price: row?.price ?? 0 });
+      else setContractMove(moveId, null);
+      return refresh();
+    }
+
+    const id = t?.dataset?.tlYears || t?.dataset?.tlPrice;
+    if (id) {
+      const input = (attr, key) => [...root.querySelectorAll(`[${attr}]`)].find((x) => x.dataset[key] === id);
+      setContractMove(id, {
+        action: "extend",
+        years: num(input("data-tl-years", "tlYears")?.value, 1),
+        price: num(input("data-tl-price", "tlPrice")?.value, 0),
+      });
+      refresh();
+    }
+  });
+
+  el("tlReset")?.addEventListener("click", () => {
+    clearContractMoves();
+    refresh();
+  });
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,236 @@
+// js/csv.js
+// Shared CSV parser (RFC 4180) for the browser loaders and the Node tools.
+// - Quoted fields: commas, "" escapes and line breaks inside quotes
+// - CRLF, LF or CR line endings; UTF-8 BOM stripped
+// - Typed column coercion (numbers by default, per-column overrides)
+// - Row-level errors ({ row, message }, row = 1-based line in the file)
+//   instead of throwing, so one bad line never sinks a whole file
+//
+// No imports: tools/*.mjs load this file directly under Node.
+
+/**
+ * Split CSV text into records.
+ * Returns { records: [{ fields: [string], row }], errors: [{ row, message }] }
+ * where row is the line the record starts on.
+ */
+export function parseCsvRecords(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = "";
+  let quoted = false; // inside a quoted field
+  let wasQuoted = false; // current field was quoted (text after the closing quote is an error)
+  let line = 1;
+  let start = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = "";
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    // A blank line is not a record
+    if (!(fields.length === 1 && fields[0] === "")) records.push({ fields, row: start });
+    fields = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (quoted) {
+      if (c === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+        continue;
+      }
+      if (c === "\r" || c === "\n") {
+        if (c === "\r" && src[i + 1] === "\n") i++;
+        field += "\n";
+        line++;
+        continue;
+      }
+      field += c;
+      continue;
+    }
+
+    if (c === ",") {
+      endField();
+      continue;
+    }
+
+    if (c === "\r" || c === "\n") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      start = line;
+      continue;
+    }
+
+    if (c === '"') {
+      if (field === "" && !wasQuoted) {
+        quoted = true;
+        wasQuoted = true;
+        continue;
+      }
+      // Bare quote mid-field (not RFC 4180): keep it as text
+      errors.push({ row: line, message: `Stray quote in field ${fields.length + 1}` });
+      field += c;
+      continue;
+    }
+
+    if (wasQuoted) {
+      errors.push({ row: line, message: `Text after closing quote in field ${fields.length + 1}` });
+      wasQuoted = false;
+    }
+    field += c;
+  }
+
+  if (quoted) errors.push({ row: start, message: "Unterminated quoted field (runs to end of file)" });
+  if (field !== "" || fields.length || wasQuoted) endRecord();
+
+  return { records, errors };
+}
+
+/* ---------------------------- Coercion ---------------------------- */
+
+/**
+ * Default cell coercion: numeric-looking cells become numbers ("$1,200" → 1200),
+ * blanks become "", everything else stays a trimmed string.
+ */
+export function coerceCell(raw) {
+  const s = String(raw ?? "").trim();
+  if (s === "") return "";
+
+  const cleaned = s.replace(/[$,]/g, "");
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : s;
+}
+
+const TRUE_WORDS = new Set(["1", "true", "yes", "y", "x"]);
+const FALSE_WORDS = new Set(["0", "false", "no", "n", ""]);
+
+/**
+ * Coerce one cell to a declared column type.
+ * types: "string" | "number" | "int" | "bool" | "auto" (coerceCell)
+ * Returns { value, error } — error is a message when the cell doesn't fit.
+ */
+export function coerceTyped(raw, type = "auto") {
+  const s = String(raw ?? "").trim();
+
+  if (type === "string") return { value: s, error: "" };
+  if (type === "auto") return { value: coerceCell(s), error: "" };
+
+  if (type === "number" || type === "int") {
+    if (s === "") return { value: "", error: "" };
+    const n = Number(s.replace(/[$,]/g, ""));
+    if (!Number.isFinite(n)) return { value: "", error: `"${s}" is not a number` };
+    if (type === "int" && !Number.isInteger(n)) return { value: Math.trunc(n), error: `"${s}" is not a whole number` };
+    return { value: n, error: "" };
+  }
+
+  if (type === "bool") {
+    const low = s.toLowerCase();
+    if (TRUE_WORDS.has(low)) return { value: true, error: "" };
+    if (FALSE_WORDS.has(low)) return { value: false, error: "" };
+    return { value: false, error: `"${s}" is not yes/no` };
+  }
+
+  return { value: coerceCell(s), error: "" };
+}
+
+/* ---------------------------- Objects ----------------------------- */
+
+// Source line per parsed row, kept off the object so spreads/serialization stay clean.
+const LINES = new WeakMap();
+
+/**
+ * Parse CSV text into row objects keyed by trimmed header.
+ *
+ * Options:
+ * - types: { column: "string" | "number" | "int" | "bool" | "auto" }
+ *   (columns not listed are "auto": numbers when they look like numbers)
+ * - required: [column] — missing ones are reported against the header row
+ *
+ * Output:
+ * {
+ *   headers: [string],
+ *   rows: [object],              // each row also knows its line: rowLine(obj)
+ *   errors: [{ row, message }]   // row 1 = header
+ * }
+ *
+ * Short rows are padded with "", long rows lose the extra cells; both are
+ * reported. Duplicate headers keep the first column.
+ */
+export function parseCsv(text, { types = {}, required = [] } = {}) {
+  const { records, errors } = parseCsvRecords(text);
+  if (!records.length) return { headers: [], rows: [], errors };
+
+  const head = records[0];
+  const headers = head.fields.map((h) => String(h ?? "").trim());
+
+  const seen = new Set();
+  const use = headers.map((h) => {
+    const key = h.toLowerCase();
+    if (h && seen.has(key)) {
+      errors.push({ row: head.row, message: `Duplicate column "${h}" (first one kept)` });
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  for (const col of required) {
+    if (!seen.has(String(col).toLowerCase())) errors.push({ row: head.row, message: `Missing required column "${col}"` });
+  }
+
+  const rows = records.slice(1).map(({ fields, row }) => {
+    if (fields.length !== headers.length) {
+      errors.push({
+        row,
+        message: `${fields.length} field${fields.length === 1 ? "" : "s"}, expected ${headers.length}`,
+      });
+    }
+
+    const obj = {};
+    headers.forEach((h, i) => {
+      if (!use[i]) return;
+      const { value, error } = coerceTyped(fields[i] ?? "", types[h] || "auto");
+      if (error) errors.push({ row, message: `${h}: ${error}` });
+      obj[h] = value;
+    });
+    LINES.set(obj, row);
+    return obj;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { headers, rows, errors };
+}
+
+/** Line a parsed row came from (0 if unknown). */
+export function rowLine(obj) {
+  return LINES.get(obj) || 0;
+}
+
+/**
+ * Rows only (the common case for loaders). Row errors are dropped; call
+ * parseCsv() when they matter.
+ */
+export function parseCsvObjects(text, opts) {
+  return parseCsv(text, opts).rows;
+}
+
+/**
+ * "row 12: message" lines for logs and tool output.
+ */
+export function describeCsvErrors(errors = [], limit = 10) {
+  const lines = errors.slice(0, limit).map((e) => `row ${e.row}: ${e.message}`);
+  if (errors.length > limit) lines.push(`… ${errors.length - limit} more`);
+  return lines;
+}
@@ -0,0 +1,187 @@
+// js/data-page.js
+// Data page: diff two versions of a data CSV (files in data/ or uploaded),
+// plus the Offline Data (offline.js) and Name Matching (name-matching.js) panels.
+// Same diff engine as tools/diff-data.mjs (dataset-diff.js).
+
+import { DATASET_VERSIONS, DIFF_DEFAULTS, diffDatasets, describeDiff } from "./dataset-diff.js";
+import { mountNameMatching } from "./name-matching.js";
+import { mountOfflinePanel } from "./offline.js";
+
+const LIMIT = 100;
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function fmt(v) {
+  if (v === "" || v == null) return "—";
+  return typeof v === "number" ? String(Math.round(v * 1000) / 1000) : String(v);
+}
+
+function el(id) {
+  return document.getElementById(id);
+}
+
+/* ------------------------------ Loading ------------------------------ */
+
+async function readSide(selectId, fileId) {
+  const file = el(fileId)?.files?.[0];
+  if (file) return { label: file.name, text: await file.text() };
+
+  const v = DATASET_VERSIONS.find((x) => x.id === el(selectId)?.value);
+  if (!v) throw new Error("Pick a version or upload a CSV");
+  const res = await fetch(v.url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Failed to load CSV: ${res.status} ${res.statusText} (${v.url})`);
+  return { label: v.label, text: await res.text() };
+}
+
+/* ------------------------------ Render ------------------------------- */
+
+function table(headers, rows) {
+  if (!rows.length) return `<div class="small" style="opacity:.7;">None.</div>`;
+  const more = rows.length > LIMIT ? `<div class="small" style="opacity:.7; margin-top:6px;">… ${rows.length - LIMIT} more</div>` : "";
+  return `
+    <table class="table">
+      <thead><tr>${headers.map((h) => `<th style="text-align:left;">${h}</th>`).join("")}</tr></thead>
+      <tbody>
+        ${rows
+          .slice(0, LIMIT)
+          .map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+          .join("")}
+      </tbody>
+    </table>
+    ${more}
+  `;
+}
+
+function section(title, count, body) {
+  return `
+    <section class="panel" style="margin-top:14px; overflow:auto;">
+      <strong>${escapeHtml(title)}</strong> <span class="small" style="opacity:.7;">(${count})</span>
+      <div style="margin-top:8px;">${body}</div>
+    </section>
+  `;
+}
+
+function renderDiff(diff, { before, after, threshold }) {
+  const who = (p) => `${escapeHtml(p.name)} <span class="small" style="opacity:.7;">${escapeHtml(p.type || "?")}</span>`;
+  const { schema, columns } = diff;
+
+  const schemaBits = [
+    schema.added.length ? `Added: ${schema.added.map(escapeHtml).join(", ")}` : "",
+    schema.removed.length ? `Removed: ${schema.removed.map(escapeHtml).join(", ")}` : "",
+    schema.reordered ? "Columns reordered" : "",
+  ].filter(Boolean);
+
+  const valueMoves = diff.changed.filter((c) => c.value);
+  const tierMoves = diff.changed.filter((c) => c.tier);
+  const flagChanges = diff.changed.filter((c) => c.flags);
+  const other = diff.changed.filter((c) => c.fields.length);
+  const errs = [...diff.errors.before, ...diff.errors.after];
+
+  el("ddMeta").textContent = `${before} → ${after} • ${describeDiff(diff, { threshold })}`;
+
+  el("ddResults").innerHTML = [
+    section(
+      "Columns",
+      schema.added.length + schema.removed.length,
+      schemaBits.length ? `<div class="small">${schemaBits.join("<br />")}</div>` : `<div class="small" style="opacity:.7;">Same columns.</div>`
+    ),
+    section("Added players", diff.added.length, table(["Player", columns.value || "Value", "Tier"], diff.added.map((p) => [who(p), fmt(p.value), fmt(p.tier)]))),
+    section("Removed players", diff.removed.length, table(["Player", columns.value || "Value", "Tier"], diff.removed.map((p) => [who(p), fmt(p.value), fmt(p.tier)]))),
+    columns.value
+      ? section(
+          `${columns.value} moves ≥ $${threshold}`,
+          valueMoves.length,
+          table(
+            ["Player", "Before", "After", "Change"],
+            valueMoves.map((c) => [who(c), fmt(c.value.from), fmt(c.value.to), `<strong>${c.value.delta >= 0 ? "+" : ""}${fmt(c.value.delta)}</strong>`])
+          )
+        )
+      : "",
+    columns.tier
+      ? section("Tier moves", tierMoves.length, table(["Player", "Before", "After"], tierMoves.map((c) => [who(c), fmt(c.tier.from), fmt(c.tier.to)])))
+      : "",
+    columns.flags
+      ? section(
+          "Flag changes",
+          flagChanges.length,
+          table(
+            ["Player", "Added", "Removed"],
+            flagChanges.map((c) => [who(c), escapeHtml(c.flags.added.join(", ")) || "—", escapeHtml(c.flags.removed.join(", ")) || "—"])
+          )
+        )
+      : "",
+    section(
+      "Other changes",
+      other.length,
+      table(
+        ["Player", "Changes"],
+        other.map((c) => [who(c), `<span class="small">${c.fields.map((f) => `${escapeHtml(f.col)} ${escapeHtml(fmt(f.from))} → ${escapeHtml(fmt(f.to))}`).join(" • ")}</span>`])
+      )
+    ),
+    errs.length
+      ? section("CSV problems", errs.length, table(["Row", "Problem"], errs.map((e) => [String(e.row), escapeHtml(e.message)])))
+      : "",
+  ].join("");
+}
+
+/* ------------------------------- Init -------------------------------- */
+
+function fillSelects() {
+  const options = (selected) =>
+    DATASET_VERSIONS.map((v) => `<option value="${v.id}"${v.id === selected ? " selected" : ""}>${escapeHtml(v.label)}</option>`).join("");
+  if (el("ddBefore")) el("ddBefore").innerHTML = options("auction-old");
+  if (el("ddAfter")) el("ddAfter").innerHTML = options("auction");
+  if (el("ddThreshold")) el("ddThreshold").value = String(DIFF_DEFAULTS.threshold);
+  if (el("ddStatPct")) el("ddStatPct").value = String(DIFF_DEFAULTS.statPct * 100);
+}
+
+async function run() {
+  const status = el("ddMeta");
+  status.textContent = "Comparing…";
+  try {
+    const [a, b] = await Promise.all([readSide("ddBefore", "ddBeforeFile"), readSide("ddAfter", "ddAfterFile")]);
+    const threshold = Math.max(0, num(el("ddThreshold")?.value, DIFF_DEFAULTS.threshold));
+    const statPct = Math.max(0, num(el("ddStatPct")?.value, DIFF_DEFAULTS.statPct * 100)) / 100;
+    renderDiff(diffDatasets(a.text, b.text, { threshold, statPct }), { before: a.label, after: b.label, threshold });
+  } catch (e) {
+    console.error("[data-page] diff failed:", e);
+    status.textContent = `Couldn't compare: ${e.message || e}`;
+    el("ddResults").innerHTML = "";
+  }
+}
+
+function init() {
+  fillSelects();
+
+  // Picking the "before" file also pairs "after" with the current version of that file.
+  el("ddBefore")?.addEventListener("change", () => {
+    const v = DATASET_VERSIONS.find((x) => x.id === el("ddBefore").value);
+    const current = DATASET_VERSIONS.find((x) => x.family === v?.family);
+    if (current && current.id !== v.id) el("ddAfter").value = current.id;
+  });
+
+  el("ddRun")?.addEventListener("click", run);
+  run();
+
+  const matching = mountNameMatching();
+  mountOfflinePanel({
+    onUpdate: () => {
+      run();
+      matching?.refresh({ reload: true });
+    },
+  });
+}
+
+init();
@@ -0,0 +1,239 @@
+// js/dataset-diff.js
+// Diff two versions of a data CSV by player key (Data page + tools/diff-data.mjs).
+// - Added / removed players
+// - Value moves beyond a $ threshold (auction_value_26, Market Estimate, …)
+// - Tier moves and flag changes
+// - Other columns: text changes, and numbers moving more than a % threshold
+// - Column schema differences
+//
+// Only imports csv.js and player-key.js (both import-free), so Node can load it.
+
+import { parseCsv } from "./csv.js";
+import { getPlayerKey } from "./player-key.js";
+
+/**
+ * Known versions in data/ (the browser can't list the folder).
+ * family: versions of the same file; the Data page pairs them by default.
+ */
+export const DATASET_VERSIONS = [
+  { id: "auction", family: "auction", label: "Auction values (current)", url: "./data/auction_values_2026_all_players_with_shadow.csv" },
+  { id: "auction-old", family: "auction", label: "Auction values (old.)", url: "./data/old.auction_values_2026_all_players_with_shadow.csv" },
+  { id: "auction-old2", family: "auction", label: "Auction values (old2.)", url: "./data/old2.auction_values_2026_all_players_with_shadow.csv" },
+  { id: "auction-backup", family: "auction", label: "Auction values (backup.)", url: "./data/backup.auction_values_2026_all_players_with_shadow.csv" },
+  { id: "proj", family: "proj", label: "Projections 2026 (current)", url: "./data/hit_pit_2026.csv" },
+  { id: "proj-old", family: "proj", label: "Projections 2026 (.OLD)", url: "./data/hit_pit.2026.OLD.csv" },
+  { id: "master", family: "master", label: "Master (current)", url: "./data/master.csv" },
+  { id: "master-2", family: "master", label: "Master (master.csv-2)", url: "./data/master.csv%20-%20master.csv-2.csv" },
+];
+
+export const DIFF_DEFAULTS = { threshold: 3, statPct: 0.1 };
+
+const NAME_COLUMNS = ["player", "Name", "name"];
+const TYPE_COLUMNS = ["type", "Type"];
+const VALUE_COLUMNS = ["auction_value_26", "Market Estimate", "Proj Anchor"];
+const TIER_COLUMNS = ["tier", "Tier Anchor"];
+const FLAG_COLUMNS = ["flags", "Flags"];
+
+// Identity / label columns stay text even when they look numeric.
+const TEXT_COLUMNS = Object.fromEntries(
+  [...NAME_COLUMNS, ...TYPE_COLUMNS, ...FLAG_COLUMNS, "Team", "POS", "display_role", "Display Role"].map((c) => [c, "string"])
+);
+
+function firstIn(headers, candidates) {
+  return candidates.find((c) => headers.includes(c)) || "";
+}
+
+function splitFlags(raw) {
+  return String(raw ?? "")
+    .split(/[|;]/)
+    .map((f) => f.trim())
+    .filter(Boolean);
+}
+
+function same(a, b) {
+  return String(a ?? "") === String(b ?? "");
+}
+
+function index(parsed) {
+  const { headers, rows } = parsed;
+  const nameCol = firstIn(headers, NAME_COLUMNS);
+  const typeCol = firstIn(headers, TYPE_COLUMNS);
+  const byKey = new Map();
+  let duplicates = 0;
+
+  for (const row of rows) {
+    const name = String(row[nameCol] ?? "").trim();
+    if (!name) continue;
+    const type = String(row[typeCol] ?? "").trim().toLowerCase();
+    const key = getPlayerKey({ type, Name: name });
+    if (byKey.has(key)) {
+      duplicates += 1; // first row wins, like the player repo
+      continue;
+    }
+    byKey.set(key, { key, name, type, row });
+  }
+
+  return { byKey, nameCol, typeCol, duplicates };
+}
+
+/**
+ * Diff two CSV texts (before → after).
+ *
+ * Options:
+ * - threshold: $ move on the value column worth reporting (default 3)
+ * - statPct: relative move on other numeric columns (default 0.1 = 10%)
+ *
+ * Output:
+ * {
+ *   columns: { value, tier, flags },          // the columns used for each check ("" = none)
+ *   schema: { added: [col], removed: [col], reordered },
+ *   added:   [{ key, name, type, value, tier }],
+ *   removed: [{ key, name, type, value, tier }],
+ *   changed: [{
+ *     key, name, type,
+ *     value: { from, to, delta } | null,      // only when |delta| ≥ threshold
+ *     tier:  { from, to } | null,
+ *     flags: { added: [], removed: [] } | null,
+ *     fields: [{ col, from, to }]             // everything else that moved
+ *   }],                                       // biggest value move first
+ *   counts: { before, after, added, removed, changed, valueMoves, tierMoves, flagChanges, duplicates },
+ *   errors: { before: [{ row, message }], after: [...] }
+ * }
+ */
+export function diffDatasets(beforeText, afterText, opts = {}) {
+  const threshold = Math.max(0, Number(opts.threshold ?? DIFF_DEFAULTS.threshold) || 0);
+  const statPct = Math.max(0, Number(opts.statPct ?? DIFF_DEFAULTS.statPct) || 0);
+
+  const a = parseCsv(beforeText, { types: TEXT_COLUMNS });
+  const b = parseCsv(afterText, { types: TEXT_COLUMNS });
+  const ia = index(a);
+  const ib = index(b);
+
+  const shared = a.headers.filter((h) => b.headers.includes(h));
+  const schema = {
+    added: b.headers.filter((h) => !a.headers.includes(h)),
+    removed: a.headers.filter((h) => !b.headers.includes(h)),
+    reordered: shared.join("\u0000") !== b.headers.filter((h) => a.headers.includes(h)).join("\u0000"),
+  };
+
+  const columns = {
+    value: firstIn(shared, VALUE_COLUMNS),
+    tier: firstIn(shared, TIER_COLUMNS),
+    flags: firstIn(shared, FLAG_COLUMNS),
+  };
+  const skip = new Set([ia.nameCol, ia.typeCol, ib.nameCol, ib.typeCol, columns.value, columns.tier, columns.flags]);
+  const fieldCols = shared.filter((h) => h && !skip.has(h));
+
+  const brief = (p, cols) => ({
+    key: p.key,
+    name: p.name,
+    type: p.type,
+    value: cols.value ? p.row[cols.value] : "",
+    tier: cols.tier ? p.row[cols.tier] : "",
+  });
+  const colsA = { value: firstIn(a.headers, VALUE_COLUMNS), tier: firstIn(a.headers, TIER_COLUMNS) };
+  const colsB = { value: firstIn(b.headers, VALUE_COLUMNS), tier: firstIn(b.headers, TIER_COLUMNS) };
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let valueMoves = 0;
+  let tierMoves = 0;
+  let flagChanges = 0;
+
+  for (const [key, p] of ia.byKey) if (!ib.byKey.has(key)) removed.push(brief(p, colsA));
+
+  for (const [key, q] of ib.byKey) {
+    const p = ia.byKey.get(key);
+    if (!p) {
+      added.push(brief(q, colsB));
+      continue;
+    }
+
+    let value = null;
+    if (columns.value) {
+      const from = p.row[columns.value];
+      const to = q.row[columns.value];
+      const delta = (Number(to) || 0) - (Number(from) || 0);
+      if (!same(from, to) && (Math.abs(delta) >= threshold || from === "" || to === "")) {
+        value = { from, to, delta };
+        valueMoves += 1;
+      }
+    }
+
+    let tier = null;
+    if (columns.tier && !same(p.row[columns.tier], q.row[columns.tier])) {
+      tier = { from: p.row[columns.tier], to: q.row[columns.tier] };
+      tierMoves += 1;
+    }
+
+    let flags = null;
+    if (columns.flags) {
+      const fa = splitFlags(p.row[columns.flags]);
+      const fb = splitFlags(q.row[columns.flags]);
+      const lower = (list) => new Set(list.map((f) => f.toLowerCase()));
+      const la = lower(fa);
+      const lb = lower(fb);
+      const plus = fb.filter((f) => !la.has(f.toLowerCase()));
+      const minus = fa.filter((f) => !lb.has(f.toLowerCase()));
+      if (plus.length || minus.length) {
+        flags = { added: plus, removed: minus };
+        flagChanges += 1;
+      }
+    }
+
+    const fields = [];
+    for (const col of fieldCols) {
+      const from = p.row[col];
+      const to = q.row[col];
+      if (same(from, to)) continue;
+      if (typeof from === "number" && typeof to === "number") {
+        const base = Math.max(Math.abs(from), 1e-9);
+        if (Math.abs(to - from) / base < statPct) continue;
+      }
+      fields.push({ col, from, to });
+    }
+
+    if (value || tier || flags || fields.length) {
+      changed.push({ key, name: q.name, type: q.type, value, tier, flags, fields });
+    }
+  }
+
+  changed.sort((x, y) => Math.abs(y.value?.delta ?? 0) - Math.abs(x.value?.delta ?? 0) || x.name.localeCompare(y.name));
+  added.sort((x, y) => (Number(y.value) || 0) - (Number(x.value) || 0));
+  removed.sort((x, y) => (Number(y.value) || 0) - (Number(x.value) || 0));
+
+  return {
+    columns,
+    schema,
+    added,
+    removed,
+    changed,
+    counts: {
+      before: ia.byKey.size,
+      after: ib.byKey.size,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      valueMoves,
+      tierMoves,
+      flagChanges,
+      duplicates: ia.duplicates + ib.duplicates,
+    },
+    errors: { before: a.errors, after: b.errors },
+  };
+}
+
+/**
+ * One-line summary ("+12 / −3 players • 41 value moves ≥ $3 • …").
+ */
+export function describeDiff(diff, { threshold = DIFF_DEFAULTS.threshold } = {}) {
+  const c = diff.counts;
+  const bits = [`${c.before} → ${c.after} players`, `+${c.added} / −${c.removed}`];
+  if (diff.columns.value) bits.push(`${c.valueMoves} ${diff.columns.value} move(s) ≥ $${threshold}`);
+  if (diff.columns.tier) bits.push(`${c.tierMoves} tier move(s)`);
+  if (diff.columns.flags) bits.push(`${c.flagChanges} flag change(s)`);
+  const schema = diff.schema.added.length + diff.schema.removed.length;
+  bits.push(schema ? `${schema} column change(s)` : "same columns");
+  return bits.join(" • ");
+}
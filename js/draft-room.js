@@ -0,0 +1,484 @@
+// js/draft-room.js
+// Draft room client (server: tools/draft-room.mjs) + its Auction Board panel.
+// - Keeps the live draft, our roster and the target board in step with the
+//   room over a WebSocket; local writes are picked up from the state bus
+// - Recorder: enters nominations + sales. Co-editor: target board and notes.
+//   Read-only: follows along (local edits are put back)
+// - Target edits go up as per-field ops; a field someone else changed first
+//   comes back as a conflict the user can settle (room-sync.js)
+// - Offline edits on this page are sent when the room reconnects
+
+import {
+  getDraftLog,
+  getRoster,
+  getAuctionTargets,
+  recalcBudgetRemaining,
+  getDraftRoomSettings,
+  setDraftRoomSettings,
+  save,
+  onStateChange,
+  STATE_KEYS,
+} from "./storage.js";
+import { ROOM_DOCS, ROLE_LABELS, normalizeRole, canWrite, diffTargets } from "./room-sync.js";
+
+const DOC_KEYS = {
+  draft: STATE_KEYS.draft,
+  roster: STATE_KEYS.roster,
+  targets: STATE_KEYS.targets,
+};
+
+const READ = {
+  draft: getDraftLog,
+  roster: getRoster,
+  targets: getAuctionTargets,
+};
+
+const MAX_CONFLICTS = 20;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function fmtTime(ts) {
+  return ts ? new Date(ts).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }) : "";
+}
+
+function fmtValue(v) {
+  if (v == null || v === "") return "—";
+  return typeof v === "object" ? String(v.name ?? "") || "—" : String(v);
+}
+
+/* ------------------------------ Connection ------------------------------- */
+
+const room = {
+  ws: null,
+  wanted: false,
+  status: "off", // off | connecting | live | retry
+  id: 0,
+  role: "",
+  peers: [],
+  docs: {}, // doc → { rev, by, ts }
+  conflicts: [],
+  notice: "",
+  retries: 0,
+  timer: null,
+};
+
+// doc → the room's copy as last adopted / sent (diff base), and its JSON here
+const base = {};
+const synced = {};
+
+const listeners = new Set();
+let subscribed = false;
+
+function notify() {
+  for (const fn of [...listeners]) {
+    try {
+      fn(getDraftRoomStatus());
+    } catch (e) {
+      console.error("[draft-room] listener failed:", e);
+    }
+  }
+}
+
+function setNotice(message) {
+  room.notice = String(message ?? "");
+  notify();
+}
+
+function send(msg) {
+  if (room.ws?.readyState !== 1) return false;
+  room.ws.send(JSON.stringify(msg));
+  return true;
+}
+
+/**
+ * ws(s)://<this page's host>/room when the page came from the room server,
+ * else the default local port.
+ */
+export function defaultRoomUrl() {
+  if (typeof location !== "undefined" && /^https?:$/.test(location.protocol)) {
+    return `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}/room`;
+  }
+  return "ws://localhost:8787/room";
+}
+
+// Take the room's copy of a doc into localStorage (the bus re-renders pages).
+function adopt(doc, value) {
+  if (value == null) return;
+  save(DOC_KEYS[doc], value);
+  if (doc === "roster") recalcBudgetRemaining();
+  const cur = READ[doc]();
+  base[doc] = cur;
+  synced[doc] = JSON.stringify(cur);
+}
+
+/**
+ * Send this device's change to a doc, if any. Returns true if something went up.
+ * Read-only docs are put back to the room's copy instead.
+ */
+function push(doc) {
+  const cur = READ[doc]();
+  const raw = JSON.stringify(cur);
+  if (raw === synced[doc] || room.status !== "live") return false;
+
+  if (!canWrite(room.role, doc)) {
+    if (base[doc] !== undefined) adopt(doc, base[doc]);
+    setNotice(
+      ROOM_DOCS[doc] === "recorder"
+        ? "Only the recorder enters nominations and sales — your change was undone"
+        : "Read-only: the target board follows the room — your change was undone"
+    );
+    return false;
+  }
+
+  let sent;
+  if (doc === "targets") {
+    const ops = diffTargets(base.targets || [], cur);
+    sent = ops.length > 0 && send({ type: "ops", doc, ops });
+  } else {
+    sent = send({ type: "set", doc, value: cur });
+  }
+  base[doc] = cur;
+  synced[doc] = raw;
+  return !!sent;
+}
+
+function subscribe() {
+  if (subscribed) return;
+  subscribed = true;
+  onStateChange(Object.values(DOC_KEYS), ({ keys }) => {
+    for (const [doc, key] of Object.entries(DOC_KEYS)) {
+      if (keys.has(key) || keys.has("*")) push(doc);
+    }
+  });
+}
+
+function onWelcome(msg) {
+  room.status = "live";
+  room.retries = 0;
+  room.id = msg.id;
+  room.role = normalizeRole(msg.role);
+  room.peers = Array.isArray(msg.peers) ? msg.peers : [];
+
+  for (const doc of Object.keys(DOC_KEYS)) {
+    const d = msg.docs?.[doc] || { rev: 0, value: null };
+    room.docs[doc] = { rev: d.rev, by: d.by || "", ts: d.ts || 0 };
+
+    // Reconnect: edits made while the room was away go up first
+    if (synced[doc] !== undefined && push(doc)) continue;
+
+    if (!d.rev && canWrite(room.role, doc)) {
+      // Empty room: the first writer's copy seeds it
+      const cur = READ[doc]();
+      send({ type: "set", doc, value: cur });
+      base[doc] = cur;
+      synced[doc] = JSON.stringify(cur);
+    } else {
+      adopt(doc, d.value);
+    }
+  }
+  notify();
+}
+
+function onMessage(msg) {
+  switch (msg?.type) {
+    case "welcome":
+      onWelcome(msg);
+      break;
+    case "state":
+      if (!DOC_KEYS[msg.doc]) return;
+      room.docs[msg.doc] = { rev: msg.rev, by: msg.by || "", ts: msg.ts || 0 };
+      adopt(msg.doc, msg.value);
+      notify();
+      break;
+    case "peers":
+      room.peers = Array.isArray(msg.peers) ? msg.peers : [];
+      notify();
+      break;
+    case "role":
+      room.role = normalizeRole(msg.role);
+      setDraftRoomSettings({ role: room.role });
+      notify();
+      break;
+    case "conflicts":
+      room.conflicts = [...(msg.items || []).map((c) => ({ ...c, ts: Date.now() })), ...room.conflicts].slice(0, MAX_CONFLICTS);
+      notify();
+      break;
+    case "notice":
+    case "error":
+      setNotice(msg.message);
+      break;
+  }
+}
+
+function scheduleRetry() {
+  clearTimeout(room.timer);
+  room.status = "retry";
+  const wait = Math.min(30000, 1000 * 2 ** room.retries++);
+  room.timer = setTimeout(open, wait);
+  notify();
+}
+
+function open() {
+  clearTimeout(room.timer);
+  if (!room.wanted) return;
+  if (typeof WebSocket === "undefined") {
+    room.wanted = false;
+    setNotice("This browser can't open a draft room connection");
+    return;
+  }
+
+  const { url, name, role } = getDraftRoomSettings();
+  let ws;
+  try {
+    ws = new WebSocket(url || defaultRoomUrl());
+  } catch (e) {
+    room.wanted = false;
+    room.status = "off";
+    setNotice(`Bad room address: ${e.message || e}`);
+    return;
+  }
+
+  room.ws = ws;
+  room.status = "connecting";
+  notify();
+
+  ws.onopen = () => ws.send(JSON.stringify({ type: "hello", name, role }));
+  ws.onmessage = (e) => {
+    let msg;
+    try {
+      msg = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    onMessage(msg);
+  };
+  ws.onclose = () => {
+    if (room.ws !== ws) return;
+    room.ws = null;
+    room.peers = [];
+    if (room.wanted) scheduleRetry();
+    else {
+      room.status = "off";
+      notify();
+    }
+  };
+  ws.onerror = () => {
+    // onclose follows; keep the reason short for the panel
+    room.notice = room.status === "live" ? "Lost the room — reconnecting…" : "Can't reach the room server";
+  };
+}
+
+/**
+ * Join the room with the saved settings (patch them first if given).
+ */
+export function connectDraftRoom(patch) {
+  if (patch) setDraftRoomSettings(patch);
+  setDraftRoomSettings({ auto: true });
+  subscribe();
+  room.wanted = true;
+  room.notice = "";
+  room.retries = 0;
+  const old = room.ws;
+  room.ws = null;
+  old?.close();
+  open();
+}
+
+export function disconnectDraftRoom() {
+  setDraftRoomSettings({ auto: false });
+  room.wanted = false;
+  clearTimeout(room.timer);
+  const ws = room.ws;
+  room.ws = null;
+  room.status = "off";
+  room.peers = [];
+  ws?.close();
+  notify();
+}
+
+/**
+ * Switch role without reconnecting (the server may refuse the recorder slot).
+ */
+export function setDraftRoomRole(role) {
+  const next = normalizeRole(role);
+  setDraftRoomSettings({ role: next });
+  if (!send({ type: "role", role: next })) room.role = next;
+  notify();
+}
+
+export function getDraftRoomStatus() {
+  return {
+    status: room.status,
+    role: room.role,
+    peers: room.peers.map((p) => ({ ...p, me: p.id === room.id })),
+    docs: { ...room.docs },
+    conflicts: [...room.conflicts],
+    notice: room.notice,
+  };
+}
+
+/**
+ * Subscribe to connection / room changes. Returns an unsubscribe function.
+ */
+export function onDraftRoom(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Settle a conflict: "mine" re-sends this device's value over the room's,
+ * "theirs" just drops it (the room's value is already here).
+ */
+export function resolveDraftRoomConflict(index, keep) {
+  const c = room.conflicts[index];
+  if (!c) return;
+  room.conflicts = room.conflicts.filter((_, i) => i !== index);
+
+  if (keep === "mine") {
+    if (c.reason === "edited" && c.field) {
+      send({ type: "ops", doc: "targets", ops: [{ op: "patch", id: c.id, base: { [c.field]: c.theirs }, set: { [c.field]: c.mine } }] });
+    } else if (c.reason === "kept") {
+      const cur = (base.targets || []).find((t) => t.id === c.id);
+      if (cur) send({ type: "ops", doc: "targets", ops: [{ op: "remove", id: c.id, base: cur }] });
+    }
+  }
+  notify();
+}
+
+function describeConflict(c) {
+  const who = c.by ? escapeHtml(c.by) : "someone";
+  const name = `<strong>${escapeHtml(c.name || "a target")}</strong>`;
+  if (c.reason === "duplicate") return `${name} is already on the board — your copy wasn't added`;
+  if (c.reason === "removed") return `${name} was removed from the board — your edit was dropped`;
+  if (c.reason === "kept") return `${name} was edited by ${who} (${escapeHtml(c.field)}) — kept on the board`;
+  return `${name} ${escapeHtml(c.field)}: ${who} set <strong>${escapeHtml(fmtValue(c.theirs))}</strong>, you had <strong>${escapeHtml(fmtValue(c.mine))}</strong>`;
+}
+
+/* --------------------------------- Panel --------------------------------- */
+
+const STATUS_LABELS = {
+  off: "Not connected",
+  connecting: "Connecting…",
+  live: "Live",
+  retry: "Reconnecting…",
+};
+
+export function mountDraftRoomPanel() {
+  const root = document.getElementById("draftRoom");
+  if (!root) return null;
+
+  const el = (id) => root.querySelector(`#${id}`);
+
+  function fillForm() {
+    const s = getDraftRoomSettings();
+    if (el("drUrl") && document.activeElement !== el("drUrl")) {
+      el("drUrl").value = s.url;
+      el("drUrl").placeholder = defaultRoomUrl();
+    }
+    if (el("drName") && document.activeElement !== el("drName")) el("drName").value = s.name;
+    if (el("drRole")) el("drRole").value = s.role;
+  }
+
+  function render() {
+    const st = getDraftRoomStatus();
+    const live = st.status === "live";
+
+    const pill = el("drStatus");
+    if (pill) {
+      pill.textContent = live ? `${STATUS_LABELS.live} • ${ROLE_LABELS[st.role] || st.role}` : STATUS_LABELS[st.status];
+    }
+    if (el("drConnect")) el("drConnect").textContent = st.status === "off" ? "Connect" : "Reconnect";
+    if (el("drDisconnect")) el("drDisconnect").disabled = st.status === "off";
+
+    const meta = el("drMeta");
+    if (meta) {
+      const last = Object.entries(st.docs)
+        .filter(([, d]) => d.ts)
+        .sort((a, b) => b[1].ts - a[1].ts)[0];
+      meta.textContent = [
+        st.notice,
+        last ? `Last update: ${last[1].by || "room"} (${last[0]}) ${fmtTime(last[1].ts)}` : "",
+      ]
+        .filter(Boolean)
+        .join(" • ");
+    }
+
+    const peers = el("drPeers");
+    if (peers) {
+      peers.innerHTML = st.peers.length
+        ? st.peers
+            .map(
+              (p) =>
+                `<span class="pill" title="${escapeHtml(ROLE_LABELS[p.role] || p.role)}">${escapeHtml(p.name)}${p.me ? " (you)" : ""} • ${escapeHtml(ROLE_LABELS[p.role] || p.role)}</span>`
+            )
+            .join(" ")
+        : "";
+    }
+
+    const list = el("drConflicts");
+    if (list) {
+      list.innerHTML = st.conflicts.length
+        ? `
+          <div class="small" style="margin-bottom:6px;">Edits the room didn't take:</div>
+          <table class="table">
+            <tbody>
+              ${st.conflicts
+                .map(
+                  (c, i) => `
+                    <tr>
+                      <td class="small">${describeConflict(c)}</td>
+                      <td style="text-align:right; white-space:nowrap;">
+                        ${c.reason === "edited" || c.reason === "kept" ? `<button class="ghost" type="button" data-dr-mine="${i}">${c.reason === "kept" ? "Remove anyway" : "Use mine"}</button>` : ""}
+                        <button class="ghost" type="button" data-dr-theirs="${i}">${c.reason === "edited" ? "Keep theirs" : "OK"}</button>
+                      </td>
+                    </tr>
+                  `
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `
+        : "";
+    }
+  }
+
+  el("drConnect")?.addEventListener("click", () => {
+    connectDraftRoom({
+      url: String(el("drUrl")?.value ?? "").trim(),
+      name: String(el("drName")?.value ?? "").trim(),
+      role: normalizeRole(el("drRole")?.value),
+    });
+  });
+
+  el("drDisconnect")?.addEventListener("click", disconnectDraftRoom);
+
+  el("drRole")?.addEventListener("change", () => setDraftRoomRole(el("drRole").value));
+
+  el("drName")?.addEventListener("change", () => setDraftRoomSettings({ name: String(el("drName").value ?? "").trim() }));
+
+  el("drConflicts")?.addEventListener("click", (e) => {
+    const mine = e.target.closest("[data-dr-mine]");
+    const theirs = e.target.closest("[data-dr-theirs]");
+    if (mine) resolveDraftRoomConflict(Number(mine.dataset.drMine), "mine");
+    else if (theirs) resolveDraftRoomConflict(Number(theirs.dataset.drTheirs), "theirs");
+  });
+
+  onDraftRoom(() => {
+    fillForm();
+    render();
+  });
+  onStateChange([STATE_KEYS.draftRoom], ({ remote }) => remote && fillForm());
+
+  fillForm();
+  render();
+  if (getDraftRoomSettings().auto) connectDraftRoom();
+
+  return { refresh: render };
+}
@@ -0,0 +1,165 @@
+// js/enforce-tracker.js
+// Enforce prices (target.enforce) during the live auction.
+// - enforceAdvice(): is the bid on the block below our enforce price, and
+//   should we push it (budget, max bid, rivals who can still top us)?
+// - getEnforceStats(): how our enforce pushes ended — rival paid more, or the
+//   push stuck us with the player (sales carry `enforced`, see storage.js)
+
+import { getDraftLog, getAuctionTargets, getMyTeamName, findAuctionTarget } from "./storage.js";
+import { getLedger } from "./league-ledger.js";
+
+// Stuck this often (with at least MIN_PUSHES pushes) → advise caution.
+export const STUCK_WARN_RATE = 0.5;
+const MIN_PUSHES = 2;
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function sameTeam(a, b) {
+  return String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+}
+
+/* -------------------------------- Stats --------------------------------- */
+
+/**
+ * Outcome of every sale we pushed as an enforce bid.
+ * {
+ *   pushes, stuck, stuckRate,
+ *   stuckSpend,        // $ paid for players a push left us holding
+ *   stuckOverMax,      // … of which above our max for them
+ *   extraPaid,         // $ rivals paid over the bid we pushed from
+ *   stuckPlayers: [sale]
+ * }
+ */
+export function getEnforceStats(sales = getDraftLog().sales) {
+  const pushes = sales.filter((s) => s.enforced);
+  const stuck = pushes.filter((s) => s.mine);
+  const forced = pushes.filter((s) => !s.mine);
+
+  return {
+    pushes: pushes.length,
+    stuck: stuck.length,
+    stuckRate: pushes.length ? stuck.length / pushes.length : 0,
+    stuckSpend: stuck.reduce((acc, s) => acc + num(s.price), 0),
+    stuckOverMax: stuck.reduce((acc, s) => acc + Math.max(0, num(s.price) - num(s.enforced.max)), 0),
+    extraPaid: forced.reduce((acc, s) => acc + Math.max(0, num(s.price) - num(s.enforced.from)), 0),
+    stuckPlayers: stuck,
+  };
+}
+
+export function describeEnforceStats(stats) {
+  if (!stats?.pushes) return "No enforce pushes yet";
+  const parts = [
+    `Enforce pushes: ${stats.pushes}`,
+    `stuck with ${stats.stuck} (${Math.round(stats.stuckRate * 100)}%, ${money(stats.stuckSpend)}${stats.stuckOverMax ? `, ${money(stats.stuckOverMax)} over max` : ""})`,
+    `rivals paid ${money(stats.extraPaid)} more`,
+  ];
+  return parts.join(" • ");
+}
+
+/* -------------------------------- Advice -------------------------------- */
+
+export function findEnforceTarget(nomination, targets = getAuctionTargets()) {
+  const t = findAuctionTarget(nomination, targets);
+  return t && num(t.enforce) > 0 ? t : null;
+}
+
+/**
+ * Pure advice for the player on the block (null if it has no enforce price).
+ *
+ * {
+ *   enforce, bid, next, below,           // next = the bid a push would make
+ *   action: "push" | "careful" | "hold" | "met" | "ours",
+ *   ourMaxBid, canWinAtEnforce, leftAfter, slotsAfter,
+ *   rivals: [ledger team],                // rivals who could top our push
+ *   reasons: []
+ * }
+ */
+export function enforceAdvice({ nomination, target, ledger, stats, myTeam = "" } = {}) {
+  if (!nomination || !target || !(num(target.enforce) > 0)) return null;
+
+  const type = typeLabel(nomination.type);
+  const enforce = num(target.enforce);
+  const max = num(target.max);
+  const bid = num(nomination.bid);
+  const next = bid + 1;
+  const below = bid < enforce;
+
+  const me = ledger?.teams?.find((t) => t.mine) || null;
+  const ourOpen = me ? (type === "pit" ? me.pitOpen : me.hitOpen) : 0;
+  const ourMaxBid = me ? (type === "pit" ? me.maxBidPit : me.maxBidHit) : 0;
+  const key = type === "pit" ? "maxBidPit" : "maxBidHit";
+  const rivals = (ledger?.teams || []).filter((t) => !t.mine && t[key] > next).sort((a, b) => b[key] - a[key]);
+
+  const canWinAtEnforce = ourOpen > 0 && ourMaxBid >= enforce;
+  const leftAfter = me ? me.remaining - enforce : 0;
+  const slotsAfter = me ? Math.max(0, me.openSlots - 1) : 0;
+  const weLead = myTeam && sameTeam(nomination.bidder, myTeam);
+
+  const out = { enforce, bid, next, below, action: "hold", ourMaxBid, canWinAtEnforce, leftAfter, slotsAfter, rivals, reasons: [] };
+  const r = out.reasons;
+
+  if (!below) {
+    out.action = "met";
+    r.push(`Bid ${money(bid)} has reached our enforce ${money(enforce)} — stop pushing`);
+    if (weLead && bid > max) r.push(`We hold it above our max (${money(max)}) — this is where a push sticks us`);
+    return out;
+  }
+
+  r.push(`Bid ${money(bid)} is ${money(enforce - bid)} below our enforce ${money(enforce)}`);
+
+  if (weLead) {
+    out.action = "ours";
+    r.push(`We're the high bid — let a rival answer before pushing again`);
+    return out;
+  }
+  if (ourOpen <= 0 || ourMaxBid < next) {
+    r.push(ourOpen <= 0 ? `No open ${type === "pit" ? "pitcher" : "hitter"} slot — we can't bid` : `Our max bid is ${money(ourMaxBid)} — we can't push`);
+    return out;
+  }
+  if (!rivals.length) {
+    r.push(`No rival can go past ${money(next)} — a push would stick us with the player`);
+    return out;
+  }
+
+  const names = rivals
+    .slice(0, 3)
+    .map((t) => `${t.name} (max ${money(t[key])})`)
+    .join(", ");
+  r.push(`${rivals.length} rival(s) can top ${money(next)}: ${names}${rivals.length > 3 ? ", …" : ""}`);
+
+  if (canWinAtEnforce) {
+    r.push(`Winning at ${money(enforce)} leaves ${money(leftAfter)} for ${slotsAfter} slot(s)${max && enforce > max ? ` (${money(enforce - max)} over our max)` : ""}`);
+  } else {
+    r.push(`We can only go to ${money(ourMaxBid)} — stop there, short of enforce`);
+  }
+
+  const stuckOften = stats && stats.pushes >= MIN_PUSHES && stats.stuckRate >= STUCK_WARN_RATE;
+  if (stuckOften) r.push(`Pushes have stuck us ${stats.stuck} of ${stats.pushes} times`);
+
+  // A rival who can pay the full enforce price is the one likely to answer
+  const answered = rivals.some((t) => t[key] >= enforce);
+  out.action = canWinAtEnforce && answered && !stuckOften ? "push" : "careful";
+  if (out.action === "careful" && !answered) r.push(`No rival can pay the full ${money(enforce)} — push only a little`);
+  return out;
+}
+
+/**
+ * Advice for whatever is on the block right now, from saved state.
+ */
+export function getEnforceAdvice() {
+  const nomination = getDraftLog().nomination;
+  const target = findEnforceTarget(nomination);
+  if (!target) return null;
+  return enforceAdvice({ nomination, target, ledger: getLedger(), stats: getEnforceStats(), myTeam: getMyTeamName() });
+}
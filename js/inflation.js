@@ -0,0 +1,96 @@
+// js/inflation.js
+// Draft inflation: re-price auction_value_26 as the room over/under-pays.
+//
+// factor = $ left across the league / value of the undrafted players who will
+// fill the remaining slots. A factor above 1 means the room has money to burn
+// (players will go for more than sticker); below 1 means teams are tapped out.
+
+import { getRoster, getTakenPlayerKeys } from "./storage.js";
+import { getLedger } from "./league-ledger.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const NEUTRAL = {
+  factor: 1,
+  dollarsLeft: 0,
+  valueLeft: 0,
+  slotsLeft: 0,
+  poolSize: 0,
+};
+
+/**
+ * Pure inflation math.
+ *
+ * Inputs:
+ * - players: auction CSV rows (need player_key / Name + type, auction_value_26)
+ * - dollarsLeft: $ remaining summed across every team
+ * - slotsLeft: open roster slots summed across every team
+ * - takenKeys: Set of player keys no longer available (sold + kept)
+ *
+ * Only the top `slotsLeft` undrafted players by value are counted: that is the
+ * pool the remaining dollars will actually be spent on.
+ */
+export function computeInflation({ players = [], dollarsLeft = 0, slotsLeft = 0, takenKeys = new Set() } = {}) {
+  if (!players.length || slotsLeft <= 0) return { ...NEUTRAL, dollarsLeft, slotsLeft };
+
+  const values = [];
+  for (const p of players) {
+    const key = p.player_key || getPlayerKey({ type: p.type, Name: p.Name ?? p.name });
+    if (takenKeys.has(key)) continue;
+    const v = getBaseVal26(p);
+    if (v > 0) values.push(v);
+  }
+
+  values.sort((a, b) => b - a);
+  const pool = values.slice(0, slotsLeft);
+  const valueLeft = pool.reduce((acc, v) => acc + v, 0);
+
+  if (valueLeft <= 0 || dollarsLeft <= 0) {
+    return { ...NEUTRAL, dollarsLeft, slotsLeft, valueLeft, poolSize: pool.length };
+  }
+
+  return {
+    factor: dollarsLeft / valueLeft,
+    dollarsLeft,
+    valueLeft,
+    slotsLeft,
+    poolSize: pool.length,
+  };
+}
+
+/**
+ * Inflation from the saved league, live-draft sales, opponents' keepers and
+ * our contracted roster.
+ */
+export function getDraftInflation(players) {
+  const ledger = getLedger();
+  const dollarsLeft = ledger.teams.reduce((acc, t) => acc + t.remaining, 0);
+  const slotsLeft = ledger.teams.reduce((acc, t) => acc + t.openSlots, 0);
+
+  const takenKeys = getTakenPlayerKeys();
+  for (const r of getRoster() || []) {
+    if (!r.underContract) continue;
+    takenKeys.add(getPlayerKey({ type: r.type, Name: r.name }));
+  }
+
+  return computeInflation({ players, dollarsLeft, slotsLeft, takenKeys });
+}
+
+/**
+ * Inflation-adjusted value for one player (the board's "Infl" price and the
+ * nomination advisor). inflation: computeInflation() result or a bare factor.
+ */
+export function getInflatedVal26(player, inflation) {
+  return getBaseVal26(player) * num(inflation?.factor ?? inflation, 1);
+}
+
+/**
+ * Short label for chips: "×1.08" / "×0.94".
+ */
+export function inflationLabel(inflation) {
+  return `×${num(inflation?.factor, 1).toFixed(2)}`;
+}
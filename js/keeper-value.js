@@ -0,0 +1,283 @@
+// js/keeper-value.js
+// Keeper / contract value calculator (Roster page).
+// - Each contracted player: price vs. projected value this season and every
+//   season left on the deal (value decays, price can rise each season)
+// - Surplus = value − price per season; total surplus is discounted
+// - Keep / cut call per player, ranked by total surplus
+// - Budget committed per future season (all contracts vs. keeps only)
+
+import { getRoster, getLeague, getKeeperSettings, setKeeperSettings } from "./storage.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { findPlayer } from "./player-repo.js";
+
+export const CURRENT_SEASON = 2026;
+
+// Within this many $ of break-even a contract is a judgment call.
+const BORDERLINE = 3;
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function signed(n) {
+  const r = Math.round(num(n));
+  return r >= 0 ? `+${r}` : `${r}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/* ------------------------------- Math -------------------------------- */
+
+/** Seasons left on a contract, this one included ("2/3" → 2). */
+export function seasonsLeft(row) {
+  const total = Math.max(1, num(row.contractTotal, 1));
+  const year = Math.min(total, Math.max(1, num(row.contractYear, 1)));
+  return total - year + 1;
+}
+
+/**
+ * What a contract costs each season left: `price` this season, plus `raise`
+ * for every season after it. Shared by the keeper calls, the contract
+ * timeline and trades so they all price a deal the same way.
+ * Returns [{ season, price }].
+ */
+export function contractPrices(row, raise = getKeeperSettings().raise) {
+  return Array.from({ length: seasonsLeft(row) }, (_, i) => ({
+    season: CURRENT_SEASON + i,
+    price: num(row.price, 0) + i * num(raise, 0),
+  }));
+}
+
+/**
+ * One contract, season by season.
+ *
+ * Inputs:
+ * - row: roster row ({ name, type, pos, price, contractYear, contractTotal })
+ * - value: projected $ value this season (auction_value_26)
+ * - settings: { decay, raise, discount } (see getKeeperSettings())
+ *
+ * Output:
+ * {
+ *   ...row, value, yearsLeft,
+ *   seasons: [{ season, price, value, surplus }],
+ *   surplusNow, surplusTotal,   // total = discounted sum over the seasons left
+ *   decision: "keep" | "keep-now" | "borderline" | "cut", reason
+ * }
+ */
+export function analyzeContract(row, value, settings = getKeeperSettings()) {
+  const years = seasonsLeft(row);
+  const seasons = [];
+  let surplusTotal = 0;
+
+  contractPrices(row, settings.raise).forEach(({ season, price }, i) => {
+    const v = num(value, 0) * (1 - settings.decay) ** i;
+    const surplus = v - price;
+    seasons.push({ season, price, value: v, surplus });
+    surplusTotal += surplus / (1 + settings.discount) ** i;
+  });
+
+  const surplusNow = seasons[0].surplus;
+  const later = seasons.slice(1);
+  const lastGood = later.findIndex((s) => s.surplus < 0);
+
+  let decision = "cut";
+  let reason = surplusNow > 0 ? "Under water over the rest of the deal" : `${money(-surplusNow)} over projected value this season`;
+  if (surplusTotal > BORDERLINE && surplusNow > 0) {
+    decision = lastGood >= 0 ? "keep-now" : "keep";
+    reason = lastGood >= 0 ? `Under water from ${later[lastGood].season}` : `Surplus every season left`;
+  } else if (Math.abs(surplusTotal) <= BORDERLINE || (surplusNow > 0 && surplusTotal > 0)) {
+    decision = "borderline";
+    reason = surplusNow > 0 ? "Small surplus now, little after" : "About break-even";
+  } else if (surplusNow <= 0 && surplusTotal > BORDERLINE) {
+    decision = "borderline";
+    reason = "Over-priced now, cheap later";
+  }
+
+  return { ...row, value: num(value, 0), yearsLeft: years, seasons, surplusNow, surplusTotal, decision, reason };
+}
+
+/**
+ * Whole keeper picture for our contracted roster.
+ *
+ * - lookup(player_key, row): merged player record (for auction_value_26)
+ *
+ * Returns {
+ *   rows: analyzeContract() results, best total surplus first,
+ *   commitments: [{ season, all, keeps, players, keepPlayers, left }],  // keeps = everything but "cut"
+ *   settings
+ * }
+ */
+export function analyzeKeepers({ roster = getRoster() || [], lookup = () => null, settings = getKeeperSettings(), budget = getLeague().budget } = {}) {
+  const rows = roster
+    .filter((r) => r.underContract)
+    .map((r) => {
+      const rec = lookup(getPlayerKey({ type: r.type, Name: r.name }), r);
+      const out = analyzeContract(r, rec ? getBaseVal26(rec) : 0, settings);
+      // Blank auction_value_26 = no projection, not a $0 player.
+      out.missing = !rec || String(rec.auction_value_26 ?? "").trim() === "";
+      if (out.missing) {
+        out.decision = "borderline";
+        out.reason = "No 2026 value in the data — judge by hand";
+      }
+      return out;
+    })
+    .sort((a, b) => b.surplusTotal - a.surplusTotal);
+
+  const span = Math.max(3, ...rows.map((r) => r.yearsLeft));
+  const commitments = Array.from({ length: span }).map((_, i) => {
+    const season = CURRENT_SEASON + i;
+    let all = 0;
+    let keeps = 0;
+    let players = 0;
+    let keepPlayers = 0;
+    for (const r of rows) {
+      const s = r.seasons[i];
+      if (!s) continue;
+      all += s.price;
+      players += 1;
+      if (r.decision !== "cut") {
+        keeps += s.price;
+        keepPlayers += 1;
+      }
+    }
+    return { season, all, keeps, players, keepPlayers, left: Math.max(0, budget - keeps) };
+  });
+
+  return { rows, commitments, settings };
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+const DECISION_LABEL = {
+  keep: "Keep",
+  "keep-now": "Keep (this season)",
+  borderline: "Borderline",
+  cut: "Cut",
+};
+
+function renderRows(tbody, rows) {
+  if (!rows.length) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="7" class="small" style="padding:12px;">No players under contract. Tick "Contract?" above to analyze keepers.</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = rows
+    .map((r, i) => {
+      const future = r.seasons
+        .slice(1)
+        .map((s) => `'${String(s.season).slice(2)} ${signed(s.surplus)}`)
+        .join(" • ");
+      return `
+        <tr>
+          <td>${i + 1}</td>
+          <td>${escapeHtml(r.name)} <span class="small" style="opacity:.7;">${escapeHtml(r.pos || r.type)}</span></td>
+          <td>${r.contractYear}/${r.contractTotal}, ${money(r.price)}</td>
+          <td style="text-align:right;">${r.missing ? `<span class="small" style="opacity:.6;">no value</span>` : money(r.value)}</td>
+          <td style="text-align:right;">${signed(r.surplusNow)}${future ? `<div class="small" style="opacity:.7;">${escapeHtml(future)}</div>` : ""}</td>
+          <td style="text-align:right;"><strong>${signed(r.surplusTotal)}</strong></td>
+          <td>
+            <span class="chip ${r.decision === "cut" ? "" : "chipNeed"}">${DECISION_LABEL[r.decision]}</span>
+            <div class="small" style="opacity:.7;">${escapeHtml(r.reason)}</div>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
+function renderCommitments(box, commitments) {
+  box.innerHTML = `
+    <table class="table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Season</th>
+          <th style="text-align:right;">All Contracts</th>
+          <th style="text-align:right;">Keeps Only</th>
+          <th style="text-align:right;">Auction $ Left</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${commitments
+          .map(
+            (c) => `
+          <tr>
+            <td>${c.season}</td>
+            <td style="text-align:right;">${money(c.all)} <span class="small" style="opacity:.7;">(${c.players})</span></td>
+            <td style="text-align:right;">${money(c.keeps)} <span class="small" style="opacity:.7;">(${c.keepPlayers})</span></td>
+            <td style="text-align:right;">${money(c.left)}</td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Mount the Keeper Analysis panel.
+ * - repo: loadPlayerRepo() result
+ * Returns { refresh, setRepo } (refresh after roster edits; setRepo swaps in
+ * a re-joined repo, e.g. after a saved name alias — refresh after).
+ */
+export function mountKeeperAnalysis({ repo } = {}) {
+  const root = document.getElementById("keeperAnalysis");
+  if (!root) return null;
+
+  const el = (id) => document.getElementById(id);
+  // Roster names typed by hand may be spelled differently from the data files
+  const lookup = (key, row) => findPlayer(repo, row);
+
+  const s = getKeeperSettings();
+  if (el("kvDecay")) el("kvDecay").value = String(Math.round(s.decay * 100));
+  if (el("kvRaise")) el("kvRaise").value = String(s.raise);
+  if (el("kvDiscount")) el("kvDiscount").value = String(Math.round(s.discount * 100));
+
+  function refresh() {
+    const res = analyzeKeepers({ lookup });
+    if (el("kvTbody")) renderRows(el("kvTbody"), res.rows);
+    if (el("kvCommitments")) renderCommitments(el("kvCommitments"), res.commitments);
+
+    const meta = el("kvMeta");
+    if (meta) {
+      const keeps = res.rows.filter((r) => r.decision === "keep" || r.decision === "keep-now");
+      const cuts = res.rows.filter((r) => r.decision === "cut");
+      const surplus = keeps.reduce((acc, r) => acc + r.surplusTotal, 0);
+      meta.textContent = `Contracts: ${res.rows.length} • Keep ${keeps.length} (${signed(surplus)} surplus) • Cut ${cuts.length} • ${CURRENT_SEASON} committed to keeps: ${money(res.commitments[0].keeps)}`;
+    }
+  }
+
+  root.addEventListener("change", (e) => {
+    const id = e.target?.id;
+    if (id !== "kvDecay" && id !== "kvRaise" && id !== "kvDiscount") return;
+    setKeeperSettings({
+      decay: num(el("kvDecay")?.value, 10) / 100,
+      raise: num(el("kvRaise")?.value, 0),
+      discount: num(el("kvDiscount")?.value, 10) / 100,
+    });
+    refresh();
+  });
+
+  function setRepo(next) {
+    repo = next;
+  }
+
+  refresh();
+  return { refresh, setRepo };
+}
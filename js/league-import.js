@@ -0,0 +1,484 @@
+// js/league-import.js
+// League export importer: settings, our contracted roster and opponents' keepers
+// in one step, with a preview diff before anything is written.
+//
+// Accepted formats
+// - CSV: one row per rostered player
+//     team, player, type, pos, salary, contract_year, contract_total[, mine]
+//   (a "contract" column like "2/3" works instead of year/total; optional
+//    budget / hitter_slots / pitcher_slots / min_bid columns set the league)
+// - JSON:
+//     {
+//       league: { budget, hitter_slots, pitcher_slots, min_bid, my_team },
+//       teams: [{ name, mine?, players: [{ name, type, pos, salary, contract_year, contract_total }] }]
+//     }
+//   (a bare array of teams also works; "roster"/"keepers" are accepted for players)
+
+import {
+  getSettings,
+  setSettings,
+  getRoster,
+  setRoster,
+  makeRosterId,
+  normalizeRosterPlayer,
+  recalcBudgetRemaining,
+  getLeague,
+  setLeague,
+  getMyTeamName,
+} from "./storage.js";
+import { parseCsv, rowLine } from "./csv.js";
+import { hydrateHeader } from "./nav.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+function truthy(v) {
+  return v === true || ["1", "true", "yes", "y", "x", "mine"].includes(norm(v));
+}
+
+const PIT_POS = new Set(["P", "SP", "RP", "STARTER", "RELIEVER"]);
+
+function inferType(type, pos) {
+  const t = norm(type);
+  if (t === "pit" || t === "pitcher" || t === "p") return "pit";
+  if (t === "hit" || t === "hitter" || t === "bat") return "hit";
+  const tokens = String(pos ?? "").toUpperCase().split(/[,/|\s]+/).filter(Boolean);
+  return tokens.length && tokens.every((x) => PIT_POS.has(x)) ? "pit" : "hit";
+}
+
+/**
+ * First non-empty value among header aliases (case-insensitive).
+ */
+function pick(row, ...aliases) {
+  for (const a of aliases) {
+    for (const k of Object.keys(row)) {
+      if (norm(k) === a && row[k] !== "" && row[k] != null) return row[k];
+    }
+  }
+  return "";
+}
+
+function readPlayer(row) {
+  const name = String(pick(row, "player", "name", "player_name")).trim();
+  const pos = String(pick(row, "pos", "position", "positions", "display_role")).trim();
+
+  let contractYear = pick(row, "contract_year", "contractyear", "year");
+  let contractTotal = pick(row, "contract_total", "contracttotal", "total", "years");
+  const contract = String(pick(row, "contract")).trim();
+  const m = contract.match(/^(\d+)\s*\/\s*(\d+)/);
+  if (m) {
+    if (contractYear === "") contractYear = m[1];
+    if (contractTotal === "") contractTotal = m[2];
+  }
+
+  const total = Math.max(1, Math.trunc(num(contractTotal, 1)));
+  return {
+    name,
+    type: inferType(pick(row, "type"), pos),
+    pos,
+    price: Math.max(0, Math.trunc(num(String(pick(row, "salary", "price", "cost", "$")).replace(/[$,]/g, ""), 0))),
+    contractYear: Math.min(total, Math.max(1, Math.trunc(num(contractYear, 1)))),
+    contractTotal: total,
+  };
+}
+
+function readSettings(src) {
+  const out = {};
+  const budget = pick(src, "budget", "budget_total");
+  const hit = pick(src, "hitter_slots", "hitter_slots_total");
+  const pit = pick(src, "pitcher_slots", "pitcher_slots_total");
+  const minBid = pick(src, "min_bid");
+  if (budget !== "") out.budget = Math.max(0, Math.trunc(num(budget, 0)));
+  if (hit !== "") out.hitter_slots = Math.max(0, Math.trunc(num(hit, 0)));
+  if (pit !== "") out.pitcher_slots = Math.max(0, Math.trunc(num(pit, 0)));
+  if (minBid !== "") out.min_bid = Math.max(0, Math.trunc(num(minBid, 0)));
+  return out;
+}
+
+function parseCsvExport(text) {
+  const errors = [];
+  const teams = new Map();
+  const settings = {};
+
+  const parsed = parseCsv(text);
+  errors.push(...parsed.errors);
+
+  parsed.rows.forEach((row) => {
+    const line = rowLine(row);
+    const teamName = String(pick(row, "team", "team_name", "owner", "fantasy_team")).trim();
+    const p = readPlayer(row);
+
+    for (const [k, v] of Object.entries(readSettings(row))) {
+      if (!(k in settings)) settings[k] = v;
+    }
+
+    if (!teamName && !p.name) return; // blank line
+    if (!teamName) {
+      errors.push({ row: line, message: `No team for ${p.name}` });
+      return;
+    }
+
+    if (!teams.has(norm(teamName))) teams.set(norm(teamName), { name: teamName, mine: false, players: [] });
+    const team = teams.get(norm(teamName));
+    if (truthy(pick(row, "mine", "is_mine", "my_team"))) team.mine = true;
+
+    if (!p.name) return; // team-only row (e.g. a team with no keepers yet)
+    team.players.push(p);
+  });
+
+  return { format: "csv", settings, myTeam: "", teams: [...teams.values()], errors };
+}
+
+function parseJsonExport(text) {
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { format: "json", settings: {}, myTeam: "", teams: [], errors: [{ row: 0, message: `Invalid JSON: ${e.message}` }] };
+  }
+
+  const root = Array.isArray(data) ? { teams: data } : data || {};
+  const leagueSrc = root.league || root.settings || root;
+  const teamsIn = Array.isArray(root.teams) ? root.teams : [];
+
+  const teams = teamsIn.map((t, i) => {
+    const name = String(t?.name ?? t?.team ?? "").trim() || `Team ${i + 1}`;
+    const list = t?.players ?? t?.roster ?? t?.keepers ?? [];
+    const players = [];
+    (Array.isArray(list) ? list : []).forEach((row, j) => {
+      const p = readPlayer(row || {});
+      if (!p.name) {
+        errors.push({ row: j + 1, message: `No player name (team ${name})` });
+        return;
+      }
+      players.push(p);
+    });
+    return { name, mine: truthy(t?.mine), players };
+  });
+
+  if (!teamsIn.length) errors.push({ row: 0, message: "No teams found" });
+
+  return {
+    format: "json",
+    settings: readSettings(leagueSrc),
+    myTeam: String(leagueSrc.my_team ?? leagueSrc.my_team_name ?? "").trim(),
+    teams,
+    errors,
+  };
+}
+
+/**
+ * Parse a league export (CSV or JSON; sniffed from the text).
+ *
+ * Output:
+ * {
+ *   format: "csv" | "json",
+ *   settings: { budget?, hitter_slots?, pitcher_slots?, min_bid? },
+ *   myTeam: string,                  // named in the export, if any
+ *   teams: [{ name, mine, players: [{ name, type, pos, price, contractYear, contractTotal }] }],
+ *   errors: [{ row, message }]
+ * }
+ */
+export function parseLeagueExport(text) {
+  const body = String(text ?? "").replace(/^\uFEFF/, "").trim();
+  if (!body) return { format: "csv", settings: {}, myTeam: "", teams: [], errors: [{ row: 0, message: "Nothing to import" }] };
+  return body.startsWith("{") || body.startsWith("[") ? parseJsonExport(body) : parseCsvExport(body);
+}
+
+/**
+ * Which imported team is ours: explicit pick → export flag → export my_team → saved team name.
+ */
+export function resolveMyTeam(parsed, choice = "") {
+  const names = parsed.teams.map((t) => t.name);
+  const find = (n) => names.find((x) => norm(x) === norm(n)) || "";
+  return (
+    find(choice) ||
+    parsed.teams.find((t) => t.mine)?.name ||
+    find(parsed.myTeam) ||
+    find(getMyTeamName()) ||
+    ""
+  );
+}
+
+function contractLabel(r) {
+  return r?.underContract ? `${r.contractYear}/${r.contractTotal}, ${money(r.price)}` : "—";
+}
+
+/**
+ * Build the import plan (next settings / league / roster) and its diff.
+ * Nothing is written; pass the plan to applyLeagueImport().
+ *
+ * Our roster: imported players are upserted as contracted; previously
+ * contracted players missing from the export are released (kept on the
+ * roster, underContract = false). Uncontracted rows are left alone.
+ */
+export function planLeagueImport(parsed, { myTeam = "" } = {}) {
+  const errors = [...(parsed.errors || [])];
+  const mineName = resolveMyTeam(parsed, myTeam);
+  if (!parsed.teams.length) errors.push({ row: 0, message: "No teams to import" });
+  else if (!mineName) errors.push({ row: 0, message: "Pick which team is yours" });
+
+  const prevSettings = getSettings();
+  const prevLeague = getLeague();
+  const prevRoster = getRoster() || [];
+
+  // ---- League ----
+  const prevByName = new Map(prevLeague.teams.map((t) => [norm(t.name), t]));
+  const stamp = Date.now().toString(36);
+  const teams = parsed.teams.map((t, i) => ({
+    id: prevByName.get(norm(t.name))?.id || `team${i + 1}_${stamp}`,
+    name: t.name,
+    mine: norm(t.name) === norm(mineName),
+    keepers: norm(t.name) === norm(mineName) ? [] : t.players,
+  }));
+
+  const league = {
+    ...prevLeague,
+    ...parsed.settings,
+    teams: teams.length ? teams : prevLeague.teams,
+  };
+
+  // ---- Our roster ----
+  const mine = parsed.teams.find((t) => norm(t.name) === norm(mineName));
+  const imported = new Map();
+  for (const p of mine?.players || []) {
+    const id = makeRosterId({ Name: p.name, Type: p.type });
+    imported.set(id, p);
+  }
+
+  const rosterDiff = { added: [], updated: [], released: [] };
+  const roster = prevRoster.map((r) => {
+    const p = imported.get(r.id);
+    if (p) {
+      const next = normalizeRosterPlayer({
+        ...r,
+        pos: p.pos || r.pos,
+        underContract: true,
+        contractYear: p.contractYear,
+        contractTotal: p.contractTotal,
+        price: p.price,
+      });
+      if (contractLabel(r) !== contractLabel(next)) {
+        rosterDiff.updated.push({ name: r.name, from: contractLabel(r), to: contractLabel(next) });
+      }
+      imported.delete(r.id);
+      return next;
+    }
+    if (r.underContract && mine) {
+      rosterDiff.released.push({ name: r.name, from: contractLabel(r) });
+      return normalizeRosterPlayer({ ...r, underContract: false });
+    }
+    return r;
+  });
+
+  for (const [id, p] of imported) {
+    const row = normalizeRosterPlayer({ id, ...p, underContract: true });
+    rosterDiff.added.push({ name: row.name, to: contractLabel(row) });
+    roster.unshift(row);
+  }
+
+  // ---- Settings ----
+  const spent = roster.reduce((acc, r) => acc + (r.underContract ? num(r.price) : 0), 0);
+  const settings = {
+    ...prevSettings,
+    budget_total: league.budget,
+    budget_remaining: Math.max(0, league.budget - spent),
+    hitter_slots_total: league.hitter_slots,
+    pitcher_slots_total: league.pitcher_slots,
+    my_team_name: mineName || prevSettings.my_team_name,
+  };
+
+  const settingsDiff = [
+    ["Budget Total", "budget_total"],
+    ["Budget Remaining", "budget_remaining"],
+    ["Hitter Slots", "hitter_slots_total"],
+    ["Pitcher Slots", "pitcher_slots_total"],
+    ["My Team", "my_team_name"],
+  ]
+    .filter(([, k]) => String(prevSettings[k] ?? "") !== String(settings[k] ?? ""))
+    .map(([label, k]) => ({ label, from: prevSettings[k] ?? "—", to: settings[k] }));
+  if (num(prevLeague.min_bid) !== num(league.min_bid)) {
+    settingsDiff.push({ label: "Min Bid", from: prevLeague.min_bid, to: league.min_bid });
+  }
+
+  const nextNames = new Set(league.teams.map((t) => norm(t.name)));
+  const teamsDiff = {
+    added: league.teams.filter((t) => !prevByName.has(norm(t.name))).map((t) => t.name),
+    removed: prevLeague.teams.filter((t) => !nextNames.has(norm(t.name))).map((t) => t.name),
+  };
+
+  const keepers = league.teams
+    .filter((t) => !t.mine)
+    .map((t) => ({
+      team: t.name,
+      count: t.keepers.length,
+      spent: t.keepers.reduce((acc, k) => acc + num(k.price), 0),
+    }));
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    myTeam: mineName,
+    settings,
+    league,
+    roster,
+    diff: { settings: settingsDiff, teams: teamsDiff, roster: rosterDiff, keepers },
+  };
+}
+
+/**
+ * Write a plan from planLeagueImport() to localStorage.
+ */
+export function applyLeagueImport(plan) {
+  if (!plan?.ok) return false;
+  setSettings(plan.settings);
+  setLeague(plan.league);
+  setRoster(plan.roster);
+  recalcBudgetRemaining();
+  return true;
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+function renderDiff(box, plan) {
+  if (!plan) {
+    box.innerHTML = "";
+    return;
+  }
+
+  const { diff } = plan;
+  const list = (items, fmt) =>
+    items.length ? `<ul class="small" style="margin:6px 0 0 18px;">${items.map((x) => `<li>${fmt(x)}</li>`).join("")}</ul>` : `<div class="small" style="opacity:.7;">No changes.</div>`;
+
+  const errors = plan.errors.length
+    ? `<div class="small" style="color:#ff6b6b; margin-bottom:8px;">${plan.errors
+        .map((e) => escapeHtml(e.row ? `Row ${e.row}: ${e.message}` : e.message))
+        .join("<br />")}</div>`
+    : "";
+
+  const rosterItems = [
+    ...diff.roster.added.map((r) => `+ ${escapeHtml(r.name)} (${escapeHtml(r.to)})`),
+    ...diff.roster.updated.map((r) => `~ ${escapeHtml(r.name)}: ${escapeHtml(r.from)} → ${escapeHtml(r.to)}`),
+    ...diff.roster.released.map((r) => `− ${escapeHtml(r.name)} released (${escapeHtml(r.from)})`),
+  ];
+
+  const teamItems = [
+    ...diff.teams.added.map((n) => `+ ${escapeHtml(n)}`),
+    ...diff.teams.removed.map((n) => `− ${escapeHtml(n)}`),
+  ];
+
+  box.innerHTML = `
+    ${errors}
+    <div class="grid" style="margin-top:0;">
+      <div class="panel half">
+        <strong>Settings</strong>
+        ${list(diff.settings, (d) => `${escapeHtml(d.label)}: ${escapeHtml(d.from)} → ${escapeHtml(d.to)}`)}
+      </div>
+      <div class="panel half">
+        <strong>Teams</strong> <span class="small">(${plan.league.teams.length}, yours: ${escapeHtml(plan.myTeam || "—")})</span>
+        ${list(teamItems, (x) => x)}
+      </div>
+      <div class="panel half">
+        <strong>My Roster</strong>
+        ${list(rosterItems, (x) => x)}
+      </div>
+      <div class="panel half">
+        <strong>Opponent Keepers</strong>
+        ${list(diff.keepers.filter((k) => k.count), (k) => `${escapeHtml(k.team)}: ${k.count} for ${money(k.spent)}`)}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Mount the league import panel (Dashboard).
+ * - onApply(): called after an import is written so the page can re-hydrate
+ */
+export function mountLeagueImport({ onApply } = {}) {
+  const root = document.getElementById("leagueImport");
+  if (!root) return null;
+
+  const fileInput = document.getElementById("lgImportFile");
+  const textInput = document.getElementById("lgImportText");
+  const mineSelect = document.getElementById("lgImportMine");
+  const btnPreview = document.getElementById("lgImportPreview");
+  const btnApply = document.getElementById("lgImportApply");
+  const status = document.getElementById("lgImportStatus");
+  const diffBox = document.getElementById("lgImportDiff");
+
+  let parsed = null;
+  let plan = null;
+
+  const setStatus = (msg) => {
+    if (status) status.textContent = msg;
+  };
+
+  function fillMineSelect() {
+    if (!mineSelect) return;
+    const current = resolveMyTeam(parsed, mineSelect.value);
+    mineSelect.innerHTML = [
+      `<option value="">— pick your team —</option>`,
+      ...parsed.teams.map(
+        (t) => `<option value="${escapeHtml(t.name)}" ${t.name === current ? "selected" : ""}>${escapeHtml(t.name)}</option>`
+      ),
+    ].join("");
+  }
+
+  function preview() {
+    parsed = parseLeagueExport(textInput?.value);
+    fillMineSelect();
+    plan = planLeagueImport(parsed, { myTeam: mineSelect?.value ?? "" });
+    renderDiff(diffBox, plan);
+    if (btnApply) btnApply.disabled = !plan.ok;
+
+    const players = parsed.teams.reduce((acc, t) => acc + t.players.length, 0);
+    setStatus(`${parsed.format.toUpperCase()}: ${parsed.teams.length} team(s), ${players} player(s)${plan.ok ? "" : " • fix errors to import"}`);
+  }
+
+  fileInput?.addEventListener("change", async () => {
+    const file = fileInput.files?.[0];
+    if (!file || !textInput) return;
+    textInput.value = await file.text();
+    preview();
+  });
+
+  btnPreview?.addEventListener("click", preview);
+
+  mineSelect?.addEventListener("change", () => {
+    if (parsed) preview();
+  });
+
+  btnApply?.addEventListener("click", () => {
+    if (!plan?.ok) return;
+    if (!applyLeagueImport(plan)) return;
+    plan = null;
+    btnApply.disabled = true;
+    renderDiff(diffBox, null);
+    hydrateHeader();
+    setStatus("Imported ✓");
+    onApply?.();
+  });
+
+  if (btnApply) btnApply.disabled = true;
+  return { preview };
+}
@@ -0,0 +1,318 @@
+// js/league-ledger.js
+// League-wide team ledger: every team's $ remaining, open slots and max bid.
+// Ours comes from the contracted roster (keepers + live-draft wins);
+// opponents come from their imported keepers + live-draft sales.
+
+import {
+  getLeague,
+  setLeague,
+  setLeagueTeamCount,
+  getDraftLog,
+  getRoster,
+} from "./storage.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function normTeam(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+/**
+ * Max bid with `open` slots left: hold back minBid for every slot after this one.
+ */
+export function maxBidFor(remaining, open, minBid = 1) {
+  if (open <= 0) return 0;
+  return Math.max(0, Math.floor(remaining - minBid * (open - 1)));
+}
+
+/**
+ * Pure ledger math (no DOM, no storage).
+ *
+ * Inputs:
+ * - league: getLeague() shape
+ * - league.teams[].keepers: opponents' kept players (count before any sale)
+ * - sales: live-draft sales (getDraftLog().sales)
+ * - roster: our roster (getRoster()); only underContract players count
+ *
+ * Output:
+ * {
+ *   teams: [{
+ *     id, name, mine,
+ *     spent, remaining,
+ *     hitFilled, pitFilled, hitOpen, pitOpen, openSlots,
+ *     maxBid, maxBidHit, maxBidPit,
+ *     players: [{ name, type, pos, price, source }]
+ *   }],
+ *   unmatched: [sale, ...]   // sales whose team isn't in the league
+ * }
+ */
+export function computeLedger({ league, sales = [], roster = [] } = {}) {
+  const lg = league || getLeague();
+  const byName = new Map();
+
+  const teams = lg.teams.map((t) => {
+    const row = {
+      id: t.id,
+      name: t.name,
+      mine: !!t.mine,
+      spent: 0,
+      remaining: 0,
+      hitFilled: 0,
+      pitFilled: 0,
+      hitOpen: 0,
+      pitOpen: 0,
+      openSlots: 0,
+      maxBid: 0,
+      maxBidHit: 0,
+      maxBidPit: 0,
+      players: [],
+    };
+    byName.set(normTeam(t.name), row);
+    return row;
+  });
+
+  const add = (row, p) => {
+    row.players.push(p);
+    row.spent += Math.max(0, num(p.price, 0));
+    if (typeLabel(p.type) === "pit") row.pitFilled += 1;
+    else row.hitFilled += 1;
+  };
+
+  // Ours: contracted roster already includes our live-draft wins.
+  const mine = teams.find((t) => t.mine);
+  if (mine) {
+    for (const r of roster) {
+      if (!r.underContract) continue;
+      add(mine, { name: r.name, type: r.type, pos: r.pos, price: r.price, source: "roster" });
+    }
+  }
+
+  for (const row of teams) {
+    if (row.mine) continue;
+    const team = lg.teams.find((t) => t.id === row.id);
+    for (const k of team?.keepers || []) {
+      add(row, { name: k.name, type: k.type, pos: k.pos, price: k.price, source: "keeper" });
+    }
+  }
+
+  const unmatched = [];
+  for (const s of sales) {
+    if (s.mine) continue;
+    const row = byName.get(normTeam(s.team));
+    if (!row) {
+      unmatched.push(s);
+      continue;
+    }
+    if (row.mine) continue; // our wins are counted through the roster
+    add(row, { name: s.name, type: s.type, pos: s.pos, price: s.price, source: "draft" });
+  }
+
+  for (const row of teams) {
+    row.remaining = Math.max(0, lg.budget - row.spent);
+    row.hitOpen = Math.max(0, lg.hitter_slots - row.hitFilled);
+    row.pitOpen = Math.max(0, lg.pitcher_slots - row.pitFilled);
+    row.openSlots = row.hitOpen + row.pitOpen;
+    row.maxBid = maxBidFor(row.remaining, row.openSlots, lg.min_bid);
+    row.maxBidHit = row.hitOpen > 0 ? row.maxBid : 0;
+    row.maxBidPit = row.pitOpen > 0 ? row.maxBid : 0;
+  }
+
+  return { teams, unmatched };
+}
+
+/**
+ * Ledger from what's saved in localStorage.
+ */
+export function getLedger() {
+  return computeLedger({
+    league: getLeague(),
+    sales: getDraftLog().sales,
+    roster: getRoster() || [],
+  });
+}
+
+/**
+ * Teams (other than ours) that could pay more than `price` for a player of `type`.
+ */
+export function teamsThatCanOutbid(price, type, ledger = getLedger()) {
+  const key = typeLabel(type) === "pit" ? "maxBidPit" : "maxBidHit";
+  return ledger.teams
+    .filter((t) => !t.mine && t[key] > num(price, 0))
+    .sort((a, b) => b[key] - a[key]);
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+function renderConfig(box) {
+  const lg = getLeague();
+
+  box.innerHTML = `
+    <div class="grid" style="margin-top: 0;">
+      <label class="panel third">
+        <div class="small">Teams</div>
+        <input id="lgTeamCount" type="number" min="2" max="30" step="1" value="${lg.teams.length}" />
+      </label>
+      <label class="panel third">
+        <div class="small">Budget $</div>
+        <input id="lgBudget" type="number" min="0" step="1" value="${lg.budget}" />
+      </label>
+      <label class="panel third">
+        <div class="small">Min bid $ (per open slot)</div>
+        <input id="lgMinBid" type="number" min="0" step="1" value="${lg.min_bid}" />
+      </label>
+      <label class="panel third">
+        <div class="small">Hitter slots</div>
+        <input id="lgHitSlots" type="number" min="0" step="1" value="${lg.hitter_slots}" />
+      </label>
+      <label class="panel third">
+        <div class="small">Pitcher slots</div>
+        <input id="lgPitSlots" type="number" min="0" step="1" value="${lg.pitcher_slots}" />
+      </label>
+    </div>
+
+    <div class="grid">
+      ${lg.teams
+        .map(
+          (t, i) => `
+        <label class="panel third" style="display:flex; gap:8px; align-items:center;">
+          <input type="radio" name="lgMine" value="${i}" ${t.mine ? "checked" : ""} style="width:auto;" title="My team" />
+          <input type="text" data-lg-team="${i}" value="${escapeHtml(t.name)}" />
+        </label>
+      `
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+function renderTable(tbody, meta, bid, type) {
+  const ledger = getLedger();
+  const key = typeLabel(type) === "pit" ? "maxBidPit" : "maxBidHit";
+  const threat = new Set(teamsThatCanOutbid(bid, type, ledger).map((t) => t.id));
+
+  tbody.innerHTML = ledger.teams
+    .slice()
+    .sort((a, b) => b[key] - a[key])
+    .map((t) => {
+      const outbid = bid > 0 && threat.has(t.id);
+      return `
+        <tr style="${t.mine ? "font-weight:800;" : ""}${outbid ? "background: rgba(255,107,107,0.12);" : ""}">
+          <td>${escapeHtml(t.name)}${t.mine ? ` <span class="chip chipNeed">Us</span>` : ""}</td>
+          <td style="text-align:right;">${money(t.spent)}</td>
+          <td style="text-align:right;">${money(t.remaining)}</td>
+          <td style="text-align:right;">${t.hitOpen}</td>
+          <td style="text-align:right;">${t.pitOpen}</td>
+          <td style="text-align:right;">${money(t.maxBid)}</td>
+          <td style="text-align:right;">${outbid ? "Yes" : bid > 0 && !t.mine ? "No" : "—"}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  if (meta) {
+    const rivals = ledger.teams.filter((t) => !t.mine && t[key] > bid).length;
+    const bits = [];
+    if (bid > 0) bits.push(`${rivals} rival(s) can go past ${money(bid)} on a ${typeLabel(type) === "pit" ? "pitcher" : "hitter"}`);
+    if (ledger.unmatched.length) {
+      const names = [...new Set(ledger.unmatched.map((s) => s.team || "?"))].join(", ");
+      bits.push(`⚠️ Sales to teams not in the league: ${names}`);
+    }
+    meta.textContent = bits.join(" • ");
+  }
+}
+
+/**
+ * Mount the ledger panel. Returns { refresh }; the board calls it from its
+ * state-change subscription (sales, league edits).
+ */
+export function mountLeagueLedger() {
+  const root = document.getElementById("leagueLedger");
+  if (!root) return null;
+
+  const configBox = document.getElementById("lgConfig");
+  const tbody = document.getElementById("lgTbody");
+  const meta = document.getElementById("lgMeta");
+  const bidInput = document.getElementById("lgBidCheck");
+  const typeInput = document.getElementById("lgBidType");
+
+  // League as the config form last showed it
+  let shown = "";
+  const showConfig = () => {
+    shown = JSON.stringify(getLeague());
+    renderConfig(configBox);
+  };
+
+  function refresh() {
+    // League changed elsewhere (another tab, the importer): redraw the form,
+    // unless it's being edited right now
+    if (configBox && JSON.stringify(getLeague()) !== shown && !configBox.contains(document.activeElement)) showConfig();
+
+    // Default the bid check to whatever is on the block.
+    const nom = getDraftLog().nomination;
+    if (bidInput && bidInput.dataset.touched !== "1") bidInput.value = nom ? String(num(nom.bid, 0)) : "";
+    if (typeInput && typeInput.dataset.touched !== "1" && nom) typeInput.value = typeLabel(nom.type);
+
+    const bid = num(bidInput?.value, 0);
+    const type = typeInput?.value ?? "hit";
+    if (tbody) renderTable(tbody, meta, bid, type);
+  }
+
+  const CONFIG_FIELDS = { lgBudget: "budget", lgMinBid: "min_bid", lgHitSlots: "hitter_slots", lgPitSlots: "pitcher_slots" };
+
+  // Write only the field that was edited, so a stale form can't undo a
+  // change made elsewhere.
+  const saveField = (el) => {
+    const lg = getLeague();
+    const field = CONFIG_FIELDS[el.id];
+    if (field) {
+      setLeague({ ...lg, [field]: num(el.value, lg[field]) });
+    } else if (el.dataset.lgTeam != null) {
+      const i = num(el.dataset.lgTeam, -1);
+      setLeague({ ...lg, teams: lg.teams.map((t, j) => (j === i ? { ...t, name: el.value } : t)) });
+    } else if (el.name === "lgMine") {
+      const i = num(el.value, 0);
+      setLeague({ ...lg, teams: lg.teams.map((t, j) => ({ ...t, mine: j === i })) });
+    }
+  };
+
+  configBox?.addEventListener("change", (e) => {
+    if (e.target?.id === "lgTeamCount") {
+      setLeagueTeamCount(e.target.value);
+      showConfig();
+    } else if (e.target) {
+      saveField(e.target);
+    }
+  });
+
+  bidInput?.addEventListener("input", () => {
+    bidInput.dataset.touched = bidInput.value === "" ? "" : "1";
+    refresh();
+  });
+  typeInput?.addEventListener("change", () => {
+    typeInput.dataset.touched = "1";
+    refresh();
+  });
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,355 @@
+// js/lineup-page.js
+// Lineup Planner page: drag roster players + targets into slots (or click a
+// player, then a slot), park players in the minors, auto-fill the rest.
+// Auto-fill uses the roster solver: it maximizes projected SGP (weighted by
+// the strategy category weights) and lists unfilled slots + benched players.
+// Saves to hag_lineup_planner_v1, which drives "Empty slots" in Recommended
+// Targets and the allocation snapshot.
+
+import { getLineupPlanner, setLineupPlanner, getCategoryWeights, onStateChange, STATE_KEYS } from "./storage.js";
+import {
+  ALL_SLOTS,
+  slotLabel,
+  isPitchingSlot,
+  isEligibleForSlot,
+  getPlannerPool,
+  assignToSlot,
+  clearSlot,
+  moveToMinors,
+  releaseToPool,
+  checkAssignments,
+} from "./lineup-planner.js";
+import { solveLineup, solvePlanner, describeSolve } from "./roster-solver.js";
+import { loadPlayerRepo, withStats } from "./player-repo.js";
+import { computeSgpValues } from "./sgp.js";
+import { mountAllocationVisualizer } from "./allocation.js";
+import { hydrateHeader } from "./nav.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+let REPO = null;
+let SGP = null; // computeSgpValues() result, weighted by strategy weights
+let selectedKey = ""; // click-to-place (touch friendly)
+
+function lookup(key) {
+  return REPO?.byKey?.get(key) || null;
+}
+
+function computeSgp() {
+  if (!REPO) return null;
+  try {
+    const projections = REPO.players.filter((p) => p.stats26).map((p) => withStats(p));
+    return computeSgpValues(projections, { weights: getCategoryWeights() });
+  } catch (e) {
+    console.warn("[lineup-page] SGP valuation skipped:", e);
+    return null;
+  }
+}
+
+/**
+ * Solver value: weighted SGP above replacement. Players outside the SGP pool
+ * (thin projections) count as replacement level (0). Without projections the
+ * solver falls back to $ value.
+ */
+function scoreOf(p) {
+  if (!SGP) return num(p.value, 0);
+  return num(SGP.byKey.get(p.player_key)?.total, 0);
+}
+
+function fmtValue(v) {
+  return SGP ? `${num(v).toFixed(1)} SGP` : money(v);
+}
+
+function currentPool() {
+  const includeTargets = document.getElementById("lpIncludeTargets")?.checked ?? true;
+  return getPlannerPool({ lookup, includeTargets });
+}
+
+function playerChip(p, key) {
+  if (!p) {
+    return `
+      <span class="chip lpChip lpStale" draggable="true" data-lp-key="${escapeHtml(key)}">
+        ${escapeHtml(key.split("|").pop())}
+      </span>
+    `;
+  }
+  const tag = p.source === "target" ? "Target" : p.contracted ? "Kept" : "Roster";
+  return `
+    <span class="chip lpChip ${selectedKey === p.player_key ? "lpSelected" : ""}" draggable="true" data-lp-key="${escapeHtml(p.player_key)}">
+      <strong>${escapeHtml(p.name)}</strong>
+      <span class="lpMeta">${escapeHtml(p.pos || p.type)} • ${tag}${p.value ? ` • ${money(p.value)}` : ""}</span>
+    </span>
+  `;
+}
+
+function render() {
+  const state = getLineupPlanner();
+  const pool = currentPool();
+  const byKey = new Map(pool.map((p) => [p.player_key, p]));
+  const issues = checkAssignments(state, pool);
+  const selected = byKey.get(selectedKey) || null;
+
+  // ---- Slots ----
+  const slotsBox = document.getElementById("lpSlots");
+  if (slotsBox) {
+    const row = (slot) => {
+      const key = state.slots[slot];
+      const fits = selected && !key && isEligibleForSlot(selected, slot);
+      return `
+        <div class="lpSlot ${fits ? "lpEligible" : ""} ${issues[slot] ? "lpProblem" : ""}" data-lp-drop="slot:${slot}">
+          <div class="lpSlotLabel">${escapeHtml(slotLabel(slot))}</div>
+          <div class="lpSlotBody">
+            ${key ? playerChip(byKey.get(key), key) : `<span class="small" style="opacity:.55;">Empty</span>`}
+            ${issues[slot] ? `<div class="small" style="color:#ff6b6b;">${escapeHtml(issues[slot])}</div>` : ""}
+          </div>
+          ${key ? `<button class="ghost lpClear" type="button" data-lp-clear="${slot}" title="Clear slot">×</button>` : ""}
+        </div>
+      `;
+    };
+    const hit = ALL_SLOTS.filter((k) => !isPitchingSlot(k));
+    const pit = ALL_SLOTS.filter(isPitchingSlot);
+    slotsBox.innerHTML = `
+      <div class="small" style="font-weight:900; margin-bottom:6px;">Hitters</div>
+      ${hit.map(row).join("")}
+      <div class="small" style="font-weight:900; margin:12px 0 6px;">Pitchers</div>
+      ${pit.map(row).join("")}
+    `;
+  }
+
+  // ---- Pool (unassigned) + minors ----
+  const placed = new Set([...Object.values(state.slots), ...state.minors]);
+  const bench = pool.filter((p) => !placed.has(p.player_key)).sort((a, b) => b.value - a.value);
+
+  const poolBox = document.getElementById("lpPool");
+  if (poolBox) {
+    poolBox.innerHTML = bench.length
+      ? bench.map((p) => playerChip(p, p.player_key)).join("")
+      : `<span class="small" style="opacity:.6;">Everyone is placed. Add players on the Roster page or targets on the Auction Board.</span>`;
+  }
+
+  const minorsBox = document.getElementById("lpMinors");
+  if (minorsBox) {
+    minorsBox.innerHTML = state.minors.length
+      ? state.minors.map((k) => playerChip(byKey.get(k), k)).join("")
+      : `<span class="small" style="opacity:.6;">Drop prospects here to keep them out of the lineup.</span>`;
+  }
+
+  const meta = document.getElementById("lpMeta");
+  if (meta) {
+    const filled = ALL_SLOTS.filter((k) => state.slots[k]).length;
+    const bits = [`Filled ${filled}/${ALL_SLOTS.length}`, `Unassigned ${bench.length}`, `Minors ${state.minors.length}`];
+    if (Object.keys(issues).length) bits.push(`⚠️ ${Object.keys(issues).length} slot(s) need attention`);
+    if (selected) bits.push(`Placing ${selected.name}: click a highlighted slot`);
+    meta.textContent = bits.join(" • ");
+  }
+
+  renderSolve(state, pool);
+  mountAllocationVisualizer();
+}
+
+// Current lineup vs. the solver's best, plus what's left open / on the bench.
+function renderSolve(state, pool) {
+  const box = document.getElementById("lpSolve");
+  if (!box) return;
+
+  const byKey = new Map(pool.map((p) => [p.player_key, p]));
+  const best = solveLineup(pool, { score: scoreOf, exclude: state.minors });
+  const current = Object.values(state.slots).reduce((acc, k) => acc + (byKey.has(k) ? scoreOf(byKey.get(k)) : 0), 0);
+  const gain = best.total - current;
+  const nameOf = (k) => byKey.get(k)?.name || k.split("|").pop();
+
+  const benchRows = best.bench
+    .map((b) => {
+      const why = !b.eligible.length
+        ? "No eligible slot"
+        : `Blocked at ${[...new Set(b.eligible.map(slotLabel))].join("/")}`;
+      return `
+        <tr>
+          <td>${escapeHtml(b.player.name)}</td>
+          <td>${escapeHtml(b.player.pos || b.player.type)}</td>
+          <td>${escapeHtml(fmtValue(b.value))}</td>
+          <td class="small">${escapeHtml(why)}${b.blockedBy.length ? ` (${escapeHtml(b.blockedBy.map((x) => nameOf(x.player_key)).slice(0, 3).join(", "))})` : ""}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  box.innerHTML = `
+    <div class="small">
+      Current ${escapeHtml(fmtValue(current))} • Optimal ${escapeHtml(fmtValue(best.total))}
+      ${gain > 0.05 ? ` • <strong>Auto-fill gains ${escapeHtml(fmtValue(gain))}</strong>` : " • Current lineup is optimal"}
+    </div>
+    <div class="small" style="margin-top:6px; opacity:.85;">${escapeHtml(describeSolve(best))}</div>
+    ${
+      benchRows
+        ? `<table style="margin-top:10px;">
+            <thead><tr><th>Stranded</th><th>Pos</th><th>Value</th><th>Why</th></tr></thead>
+            <tbody>${benchRows}</tbody>
+          </table>`
+        : ""
+    }
+  `;
+}
+
+function setStatus(msg) {
+  const el = document.getElementById("lpStatus");
+  if (el) el.textContent = msg;
+}
+
+/**
+ * Move `key` to a drop target ("slot:C" | "pool" | "minors").
+ */
+function place(key, target) {
+  if (!key || !target) return;
+  const state = getLineupPlanner();
+
+  if (target === "pool") {
+    setLineupPlanner(releaseToPool(state, key));
+  } else if (target === "minors") {
+    setLineupPlanner(moveToMinors(state, key));
+  } else if (target.startsWith("slot:")) {
+    const player = currentPool().find((p) => p.player_key === key);
+    if (!player) {
+      setStatus("That player isn't on the roster or targets anymore.");
+      return;
+    }
+    const res = assignToSlot(state, target.slice(5), player);
+    if (res.error) {
+      setStatus(res.error);
+      return;
+    }
+    setLineupPlanner(res.state);
+  }
+
+  selectedKey = "";
+  setStatus("");
+  render();
+}
+
+function bindEvents(root) {
+  root.addEventListener("dragstart", (e) => {
+    const chip = e.target?.closest?.("[data-lp-key]");
+    if (!chip) return;
+    e.dataTransfer.setData("text/plain", chip.getAttribute("data-lp-key"));
+    e.dataTransfer.effectAllowed = "move";
+  });
+
+  root.addEventListener("dragover", (e) => {
+    const zone = e.target?.closest?.("[data-lp-drop]");
+    if (!zone) return;
+    e.preventDefault();
+    zone.classList.add("lpOver");
+  });
+
+  root.addEventListener("dragleave", (e) => {
+    e.target?.closest?.("[data-lp-drop]")?.classList.remove("lpOver");
+  });
+
+  root.addEventListener("drop", (e) => {
+    const zone = e.target?.closest?.("[data-lp-drop]");
+    if (!zone) return;
+    e.preventDefault();
+    zone.classList.remove("lpOver");
+    place(e.dataTransfer.getData("text/plain"), zone.getAttribute("data-lp-drop"));
+  });
+
+  root.addEventListener("click", (e) => {
+    const clear = e.target?.closest?.("[data-lp-clear]");
+    if (clear) {
+      setLineupPlanner(clearSlot(getLineupPlanner(), clear.getAttribute("data-lp-clear")));
+      render();
+      return;
+    }
+
+    const chip = e.target?.closest?.("[data-lp-key]");
+    const zone = e.target?.closest?.("[data-lp-drop]");
+    if (chip) {
+      const key = chip.getAttribute("data-lp-key");
+      // Clicking someone else's chip while placing = drop onto their spot
+      if (selectedKey && selectedKey !== key && zone) {
+        place(selectedKey, zone.getAttribute("data-lp-drop"));
+        return;
+      }
+      selectedKey = selectedKey === key ? "" : key;
+      render();
+      return;
+    }
+
+    if (zone && selectedKey) place(selectedKey, zone.getAttribute("data-lp-drop"));
+  });
+}
+
+async function init() {
+  const root = document.getElementById("lineupPlanner");
+  if (!root) return;
+
+  try {
+    REPO = await loadPlayerRepo();
+  } catch (e) {
+    // Positions fall back to what the roster/targets carry.
+    console.warn("[lineup-page] Player repository unavailable:", e);
+  }
+  SGP = computeSgp();
+
+  bindEvents(root);
+
+  document.getElementById("lpAutoFill")?.addEventListener("click", () => {
+    const { state, result } = solvePlanner(getLineupPlanner(), currentPool(), { score: scoreOf });
+    setLineupPlanner(state);
+    setStatus(`Auto-filled ✓ ${describeSolve(result)}`);
+    render();
+  });
+
+  document.getElementById("lpFillGaps")?.addEventListener("click", () => {
+    const { state, result } = solvePlanner(getLineupPlanner(), currentPool(), { keep: true, score: scoreOf });
+    setLineupPlanner(state);
+    setStatus(`Filled open slots ✓ ${describeSolve(result)}`);
+    render();
+  });
+
+  document.getElementById("lpClearAll")?.addEventListener("click", () => {
+    setLineupPlanner({ slots: {}, minors: getLineupPlanner().minors });
+    setStatus("Slots cleared");
+    render();
+  });
+
+  document.getElementById("lpIncludeTargets")?.addEventListener("change", render);
+
+  // Planner / roster / targets edited here, on another page's panel or in another tab
+  onStateChange([STATE_KEYS.planner, STATE_KEYS.roster, STATE_KEYS.targets, STATE_KEYS.settings], ({ keys }) => {
+    if (keys.has(STATE_KEYS.settings)) SGP = computeSgp(); // strategy weights
+    render();
+  });
+
+  // A saved name alias (Data page) re-joins roster names to the data files
+  onStateChange([STATE_KEYS.nameAliases], () =>
+    loadPlayerRepo({ reload: true })
+      .then((next) => {
+        REPO = next;
+        SGP = computeSgp();
+        render();
+      })
+      .catch((err) => console.warn("[lineup-page] Player repository reload failed:", err))
+  );
+
+  hydrateHeader();
+  render();
+}
+
+init().catch((err) => console.error("Lineup page init failed:", err));
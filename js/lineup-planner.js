@@ -0,0 +1,188 @@
+// js/lineup-planner.js
+// Lineup planner rules + state helpers (no DOM).
+// - Slot list (13 hitter + 9 pitcher slots) and eligibility rules
+// - Player pool = our roster + Auction Board targets
+// - Pure assign / clear / minors helpers over the saved planner state
+// - Auto-fill: see roster-solver.js
+
+import { getLineupPlanner, getRoster, getAuctionTargets } from "./storage.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+
+export const HIT_SLOTS = ["C", "1B", "2B", "3B", "SS", "CI", "MI", "LF", "CF", "RF", "OF1", "OF2", "UT"];
+export const PIT_SLOTS = Array.from({ length: 9 }).map((_, i) => `P${i + 1}`);
+export const ALL_SLOTS = [...HIT_SLOTS, ...PIT_SLOTS];
+
+const OF_POS = ["OF", "LF", "CF", "RF"];
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normPosList(pos) {
+  return String(pos ?? "")
+    .split(/[,/\s]+/)
+    .map((p) => p.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function normType(t) {
+  const s = String(t ?? "").trim().toLowerCase();
+  return s === "pit" ? "pit" : "hit";
+}
+
+/**
+ * Display label for a slot key (OF1 → OF, P3 → P).
+ */
+export function slotLabel(slotKey) {
+  if (slotKey === "OF1" || slotKey === "OF2") return "OF";
+  if (/^P\d+$/.test(slotKey)) return "P";
+  return slotKey;
+}
+
+export function isPitchingSlot(slotKey) {
+  return /^P\d+$/.test(String(slotKey));
+}
+
+/**
+ * Can `player` ({ type, POS/pos }) fill `slotKey`?
+ */
+export function isEligibleForSlot(player, slotKey) {
+  const type = normType(player.type ?? player.Type ?? "");
+  const posList = normPosList(player.POS ?? player.pos ?? player.Position ?? "");
+
+  // Pitching slots
+  if (isPitchingSlot(slotKey)) return type === "pit";
+
+  // UT
+  if (slotKey === "UT") return type === "hit";
+
+  // OF duplicates
+  if (slotKey === "OF1" || slotKey === "OF2") {
+    return type === "hit" && posList.some((p) => OF_POS.includes(p));
+  }
+
+  // CI / MI
+  if (slotKey === "CI") return type === "hit" && (posList.includes("1B") || posList.includes("3B"));
+  if (slotKey === "MI") return type === "hit" && (posList.includes("2B") || posList.includes("SS"));
+
+  // Standard
+  return type === "hit" && posList.includes(slotKey);
+}
+
+export function eligibleSlots(player) {
+  return ALL_SLOTS.filter((k) => isEligibleForSlot(player, k));
+}
+
+export function getEmptySlotKeys(state = getLineupPlanner()) {
+  const slots = state?.slots || {};
+  return ALL_SLOTS.filter((k) => !slots[k]);
+}
+
+/**
+ * Planner pool: our roster (contracted or not) + Auction Board targets.
+ *
+ * - lookup(player_key): optional merged record (player repository) used to
+ *   widen positions (e.g. "CF" → "CF,RF,OF") and to value the player
+ *
+ * Returns [{ player_key, name, type, pos, source: "roster" | "target", price, value }]
+ */
+export function getPlannerPool({ lookup = () => null, includeTargets = true } = {}) {
+  const out = new Map();
+
+  const add = (row) => {
+    if (!row.name || out.has(row.player_key)) return;
+    const rec = lookup(row.player_key);
+    const pos = [...new Set([...normPosList(row.pos), ...normPosList(rec?.POS)])].join(",");
+    out.set(row.player_key, {
+      ...row,
+      pos,
+      value: rec ? getBaseVal26(rec) : num(row.value, 0),
+    });
+  };
+
+  for (const r of getRoster() || []) {
+    add({
+      player_key: getPlayerKey({ type: r.type, Name: r.name }),
+      name: r.name,
+      type: normType(r.type),
+      pos: r.pos,
+      source: "roster",
+      contracted: !!r.underContract,
+      price: num(r.price, 0),
+    });
+  }
+
+  if (includeTargets) {
+    for (const t of getAuctionTargets() || []) {
+      add({
+        player_key: t.player_key || getPlayerKey({ type: t.type, Name: t.name }),
+        name: t.name,
+        type: normType(t.type),
+        pos: t.pos,
+        source: "target",
+        contracted: false,
+        price: num(t.plan, 0),
+        value: t.val,
+      });
+    }
+  }
+
+  return [...out.values()];
+}
+
+/* --------------------------- State helpers ---------------------------- */
+// All helpers are pure: they take a planner state and return a new one.
+
+function without(state, key) {
+  const slots = {};
+  for (const [k, v] of Object.entries(state.slots || {})) if (v !== key) slots[k] = v;
+  return { slots, minors: (state.minors || []).filter((m) => m !== key) };
+}
+
+/**
+ * Put a player in a slot (moving them out of any other slot / the minors).
+ * A player already in the target slot is bumped back to the pool.
+ * Returns { state, error } — error is set (and state unchanged) if ineligible.
+ */
+export function assignToSlot(state, slotKey, player) {
+  if (!ALL_SLOTS.includes(slotKey)) return { state, error: `Unknown slot ${slotKey}` };
+  if (!isEligibleForSlot(player, slotKey)) {
+    return { state, error: `${player.name} can't play ${slotLabel(slotKey)} (${player.pos || "no position"})` };
+  }
+  const next = without(state, player.player_key);
+  next.slots[slotKey] = player.player_key;
+  return { state: next, error: "" };
+}
+
+export function clearSlot(state, slotKey) {
+  const slots = { ...(state.slots || {}) };
+  delete slots[slotKey];
+  return { slots, minors: [...(state.minors || [])] };
+}
+
+export function moveToMinors(state, key) {
+  const next = without(state, key);
+  next.minors.push(key);
+  return next;
+}
+
+/** Back to the unassigned pool. */
+export function releaseToPool(state, key) {
+  return without(state, key);
+}
+
+/**
+ * Slot problems: assignments whose player left the pool or no longer fits.
+ * Returns { [slotKey]: "message" }.
+ */
+export function checkAssignments(state, pool) {
+  const byKey = new Map(pool.map((p) => [p.player_key, p]));
+  const out = {};
+  for (const [slot, key] of Object.entries(state.slots || {})) {
+    const p = byKey.get(key);
+    if (!p) out[slot] = "Not on the roster or targets anymore";
+    else if (!isEligibleForSlot(p, slot)) out[slot] = `Not eligible at ${slotLabel(slot)}`;
+  }
+  return out;
+}
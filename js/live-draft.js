@@ -0,0 +1,298 @@
+// js/live-draft.js
+// Live Draft panel for the Auction Board.
+// - Nominate a player, track the current high bid, close it as a sale
+// - Sales persist in localStorage (storage.js) and drop the player from the pool
+// - Sales won by our team are mirrored into the roster + budget
+// - Enforce prices: flags a bid below ours, advises on pushing it, and tracks
+//   how often a push stuck us (enforce-tracker.js)
+
+import {
+  getDraftLog,
+  nominatePlayer,
+  updateNominationBid,
+  clearNomination,
+  recordSale,
+  removeSale,
+  clearDraftLog,
+  getMyTeamName,
+  getLeague,
+} from "./storage.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { getEnforceAdvice, getEnforceStats, describeEnforceStats } from "./enforce-tracker.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function knownTeams() {
+  const seen = new Map();
+  const add = (t) => {
+    const name = String(t ?? "").trim();
+    if (name && !seen.has(name.toLowerCase())) seen.set(name.toLowerCase(), name);
+  };
+
+  add(getMyTeamName());
+  for (const t of getLeague().teams) add(t.name);
+  const log = getDraftLog();
+  for (const s of log.sales) {
+    add(s.team);
+    add(s.nominated_by);
+  }
+  if (log.nomination) {
+    add(log.nomination.nominated_by);
+    add(log.nomination.bidder);
+  }
+  return [...seen.values()];
+}
+
+function ensureTeamDatalist() {
+  const id = "draftTeamList";
+  let dl = document.getElementById(id);
+  if (!dl) {
+    dl = document.createElement("datalist");
+    dl.id = id;
+    document.body.appendChild(dl);
+  }
+  dl.innerHTML = knownTeams()
+    .map((t) => `<option value="${escapeHtml(t)}"></option>`)
+    .join("");
+}
+
+function renderNomination(box, lookup) {
+  const nom = getDraftLog().nomination;
+
+  if (!nom) {
+    box.innerHTML = `<div class="small" style="opacity:.75;">No player on the block. Nominate one above.</div>`;
+    return;
+  }
+
+  const p = lookup(nom.name);
+  const val = p ? getBaseVal26(p) : 0;
+  const bid = num(nom.bid, 0);
+  const edge = val - bid;
+  const edgeTxt = edge >= 0 ? `+${Math.round(edge)}` : `${Math.round(edge)}`;
+  const enf = getEnforceAdvice();
+
+  box.innerHTML = `
+    <div style="display:flex; justify-content:space-between; gap:12px; flex-wrap:wrap; align-items:center;">
+      <div>
+        <div style="font-weight:900;">${escapeHtml(nom.name)}</div>
+        <div class="small" style="opacity:.8;">
+          ${escapeHtml([typeLabel(nom.type), nom.pos].filter(Boolean).join(" • "))}
+          ${nom.nominated_by ? ` • Nominated by ${escapeHtml(nom.nominated_by)}` : ""}
+        </div>
+      </div>
+      <div style="display:flex; gap:6px; flex-wrap:wrap;">
+        <span class="chip">Val ${money(val)}</span>
+        <span class="chip">Bid ${money(bid)}</span>
+        <span class="chip chipDelta">Δ ${edgeTxt}</span>
+        ${enf ? `<span class="chip chipNeed${enf.below ? " chipEnforce" : ""}">Enforce ${money(enf.enforce)}</span>` : ""}
+      </div>
+    </div>
+    ${enf ? renderEnforce(enf) : ""}
+
+    <div class="grid" style="margin-top:10px;">
+      <label class="panel third">
+        <div class="small">Current bid $</div>
+        <input id="ldBid" type="number" min="0" step="1" value="${bid}" />
+      </label>
+      <label class="panel third">
+        <div class="small">High bidder / winner</div>
+        <input id="ldBidder" type="text" list="draftTeamList" value="${escapeHtml(nom.bidder ?? "")}" placeholder="Team" />
+      </label>
+      <div class="panel third" style="display:flex; gap:8px; align-items:flex-end; flex-wrap:wrap;">
+        <button id="ldSold" type="button">Sold</button>
+        <button id="ldMine" class="ghost" type="button">Won by ${escapeHtml(getMyTeamName())}</button>
+        <button id="ldCancel" class="ghost" type="button">Cancel</button>
+      </div>
+    </div>
+  `;
+}
+
+const ENFORCE_LABELS = {
+  push: "Push it",
+  careful: "Push with care",
+  hold: "Don't push",
+  ours: "We lead",
+  met: "Enforce reached",
+};
+
+function renderEnforce(enf) {
+  return `
+    <div class="panel enforceBox${enf.below ? " enforceBelow" : ""}" style="margin-top:10px;">
+      <div style="display:flex; justify-content:space-between; gap:10px; flex-wrap:wrap; align-items:center;">
+        <strong>${escapeHtml(ENFORCE_LABELS[enf.action] || enf.action)}</strong>
+        ${
+          enf.action === "push" || enf.action === "careful"
+            ? `<button id="ldPush" class="ghost" type="button">Push to ${money(enf.next)} (${escapeHtml(getMyTeamName())})</button>`
+            : ""
+        }
+      </div>
+      <div class="small" style="margin-top:6px; opacity:.9;">${enf.reasons.map(escapeHtml).join("<br />")}</div>
+    </div>
+  `;
+}
+
+function renderSales(tbody, meta, lookup) {
+  const { sales } = getDraftLog();
+
+  if (meta) {
+    const spent = sales.reduce((acc, s) => acc + num(s.price), 0);
+    const mine = sales.filter((s) => s.mine);
+    const mineSpent = mine.reduce((acc, s) => acc + num(s.price), 0);
+    const enforce = getEnforceStats(sales);
+    meta.textContent =
+      `Sold: ${sales.length} • League spend: ${money(spent)} • Ours: ${mine.length} for ${money(mineSpent)}` +
+      (enforce.pushes ? ` • ${describeEnforceStats(enforce)}` : "");
+  }
+
+  if (!sales.length) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="6" class="small" style="padding:12px;">No sales yet.</td>
+      </tr>
+    `;
+    return;
+  }
+
+  tbody.innerHTML = sales
+    .map((s) => {
+      const p = lookup(s.name);
+      const val = p ? getBaseVal26(p) : 0;
+      const d = val - num(s.price);
+      const dTxt = d >= 0 ? `+${Math.round(d)}` : `${Math.round(d)}`;
+      return `
+        <tr>
+          <td>
+            ${escapeHtml(s.name)}${s.mine ? ` <span class="chip chipNeed">Ours</span>` : ""}
+            ${s.enforced ? ` <span class="chip chipNeed${s.mine ? " chipEnforce" : ""}" title="We pushed from ${money(s.enforced.from)} (enforce ${money(s.enforced.enforce)})">${s.mine ? "Enforce stuck" : "Enforced"}</span>` : ""}
+          </td>
+          <td>${escapeHtml(s.team || "—")}</td>
+          <td style="text-align:right;">${money(s.price)}</td>
+          <td style="text-align:right;">${money(val)}</td>
+          <td style="text-align:right;">${dTxt}</td>
+          <td style="text-align:right;">
+            <button class="ghost" type="button" data-ld-undo="${escapeHtml(s.id)}">Undo</button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+}
+
+/**
+ * Mount the Live Draft panel.
+ *
+ * - lookup(name): returns the auction CSV row for a typed player name (or null)
+ *
+ * Actions only write the draft log; the page re-renders (this panel included,
+ * via the returned refresh) from its state-change subscription.
+ */
+export function mountLiveDraft({ lookup = () => null } = {}) {
+  const root = document.getElementById("liveDraft");
+  if (!root) return null;
+
+  const nomName = document.getElementById("ldNomName");
+  const nomBy = document.getElementById("ldNomBy");
+  const nomBid = document.getElementById("ldNomBid");
+  const btnNominate = document.getElementById("ldNominate");
+  const nomBox = document.getElementById("ldNomination");
+  const salesTbody = document.getElementById("ldSalesTbody");
+  const salesMeta = document.getElementById("ldMeta");
+
+  if (nomName) nomName.setAttribute("list", "playerNameList");
+
+  function refresh() {
+    ensureTeamDatalist();
+    if (nomBox) renderNomination(nomBox, lookup);
+    if (salesTbody) renderSales(salesTbody, salesMeta, lookup);
+  }
+
+  btnNominate?.addEventListener("click", () => {
+    const typed = String(nomName?.value ?? "").trim();
+    if (!typed) return;
+
+    const p = lookup(typed);
+    const name = p ? String(p.Name ?? p.player ?? typed).trim() : typed;
+    const type = typeLabel(p?.type);
+
+    nominatePlayer(
+      {
+        player_key: p?.player_key || getPlayerKey({ type, Name: name }),
+        name,
+        type,
+        pos: String(p?.display_role ?? p?.role_25 ?? "").trim(),
+      },
+      { nominatedBy: nomBy?.value ?? "", bid: Math.max(1, num(nomBid?.value, 1)) }
+    );
+
+    if (nomName) nomName.value = "";
+    if (nomBid) nomBid.value = "";
+  });
+
+  nomName?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") btnNominate?.click();
+  });
+
+  // Nomination controls are re-rendered, so delegate from the box.
+  nomBox?.addEventListener("change", (e) => {
+    const id = e.target?.id;
+    if (id === "ldBid" || id === "ldBidder") {
+      const bid = document.getElementById("ldBid")?.value;
+      const bidder = document.getElementById("ldBidder")?.value;
+      updateNominationBid(bid, bidder);
+    }
+  });
+
+  nomBox?.addEventListener("click", (e) => {
+    const id = e.target?.id;
+    const bid = num(document.getElementById("ldBid")?.value, 0);
+    const bidder = String(document.getElementById("ldBidder")?.value ?? "").trim();
+
+    if (id === "ldSold") {
+      if (!bidder) {
+        document.getElementById("ldBidder")?.focus?.();
+        return;
+      }
+      recordSale({ team: bidder, price: bid });
+    }
+
+    if (id === "ldMine") recordSale({ team: getMyTeamName(), price: bid });
+    if (id === "ldPush") updateNominationBid(bid + 1, getMyTeamName());
+    if (id === "ldCancel") clearNomination();
+  });
+
+  document.getElementById("ldReset")?.addEventListener("click", () => {
+    const log = getDraftLog();
+    if (!log.nomination && !log.sales.length) return;
+    if (!confirm(`Reset the draft? ${log.sales.length} sale(s) and the open nomination will be cleared, and players we bought leave the roster.`)) return;
+    clearDraftLog();
+  });
+
+  salesTbody?.addEventListener("click", (e) => {
+    const btn = e.target?.closest?.("[data-ld-undo]");
+    if (!btn) return;
+    removeSale(btn.getAttribute("data-ld-undo"));
+  });
+
+  refresh();
+  return { refresh };
+}
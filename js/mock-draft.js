@@ -0,0 +1,751 @@
+// js/mock-draft.js
+// Mock Draft panel for the Auction Board: rehearse the auction against
+// computer-controlled teams.
+// - N simulated teams with budgets + hitter/pitcher slot needs, optionally
+//   starting from our contracted roster and opponents' keepers
+// - Bots nominate and bid off auction_value_26 blended with the master.csv
+//   Market Estimate, scaled by room inflation, their aggression and noise
+// - We nominate / bid from the panel; bots answer straight away
+// - Saved on its own (hag_mock_draft_v1): never touches the real draft log,
+//   roster or ledger
+// - Summary: our roster, spend by bucket (hit / SP / RP) and projected
+//   category totals ranked against the bots
+
+import { getMockDraft, saveMockDraft, clearMockDraft, getLeague, getRoster, getMyTeamName, DEFAULT_TEAM_COUNT } from "./storage.js";
+import { getBaseVal26, getMarketEstimate, getPlayerKey } from "./auction-data.js";
+import { computeInflation } from "./inflation.js";
+import { classifySpend } from "./allocation.js";
+import { teamCategoryTotals, higherIsBetter, SGP_HIT_CATS, SGP_PIT_CATS } from "./sgp.js";
+import { withStats } from "./player-repo.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function clone(x) {
+  return JSON.parse(JSON.stringify(x));
+}
+
+export const MOCK_DEFAULTS = {
+  teams: DEFAULT_TEAM_COUNT,
+  budget: 300,
+  hitSlots: 14,
+  pitSlots: 9,
+  minBid: 1,
+  aggression: 1, // 1 = pay value; 1.2 = 20% over
+  randomness: 0.15, // ± spread on each bot's price for a player
+  keepers: true,
+};
+
+/* ------------------------------ Engine ------------------------------- */
+// Pure state machine over a plain object (saved as-is). Every public step
+// takes (state, pool) and returns { state, error } with a fresh copy.
+//
+// State:
+// {
+//   settings: MOCK_DEFAULTS shape,
+//   rng: uint32,                      // seeded so a reload replays the same bots
+//   inflation0: room inflation at the start (bots price off the drift)
+//   status: "nominating" | "bidding" | "next" | "done",
+//   order: index of the next team to nominate,
+//   teams: [{ id, name, mine, aggression, spent, stuck,
+//             roster: [{ player_key, name, type, pos, price, keeper }] }],
+//   nomination: { player_key, name, type, pos, bid, bidder, nominated_by,
+//                 maxes: { teamId: $ } } | null,
+//   sales: [{ pick, player_key, name, type, pos, price, team, mine }]
+// }
+//
+// pool: { list: auction players, byKey: Map(player_key -> record) } — see buildMockPool().
+
+// mulberry32
+function rand(state) {
+  state.rng = (state.rng + 0x6d2b79f5) >>> 0;
+  let t = state.rng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Roughly bell-shaped in [-1, 1]
+function spread(state) {
+  return (rand(state) + rand(state) + rand(state) - 1.5) / 1.5;
+}
+
+/**
+ * Pool for the engine from the player repository.
+ */
+export function buildMockPool(repo) {
+  return {
+    list: (repo?.players || []).filter((p) => p.sources?.auction),
+    byKey: repo?.byKey || new Map(),
+  };
+}
+
+/**
+ * What the room thinks a player is worth: model value blended with the
+ * master.csv market estimate (model only when there's no estimate).
+ */
+export function mockBaseValue(rec) {
+  const val = getBaseVal26(rec);
+  const market = getMarketEstimate(rec);
+  return market == null ? val : (val + market) / 2;
+}
+
+function myTeam(state) {
+  return state.teams.find((t) => t.mine);
+}
+
+function teamById(state, id) {
+  return state.teams.find((t) => t.id === id) || null;
+}
+
+export function mockOpenSlots(state, team, type) {
+  const cap = type === "pit" ? state.settings.pitSlots : state.settings.hitSlots;
+  return Math.max(0, cap - team.roster.filter((r) => r.type === type).length);
+}
+
+function totalOpen(state, team) {
+  return mockOpenSlots(state, team, "hit") + mockOpenSlots(state, team, "pit");
+}
+
+export function mockRemaining(state, team) {
+  return state.settings.budget - team.spent;
+}
+
+/** Most a team can bid while keeping the min bid for every other open slot. */
+export function mockMaxBid(state, team) {
+  const open = totalOpen(state, team);
+  if (!open) return 0;
+  return Math.max(0, mockRemaining(state, team) - state.settings.minBid * (open - 1));
+}
+
+function hasNeed(state, team) {
+  return !team.stuck && totalOpen(state, team) > 0 && mockMaxBid(state, team) >= state.settings.minBid;
+}
+
+function takenKeys(state) {
+  const out = new Set();
+  for (const t of state.teams) for (const r of t.roster) out.add(r.player_key);
+  return out;
+}
+
+export function mockAvailable(state, pool) {
+  const taken = takenKeys(state);
+  return pool.list.filter((p) => !taken.has(p.player_key));
+}
+
+function isDone(state, pool) {
+  return !state.teams.some((t) => hasNeed(state, t)) || !mockAvailable(state, pool).length;
+}
+
+function inflationFactor(state, pool) {
+  const live = state.teams.filter((t) => totalOpen(state, t) > 0);
+  return computeInflation({
+    players: pool.list,
+    dollarsLeft: live.reduce((acc, t) => acc + Math.max(0, mockRemaining(state, t)), 0),
+    slotsLeft: live.reduce((acc, t) => acc + totalOpen(state, t), 0),
+    takenKeys: takenKeys(state),
+  }).factor;
+}
+
+// Drift since the opening bell. The blended value is already a market price,
+// so only the change in the room's inflation moves bots off it.
+function roomInflation(state, pool) {
+  const start = num(state.inflation0, 0);
+  return start > 0 ? inflationFactor(state, pool) / start : 1;
+}
+
+// Each team's walk-away price, drawn once per nomination.
+function drawMaxes(state, pool, rec) {
+  const type = typeLabel(rec.type);
+  const base = mockBaseValue(rec) * roomInflation(state, pool);
+  const live = state.teams.filter((t) => totalOpen(state, t) > 0);
+  const roomPerSlot =
+    live.reduce((acc, t) => acc + Math.max(0, mockRemaining(state, t)), 0) /
+    Math.max(1, live.reduce((acc, t) => acc + totalOpen(state, t), 0));
+
+  const maxes = {};
+  for (const t of state.teams) {
+    if (!mockOpenSlots(state, t, type)) continue;
+    const aggression = t.mine ? 1 : t.aggression;
+    // Cash-rich teams reach, cash-poor teams hold back.
+    const perSlot = Math.max(0, mockRemaining(state, t)) / Math.max(1, totalOpen(state, t));
+    const pressure = roomPerSlot > 0 ? Math.min(2, Math.max(0.5, Math.sqrt(perSlot / roomPerSlot))) : 1;
+    const want = Math.floor(base * aggression * pressure * (1 + state.settings.randomness * spread(state)));
+    maxes[t.id] = Math.min(Math.max(0, want), mockMaxBid(state, t));
+  }
+  return maxes;
+}
+
+// Bots (and us on autopilot) outbid the high bidder up to their max.
+function botsRespond(state, autopilot) {
+  const nom = state.nomination;
+  const bidders = state.teams
+    .filter((t) => !t.mine || autopilot)
+    .map((t) => ({ id: t.id, max: num(nom.maxes[t.id], 0) }))
+    .sort((a, b) => b.max - a.max);
+
+  const top = bidders[0];
+  if (!top || top.max <= nom.bid || top.id === nom.bidder) return;
+
+  const second = bidders.find((b) => b.id !== top.id)?.max ?? 0;
+  nom.bid = Math.min(top.max, Math.max(nom.bid + 1, second + 1));
+  nom.bidder = top.id;
+}
+
+function startNomination(state, pool, rec, team, bid, autopilot) {
+  state.nomination = {
+    player_key: rec.player_key,
+    name: String(rec.Name ?? rec.name ?? "").trim(),
+    type: typeLabel(rec.type),
+    pos: String(rec.POS ?? rec.display_role ?? "").trim(),
+    bid,
+    bidder: team.id,
+    nominated_by: team.id,
+    maxes: drawMaxes(state, pool, rec),
+  };
+  state.status = "bidding";
+  botsRespond(state, autopilot);
+}
+
+// Bots put up a player they want: one of the best left at a position of need.
+function botNominate(state, pool, team, autopilot) {
+  const needs = ["hit", "pit"].filter((t) => mockOpenSlots(state, team, t) > 0);
+  const options = mockAvailable(state, pool)
+    .filter((p) => needs.includes(typeLabel(p.type)))
+    .sort((a, b) => mockBaseValue(b) - mockBaseValue(a))
+    .slice(0, 6);
+  if (!options.length) return false;
+
+  const pick = options[Math.floor(rand(state) ** 2 * options.length)];
+  startNomination(state, pool, pick, team, state.settings.minBid, autopilot);
+  return true;
+}
+
+function closeSale(state) {
+  const nom = state.nomination;
+  const team = teamById(state, nom.bidder);
+  if (team) {
+    team.roster.push({ player_key: nom.player_key, name: nom.name, type: nom.type, pos: nom.pos, price: nom.bid, keeper: false });
+    team.spent += nom.bid;
+    state.sales.push({
+      pick: state.sales.length + 1,
+      player_key: nom.player_key,
+      name: nom.name,
+      type: nom.type,
+      pos: nom.pos,
+      price: nom.bid,
+      team: team.id,
+      mine: team.mine,
+    });
+  }
+  state.nomination = null;
+  state.status = "next";
+}
+
+function nextNominator(state) {
+  const n = state.teams.length;
+  for (let i = 0; i < n; i++) {
+    const idx = (state.order + i) % n;
+    const t = state.teams[idx];
+    if (!hasNeed(state, t)) continue;
+    state.order = (idx + 1) % n;
+    return t;
+  }
+  return null;
+}
+
+/** Can we still outbid the current high bid? */
+export function mockCanBid(state) {
+  const nom = state.nomination;
+  const me = myTeam(state);
+  if (!nom || !me || nom.bidder === me.id) return false;
+  return mockOpenSlots(state, me, nom.type) > 0 && mockMaxBid(state, me) > nom.bid;
+}
+
+// Drive the room until it's our move (or the draft ends). Autopilot plays
+// our team like a bot (aggression 1).
+function run(state, pool, autopilot = false) {
+  for (let guard = 0; guard < 10000; guard++) {
+    if (state.status === "bidding") {
+      if (!autopilot && mockCanBid(state)) return state;
+      closeSale(state);
+      continue;
+    }
+
+    if (isDone(state, pool)) {
+      state.status = "done";
+      state.nomination = null;
+      return state;
+    }
+
+    if (state.status === "nominating") {
+      if (!autopilot) return state;
+      const me = myTeam(state);
+      if (!botNominate(state, pool, me, true)) {
+        me.stuck = true;
+        state.status = "next";
+      }
+      continue;
+    }
+
+    const team = nextNominator(state);
+    if (!team) {
+      state.status = "done";
+      return state;
+    }
+    if (team.mine) {
+      state.status = "nominating";
+      continue;
+    }
+    if (!botNominate(state, pool, team, autopilot)) team.stuck = true;
+  }
+  return state;
+}
+
+/**
+ * New mock draft. Team names come from the saved league; with keepers on,
+ * we start from our contracted roster and opponents from their keepers.
+ */
+export function createMockDraft(pool, opts = {}) {
+  const settings = { ...MOCK_DEFAULTS, ...opts };
+  settings.teams = Math.min(30, Math.max(2, Math.round(num(settings.teams, MOCK_DEFAULTS.teams))));
+  settings.aggression = Math.min(2, Math.max(0.5, num(settings.aggression, 1)));
+  settings.randomness = Math.min(0.5, Math.max(0, num(settings.randomness, MOCK_DEFAULTS.randomness)));
+
+  const league = opts.league || getLeague();
+  const opponents = league.teams.filter((t) => !t.mine);
+
+  const state = {
+    settings,
+    rng: (num(opts.seed, Date.now()) >>> 0) || 1,
+    status: "next",
+    order: 0,
+    teams: [],
+    nomination: null,
+    sales: [],
+    created_at: new Date().toISOString(),
+  };
+
+  for (let i = 0; i < settings.teams; i++) {
+    const mine = i === 0;
+    const opp = opponents[i - 1];
+    let roster = [];
+    if (settings.keepers && mine) {
+      roster = (opts.roster || getRoster() || [])
+        .filter((r) => r.underContract)
+        .map((r) => ({
+          player_key: getPlayerKey({ type: r.type, Name: r.name }),
+          name: r.name,
+          type: typeLabel(r.type),
+          pos: r.pos || "",
+          price: Math.max(0, num(r.price, 0)),
+          keeper: true,
+        }));
+    } else if (settings.keepers && opp) {
+      roster = opp.keepers.map((k) => ({ ...k, type: typeLabel(k.type), price: num(k.price, 0), keeper: true }));
+    }
+
+    state.teams.push({
+      id: `mock${i + 1}`,
+      name: mine ? getMyTeamName() : opp?.name || `Bot ${i}`,
+      mine,
+      aggression: mine ? 1 : Math.round(settings.aggression * (1 + 0.2 * spread(state)) * 100) / 100,
+      spent: roster.reduce((acc, r) => acc + r.price, 0),
+      stuck: false,
+      roster,
+    });
+  }
+
+  state.order = Math.floor(rand(state) * settings.teams);
+  state.inflation0 = inflationFactor(state, pool);
+  return run(state, pool);
+}
+
+export function mockNominate(state, pool, player, bid) {
+  const s = clone(state);
+  if (s.status !== "nominating") return { state, error: "It isn't our turn to nominate." };
+  const me = myTeam(s);
+  const rec = player?.player_key ? pool.byKey.get(player.player_key) || player : null;
+  if (!rec) return { state, error: "Pick a player from the list." };
+  if (takenKeys(s).has(rec.player_key)) return { state, error: `${rec.Name ?? rec.name} is already taken.` };
+
+  const type = typeLabel(rec.type);
+  if (!mockOpenSlots(s, me, type)) return { state, error: `No ${type === "pit" ? "pitcher" : "hitter"} slots left.` };
+
+  const open = Math.max(s.settings.minBid, Math.round(num(bid, s.settings.minBid)));
+  if (open > mockMaxBid(s, me)) return { state, error: `Max bid is ${money(mockMaxBid(s, me))}.` };
+
+  startNomination(s, pool, rec, me, open, false);
+  if (s.nomination.bidder === me.id) closeSale(s);
+  return { state: run(s, pool), error: "" };
+}
+
+export function mockBid(state, pool, amount) {
+  const s = clone(state);
+  const nom = s.nomination;
+  if (s.status !== "bidding" || !nom) return { state, error: "Nobody is on the block." };
+  const me = myTeam(s);
+  const bid = Math.round(num(amount, 0));
+  if (bid <= nom.bid) return { state, error: `Bid more than ${money(nom.bid)}.` };
+  if (!mockOpenSlots(s, me, nom.type)) return { state, error: "No open slot for this player." };
+  if (bid > mockMaxBid(s, me)) return { state, error: `Max bid is ${money(mockMaxBid(s, me))}.` };
+
+  nom.bid = bid;
+  nom.bidder = me.id;
+  botsRespond(s, false);
+  if (nom.bidder === me.id) closeSale(s);
+  return { state: run(s, pool), error: "" };
+}
+
+export function mockPass(state, pool) {
+  const s = clone(state);
+  if (s.status !== "bidding" || !s.nomination) return { state, error: "" };
+  closeSale(s);
+  return { state: run(s, pool), error: "" };
+}
+
+/** Pass on everything until it's our nomination (or the end). */
+export function mockSimToMyTurn(state, pool) {
+  const s = clone(state);
+  while (s.status === "bidding") {
+    closeSale(s);
+    run(s, pool);
+  }
+  return { state: s, error: "" };
+}
+
+/** Finish the draft with our team on autopilot. */
+export function mockSimToEnd(state, pool) {
+  const s = clone(state);
+  if (s.status === "bidding") botsRespond(s, true);
+  return { state: run(s, pool, true), error: "" };
+}
+
+/* ------------------------------ Summary ------------------------------ */
+
+/**
+ * End-of-draft summary for our team.
+ * Returns {
+ *   team, rows: [{ ...rosterRow, value }],
+ *   spend: { hit, sp, rp, total }, value, totals: { cat: number },
+ *   ranks: { cat: 1..N }  // 1 = best in the mock league
+ * }
+ */
+export function summarizeMock(state, pool) {
+  const rec = (r) => pool.byKey.get(r.player_key) || null;
+  const statsOf = (team) => teamCategoryTotals(team.roster.map((r) => (rec(r) ? withStats(rec(r)) : r)));
+
+  const me = myTeam(state);
+  const rows = me.roster.map((r) => ({ ...r, value: rec(r) ? getBaseVal26(rec(r)) : 0 }));
+
+  const spend = { hit: 0, sp: 0, rp: 0, total: 0 };
+  for (const r of rows) {
+    const c = classifySpend({ type: r.type, pos: r.pos || rec(r)?.POS, dollars: r.price });
+    spend[c.bucket] += c.dollars;
+    spend.total += c.dollars;
+  }
+
+  const all = state.teams.map((t) => ({ id: t.id, totals: statsOf(t) }));
+  const totals = all.find((x) => x.id === me.id).totals;
+  const ranks = {};
+  for (const cat of [...SGP_HIT_CATS, ...SGP_PIT_CATS]) {
+    const better = all.filter((x) =>
+      higherIsBetter(cat) ? x.totals[cat] > totals[cat] : x.totals[cat] < totals[cat]
+    ).length;
+    ranks[cat] = better + 1;
+  }
+
+  return {
+    team: me,
+    rows,
+    spend,
+    value: rows.reduce((acc, r) => acc + r.value, 0),
+    totals,
+    ranks,
+  };
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+function fmtCat(cat, v) {
+  if (cat === "AVG" || cat === "OPS") return num(v).toFixed(3);
+  if (cat === "ERA" || cat === "WHIP") return num(v).toFixed(2);
+  return String(Math.round(num(v)));
+}
+
+function renderBlock(box, state, pool) {
+  const me = myTeam(state);
+  const nom = state.nomination;
+
+  if (state.status === "done") {
+    box.innerHTML = `<div class="small" style="opacity:.8;">Draft complete. Summary below.</div>`;
+    return;
+  }
+
+  if (state.status === "nominating") {
+    box.innerHTML = `
+      <div class="small" style="font-weight:900;">Your nomination</div>
+      <div class="grid" style="margin-top:8px;">
+        <label class="panel half">
+          <div class="small">Player</div>
+          <input id="mdNomName" type="text" list="playerNameList" placeholder="Juan Soto" />
+        </label>
+        <label class="panel third">
+          <div class="small">Opening bid $</div>
+          <input id="mdNomBid" type="number" min="${state.settings.minBid}" step="1" placeholder="${state.settings.minBid}" />
+        </label>
+      </div>
+      <div style="display:flex; gap:10px; margin-top:10px;">
+        <button id="mdNominate" type="button">Nominate</button>
+      </div>
+    `;
+    return;
+  }
+
+  if (!nom) {
+    box.innerHTML = "";
+    return;
+  }
+
+  const rec = pool.byKey.get(nom.player_key);
+  const val = rec ? getBaseVal26(rec) : 0;
+  const market = rec ? getMarketEstimate(rec) : null;
+  const bidder = teamById(state, nom.bidder);
+  const by = teamById(state, nom.nominated_by);
+
+  box.innerHTML = `
+    <div style="display:flex; justify-content:space-between; gap:12px; flex-wrap:wrap; align-items:center;">
+      <div>
+        <div style="font-weight:900;">${escapeHtml(nom.name)}</div>
+        <div class="small" style="opacity:.8;">
+          ${escapeHtml([nom.type, nom.pos].filter(Boolean).join(" • "))}${by ? ` • Nominated by ${escapeHtml(by.name)}` : ""}
+        </div>
+      </div>
+      <div style="display:flex; gap:6px; flex-wrap:wrap;">
+        <span class="chip">Val ${money(val)}</span>
+        ${market != null ? `<span class="chip">Market ${money(market)}</span>` : ""}
+        <span class="chip">Bid ${money(nom.bid)} • ${escapeHtml(bidder?.name ?? "—")}</span>
+        <span class="chip">Our max ${money(mockMaxBid(state, me))}</span>
+      </div>
+    </div>
+    <div style="display:flex; gap:10px; flex-wrap:wrap; margin-top:10px; align-items:center;">
+      <input id="mdBid" type="number" min="${nom.bid + 1}" step="1" value="${nom.bid + 1}" style="width:110px;" />
+      <button id="mdBidBtn" type="button">Bid</button>
+      <button id="mdPass" class="ghost" type="button">Pass</button>
+      <button id="mdSimTurn" class="ghost" type="button">Pass to my nomination</button>
+    </div>
+  `;
+}
+
+function renderTeams(box, state) {
+  box.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Team</th>
+          <th style="text-align:right;">$ Left</th>
+          <th style="text-align:right;">Max Bid</th>
+          <th style="text-align:right;">Hit Open</th>
+          <th style="text-align:right;">Pit Open</th>
+          <th style="text-align:right;">Aggr.</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${state.teams
+          .map(
+            (t) => `
+          <tr>
+            <td>${escapeHtml(t.name)}${t.mine ? ` <span class="chip chipNeed">Ours</span>` : ""}</td>
+            <td style="text-align:right;">${money(mockRemaining(state, t))}</td>
+            <td style="text-align:right;">${money(mockMaxBid(state, t))}</td>
+            <td style="text-align:right;">${mockOpenSlots(state, t, "hit")}</td>
+            <td style="text-align:right;">${mockOpenSlots(state, t, "pit")}</td>
+            <td style="text-align:right;">${t.mine ? "—" : `×${num(t.aggression, 1).toFixed(2)}`}</td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderSales(box, state) {
+  const recent = state.sales.slice(-12).reverse();
+  box.innerHTML = recent.length
+    ? recent
+        .map((s) => {
+          const team = teamById(state, s.team);
+          return `<div class="small">#${s.pick} ${escapeHtml(s.name)} → ${escapeHtml(team?.name ?? "?")} ${money(s.price)}${
+            s.mine ? ` <span class="chip chipNeed">Ours</span>` : ""
+          }</div>`;
+        })
+        .join("")
+    : `<div class="small" style="opacity:.6;">No sales yet.</div>`;
+}
+
+function renderSummary(box, state, pool) {
+  const sum = summarizeMock(state, pool);
+  const n = state.teams.length;
+  const catRow = (cats) =>
+    cats
+      .map(
+        (c) =>
+          `<span class="chip">${c} ${fmtCat(c, sum.totals[c])} <span style="opacity:.7;">(${sum.ranks[c]}/${n})</span></span>`
+      )
+      .join("");
+
+  box.innerHTML = `
+    <div class="small" style="font-weight:900;">${state.status === "done" ? "Final roster" : "Our roster so far"}</div>
+    <div class="small" style="margin-top:6px; opacity:.85;">
+      Spend ${money(sum.spend.total)} — Hit ${money(sum.spend.hit)} • SP ${money(sum.spend.sp)} • RP ${money(sum.spend.rp)}
+      • Value ${money(sum.value)}
+    </div>
+    <div style="display:flex; gap:6px; flex-wrap:wrap; margin-top:8px;">${catRow(SGP_HIT_CATS)}</div>
+    <div style="display:flex; gap:6px; flex-wrap:wrap; margin-top:6px;">${catRow(SGP_PIT_CATS)}</div>
+    <div class="small" style="margin-top:4px; opacity:.6;">Projected 2026 totals (rank among ${n} mock teams).</div>
+    <div style="margin-top:10px;">
+      ${
+        sum.rows.length
+          ? sum.rows
+              .map(
+                (r) =>
+                  `<div class="small">${escapeHtml(r.name)} <span style="opacity:.7;">${escapeHtml(r.pos || r.type)}</span> — ${money(
+                    r.price
+                  )}${r.keeper ? " (keeper)" : ""} <span style="opacity:.7;">val ${money(r.value)}</span></div>`
+              )
+              .join("")
+          : `<div class="small" style="opacity:.6;">Nobody yet.</div>`
+      }
+    </div>
+  `;
+}
+
+/**
+ * Mount the Mock Draft panel.
+ *
+ * - repo: loadPlayerRepo() result (auction players + stats)
+ * - lookup(name): auction row for a typed player name (or null)
+ */
+export function mountMockDraft({ repo, lookup = () => null } = {}) {
+  const root = document.getElementById("mockDraft");
+  if (!root) return null;
+
+  const pool = buildMockPool(repo);
+  const league = getLeague();
+  const el = (id) => document.getElementById(id);
+
+  const teamsInput = el("mdTeams");
+  if (teamsInput && !teamsInput.value) teamsInput.value = String(league.teams.length || MOCK_DEFAULTS.teams);
+
+  let state = getMockDraft();
+
+  const setStatus = (msg) => {
+    const s = el("mdStatus");
+    if (s) s.textContent = msg || "";
+  };
+
+  const apply = (res) => {
+    setStatus(res.error);
+    if (res.error) return;
+    state = saveMockDraft(res.state);
+    refresh();
+  };
+
+  function refresh() {
+    const live = el("mdLive");
+    if (live) live.style.display = state ? "" : "none";
+    const meta = el("mdMeta");
+    if (!state) {
+      if (meta) meta.textContent = "No mock draft running.";
+      return;
+    }
+
+    const me = myTeam(state);
+    if (meta) {
+      meta.textContent = `Pick ${state.sales.length + (state.nomination ? 1 : 0)} • ${mockAvailable(state, pool).length} available • Ours: ${
+        me.roster.length
+      } players, ${money(mockRemaining(state, me))} left`;
+    }
+
+    if (el("mdBlock")) renderBlock(el("mdBlock"), state, pool);
+    if (el("mdTeamsTable")) renderTeams(el("mdTeamsTable"), state);
+    if (el("mdSales")) renderSales(el("mdSales"), state);
+    if (el("mdSummary")) renderSummary(el("mdSummary"), state, pool);
+  }
+
+  el("mdStart")?.addEventListener("click", () => {
+    if (state && state.status !== "done" && !confirm("Start over? The current mock draft will be discarded.")) return;
+    const settings = {
+      teams: num(el("mdTeams")?.value, league.teams.length),
+      aggression: num(el("mdAggression")?.value, MOCK_DEFAULTS.aggression),
+      randomness: num(el("mdRandomness")?.value, MOCK_DEFAULTS.randomness),
+      keepers: el("mdKeepers")?.checked ?? true,
+      budget: league.budget,
+      hitSlots: league.hitter_slots,
+      pitSlots: league.pitcher_slots,
+      minBid: league.min_bid,
+    };
+    apply({ state: createMockDraft(pool, { ...settings, league }), error: "" });
+  });
+
+  el("mdReset")?.addEventListener("click", () => {
+    if (!state || !confirm("Delete the mock draft?")) return;
+    clearMockDraft();
+    state = null;
+    setStatus("");
+    refresh();
+  });
+
+  el("mdSimEnd")?.addEventListener("click", () => {
+    if (state && state.status !== "done") apply(mockSimToEnd(state, pool));
+  });
+
+  // Block controls are re-rendered, so delegate.
+  root.addEventListener("click", (e) => {
+    if (!state) return;
+    const id = e.target?.id;
+
+    if (id === "mdNominate") {
+      const typed = String(el("mdNomName")?.value ?? "").trim();
+      if (!typed) return;
+      const p = lookup(typed);
+      if (!p) {
+        setStatus(`No player named "${typed}".`);
+        return;
+      }
+      apply(mockNominate(state, pool, p, el("mdNomBid")?.value));
+    }
+    if (id === "mdBidBtn") apply(mockBid(state, pool, el("mdBid")?.value));
+    if (id === "mdPass") apply(mockPass(state, pool));
+    if (id === "mdSimTurn") apply(mockSimToMyTurn(state, pool));
+  });
+
+  root.addEventListener("keydown", (e) => {
+    if (e.key !== "Enter") return;
+    if (e.target?.id === "mdNomName" || e.target?.id === "mdNomBid") el("mdNominate")?.click();
+    if (e.target?.id === "mdBid") el("mdBidBtn")?.click();
+  });
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,188 @@
+// js/name-matching.js
+// Name Matching panel (Data page): rows the player repo couldn't join, with
+// resolver suggestions to confirm as aliases (hag_name_aliases_v1).
+// - Unmatched rows from each data file, plus roster / league keeper names
+//   that don't find a player
+// - Matches the repo made on its own (so a wrong one can be spotted)
+// - Same name on a hitter and a pitcher
+// - Saved aliases, removable
+
+import { getRoster, getLeague, getNameAliases, setNameAlias, removeNameAlias, onStateChange, STATE_KEYS } from "./storage.js";
+import { loadPlayerRepo, findPlayer } from "./player-repo.js";
+import { aliasKey } from "./name-resolver.js";
+
+const LIMIT = 100;
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function typeOfKey(key) {
+  const t = String(key ?? "").split("|")[0];
+  return t === "hit" || t === "pit" ? t : "";
+}
+
+function nameOfKey(key) {
+  return String(key ?? "").split("|").slice(1).join("|");
+}
+
+/**
+ * Everything that didn't join: [{ source, from, name, type, candidates }].
+ * from = the alias key a confirmed match is saved under.
+ */
+export function collectUnmatched(repo, { roster = getRoster() || [], league = getLeague() } = {}) {
+  const out = [];
+  const push = (source, name, type, from) => {
+    // A data-file row can only join a player that file doesn't already have
+    const candidates = repo.resolver
+      .candidates(name, { type })
+      .filter((c) => c.key !== from && !c.player.sources?.[source]);
+    out.push({ source, from, name, type, candidates });
+  };
+
+  for (const [source, rows] of Object.entries(repo.unmatched || {})) {
+    for (const r of rows) push(source, r.name, typeOfKey(r.key), r.key);
+  }
+
+  for (const r of roster) {
+    if (r.name && !findPlayer(repo, r)) push("roster", r.name, r.type, aliasKey(r.name, r.type));
+  }
+  for (const team of league?.teams || []) {
+    for (const k of team.keepers || []) {
+      if (k.name && !findPlayer(repo, k)) push(team.name, k.name, k.type, aliasKey(k.name, k.type));
+    }
+  }
+
+  return out;
+}
+
+/* ------------------------------ Render ------------------------------- */
+
+function section(title, count, body) {
+  return `
+    <section class="panel" style="margin-top:14px; overflow:auto;">
+      <strong>${escapeHtml(title)}</strong> <span class="small" style="opacity:.7;">(${count})</span>
+      <div style="margin-top:8px;">${body}</div>
+    </section>
+  `;
+}
+
+function table(headers, rows) {
+  if (!rows.length) return `<div class="small" style="opacity:.7;">None.</div>`;
+  const more = rows.length > LIMIT ? `<div class="small" style="opacity:.7; margin-top:6px;">… ${rows.length - LIMIT} more</div>` : "";
+  return `
+    <table class="table">
+      <thead><tr>${headers.map((h) => `<th style="text-align:left;">${h}</th>`).join("")}</tr></thead>
+      <tbody>
+        ${rows
+          .slice(0, LIMIT)
+          .map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`)
+          .join("")}
+      </tbody>
+    </table>
+    ${more}
+  `;
+}
+
+function render(root, repo) {
+  const who = (name, type) => `${escapeHtml(name)} <span class="small" style="opacity:.7;">${escapeHtml(type || "?")}</span>`;
+  const unmatched = collectUnmatched(repo);
+  const open = unmatched.filter((u) => u.candidates.length);
+  const aliases = Object.entries(getNameAliases());
+
+  const meta = root.querySelector("#nmMeta");
+  if (meta) {
+    meta.textContent = `${unmatched.length} name(s) unmatched • ${open.length} with a close name • ${repo.resolved.length} matched automatically • ${aliases.length} saved alias(es)`;
+  }
+
+  const out = root.querySelector("#nmResults");
+  if (!out) return;
+  out.innerHTML = [
+    section(
+      "Possible matches",
+      open.length,
+      table(
+        ["Source", "Name", "Link to"],
+        open.map((u) => [
+          escapeHtml(u.source),
+          who(u.name, u.type),
+          u.candidates
+            .map(
+              (c) =>
+                `<button type="button" class="ghost" data-nm-link="${escapeHtml(u.from)}" data-nm-to="${escapeHtml(c.key)}">${escapeHtml(c.player.Name)} <span class="small" style="opacity:.7;">${escapeHtml(c.player.type)} • ${Math.round(c.score * 100)}%</span></button>`
+            )
+            .join(" "),
+        ])
+      )
+    ),
+    section(
+      "Matched automatically",
+      repo.resolved.length,
+      table(
+        ["Source", "Name", "Joined to", "Score"],
+        repo.resolved.map((r) => [escapeHtml(r.source), escapeHtml(r.name), escapeHtml(r.toName), `${Math.round(r.score * 100)}% ${escapeHtml(r.method)}`])
+      )
+    ),
+    section(
+      "Same name, different type",
+      repo.ambiguous.length,
+      table(["Name", "Players"], repo.ambiguous.map((a) => [escapeHtml(a.name), a.keys.map(escapeHtml).join(", ")]))
+    ),
+    section(
+      "Saved aliases",
+      aliases.length,
+      table(
+        ["Name", "Player", ""],
+        aliases.map(([from, to]) => [
+          who(nameOfKey(from), typeOfKey(from)),
+          who(repo.byKey.get(to)?.Name || nameOfKey(to), typeOfKey(to)),
+          `<button type="button" class="ghost" data-nm-remove="${escapeHtml(from)}">Remove</button>`,
+        ])
+      )
+    ),
+  ].join("");
+}
+
+/* ------------------------------- Mount ------------------------------- */
+
+export function mountNameMatching() {
+  const root = document.getElementById("nameMatching");
+  if (!root) return null;
+
+  let repo = null;
+
+  async function refresh({ reload = false } = {}) {
+    const meta = root.querySelector("#nmMeta");
+    try {
+      repo = await loadPlayerRepo({ reload });
+      render(root, repo);
+    } catch (e) {
+      console.error("[name-matching] load failed:", e);
+      if (meta) meta.textContent = `Couldn't load player data: ${e.message || e}`;
+    }
+  }
+
+  root.addEventListener("click", (e) => {
+    const link = e.target.closest("[data-nm-link]");
+    if (link) {
+      setNameAlias(link.getAttribute("data-nm-link"), link.getAttribute("data-nm-to"));
+      return;
+    }
+
+    const remove = e.target.closest("[data-nm-remove]");
+    if (remove) removeNameAlias(remove.getAttribute("data-nm-remove"));
+  });
+
+  // Aliases re-join the repo; roster / league names only change the lists
+  onStateChange([STATE_KEYS.nameAliases, STATE_KEYS.roster, STATE_KEYS.league], ({ keys }) =>
+    refresh({ reload: keys.has(STATE_KEYS.nameAliases) })
+  );
+
+  refresh();
+  return { refresh };
+}
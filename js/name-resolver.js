@@ -0,0 +1,253 @@
+// js/name-resolver.js
+// Fuzzy player-name resolver shared by the player repo, roster, Auction Board
+// and Compare panel.
+// - canonicalName(): accents, periods, apostrophes, hyphens, "Last, First",
+//   Jr./Sr./II/III suffixes
+// - Scores candidates on last name (hyphen parts count) + first name
+//   (nicknames, initials like "J.P." / "JP" / "J"), ignoring middle initials
+// - Saved aliases (getNameAliases(), hag_name_aliases_v1) win over everything
+//   but an exact key
+// - Same name on a hitter and a pitcher = ambiguous unless the type is known
+//
+// Only imports player-key.js (import-free), so Node tools can load it.
+
+import { normalizeName, getPlayerKey } from "./player-key.js";
+
+// Accept without asking at or above this score, if nothing else is close.
+export const AUTO_MATCH = 0.9;
+// Show as a suggestion at or above this score.
+export const SUGGEST_MATCH = 0.7;
+// A fuzzy match must beat the runner-up by this much to be taken.
+export const MATCH_MARGIN = 0.05;
+
+const SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv", "v"]);
+
+const NICKNAMES = [
+  ["mike", "michael", "mikey"],
+  ["matt", "matthew"],
+  ["chris", "christopher"],
+  ["nick", "nicholas", "nico"],
+  ["alex", "alexander", "alejandro"],
+  ["zach", "zack", "zac", "zachary"],
+  ["josh", "joshua"],
+  ["jake", "jacob"],
+  ["dan", "danny", "daniel"],
+  ["will", "willy", "william", "billy", "bill"],
+  ["tony", "anthony"],
+  ["joe", "joey", "joseph"],
+  ["andy", "andrew", "drew"],
+  ["ben", "benjamin"],
+  ["sam", "samuel"],
+  ["tom", "tommy", "thomas"],
+  ["cam", "cameron"],
+  ["mitch", "mitchell"],
+  ["nate", "nathan", "nathaniel"],
+  ["max", "maxwell"],
+  ["rob", "robbie", "robert", "bobby", "bob"],
+  ["jim", "jimmy", "james"],
+  ["ed", "eddie", "edward", "eduardo"],
+  ["pat", "patrick"],
+  ["greg", "gregory"],
+  ["steve", "steven", "stephen"],
+  ["jeff", "jeffrey"],
+  ["jon", "jonathan", "jonny"],
+  ["ken", "kenny", "kenneth"],
+  ["dave", "david"],
+  ["vince", "vincent"],
+  ["manny", "manuel"],
+  ["fred", "freddy", "frederick"],
+  ["ron", "ronny", "ronald"],
+];
+const NICK_GROUP = new Map();
+NICKNAMES.forEach((group, i) => group.forEach((n) => NICK_GROUP.set(n, i)));
+
+/* ------------------------------ Names ------------------------------ */
+
+/**
+ * Join-safe name: "Acuña Jr., Ronald" / "Ronald Acuna Jr." → "ronald acuna".
+ * Team tags in parentheses are dropped too.
+ */
+export function canonicalName(name) {
+  let s = String(name ?? "")
+    .replace(/\u00A0/g, " ")
+    .replace(/\([^)]*\)/g, " ") // team tags: "Max Muncy (ATH)"
+    .trim();
+
+  // "Last, First" (but not "First Last, Jr.")
+  const comma = s.split(",").map((x) => x.trim()).filter(Boolean);
+  if (comma.length === 2 && !SUFFIXES.has(normalizeName(comma[1]))) s = `${comma[1]} ${comma[0]}`;
+
+  const tokens = normalizeName(s)
+    .replace(/[’'`]/g, "")
+    .replace(/[-–—,]/g, " ")
+    .split(/\s+/)
+    .filter((t) => t && !SUFFIXES.has(t));
+
+  return tokens.join(" ");
+}
+
+function typeLabel(t) {
+  const s = String(t ?? "").trim().toLowerCase();
+  return s === "pit" || s === "hit" ? s : "";
+}
+
+/** Alias table key for a name as typed somewhere (same shape as a player key). */
+export function aliasKey(name, type) {
+  return getPlayerKey({ type: typeLabel(type) || "unk", Name: name });
+}
+
+function split(canon) {
+  const tokens = canon.split(" ").filter(Boolean);
+  if (tokens.length < 2) return { first: tokens[0] || "", last: tokens[0] || "", lastParts: tokens };
+  const first = tokens[0];
+  // Single-letter middles ("Luis L. Ortiz") carry no signal across sources
+  const rest = tokens.slice(1).filter((t, i, arr) => t.length > 1 || i === arr.length - 1);
+  return { first, last: rest.join(" "), lastParts: rest };
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+function firstScore(a, b) {
+  if (a === b) return 1;
+  const ga = NICK_GROUP.get(a);
+  if (ga != null && ga === NICK_GROUP.get(b)) return 0.95;
+  // Initials: "jp" vs "john paul" never reaches here (one token); "j" / "jp" vs "jean"
+  const short = a.length <= b.length ? a : b;
+  const long = a.length <= b.length ? b : a;
+  if (short.length <= 2 && long.startsWith(short[0])) return 0.8;
+  return similarity(a, b) * 0.9;
+}
+
+function lastScore(a, b) {
+  if (a.last === b.last) return 1;
+  // Hyphenated / double surnames: "darrell hicks" vs "hicks"
+  const pa = new Set(a.lastParts);
+  if (b.lastParts.some((t) => t.length > 2 && pa.has(t))) return 0.92;
+  return similarity(a.last, b.last);
+}
+
+/**
+ * 0..1 match score between two names (canonical forms compared).
+ */
+export function scoreNames(a, b) {
+  const ca = canonicalName(a);
+  const cb = canonicalName(b);
+  if (!ca || !cb) return 0;
+  if (ca === cb) return 1;
+  if (ca.replace(/ /g, "") === cb.replace(/ /g, "")) return 0.97; // "pj" vs "p j"
+  const na = split(ca);
+  const nb = split(cb);
+  // Multiplicative: a shared surname alone ("Carson Taylor" / "Chris Taylor") isn't a match
+  return lastScore(na, nb) * (0.5 + 0.5 * firstScore(na.first, nb.first));
+}
+
+/* ----------------------------- Resolver ---------------------------- */
+
+/**
+ * Resolver over a list of players ({ player_key, Name, type }).
+ * aliases: alias key → player key (storage getNameAliases()).
+ *
+ * resolve(name, { type }) →
+ * {
+ *   key, player,            // best match (null when nothing is confident)
+ *   score, method,          // "key" | "alias" | "canonical" | "fuzzy" | ""
+ *   ambiguous,              // several players fit equally (e.g. hitter + pitcher)
+ *   candidates: [{ key, player, score }]   // best first, ≥ SUGGEST_MATCH
+ * }
+ */
+export function createNameResolver(players = [], { aliases = {} } = {}) {
+  const byKey = new Map();
+  const byCanon = new Map();
+  const byToken = new Map();
+
+  const push = (map, k, p) => {
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(p);
+  };
+
+  for (const p of players) {
+    const name = String(p?.Name ?? p?.name ?? p?.player ?? "").trim();
+    if (!name) continue;
+    const key = p.player_key || getPlayerKey({ type: p.type, Name: name });
+    if (byKey.has(key)) continue;
+    const entry = { key, player: p, name, type: typeLabel(p.type), canon: canonicalName(name) };
+    byKey.set(key, entry);
+    push(byCanon, entry.canon, entry);
+    // Candidate buckets: every surname token (covers hyphen parts and typos in the first name)
+    for (const t of split(entry.canon).lastParts) push(byToken, t, entry);
+  }
+
+  const out = (entry, score, method, ambiguous = false, candidates = []) => ({
+    key: entry?.key || null,
+    player: entry?.player || null,
+    score,
+    method: entry ? method : "",
+    ambiguous,
+    candidates,
+  });
+
+  function candidates(name, { type = "", limit = 5 } = {}) {
+    const t = typeLabel(type);
+    const canon = canonicalName(name);
+    if (!canon) return [];
+    const pool = new Set();
+    for (const tok of split(canon).lastParts) for (const e of byToken.get(tok) || []) pool.add(e);
+    // Typo in the surname: fall back to surnames sharing the first 3 letters
+    if (!pool.size) {
+      const head = split(canon).last.slice(0, 3);
+      for (const [tok, list] of byToken) if (tok.startsWith(head)) list.forEach((e) => pool.add(e));
+    }
+
+    return [...pool]
+      .filter((e) => !t || !e.type || e.type === t)
+      .map((e) => ({ entry: e, score: scoreNames(canon, e.canon) }))
+      .filter((c) => c.score >= SUGGEST_MATCH)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map((c) => ({ key: c.entry.key, player: c.entry.player, score: c.score }));
+  }
+
+  function resolve(name, { type = "" } = {}) {
+    const t = typeLabel(type);
+    const types = t ? [t] : ["hit", "pit"];
+
+    const exact = types.map((x) => byKey.get(getPlayerKey({ type: x, Name: name }))).filter(Boolean);
+    if (exact.length) return out(exact[0], 1, "key", exact.length > 1);
+
+    for (const x of [...types, "unk"]) {
+      const target = aliases?.[aliasKey(name, x)];
+      if (target && byKey.has(target)) return out(byKey.get(target), 1, "alias");
+    }
+
+    const canon = canonicalName(name);
+    const same = (byCanon.get(canon) || []).filter((e) => !t || !e.type || e.type === t);
+    if (same.length) return out(same[0], 1, "canonical", same.length > 1);
+
+    const list = candidates(name, { type: t });
+    const best = list[0];
+    if (!best) return out(null, 0, "", false, list);
+    const close = list.filter((c) => best.score - c.score < MATCH_MARGIN);
+    if (best.score >= AUTO_MATCH && close.length === 1) return out(byKey.get(best.key), best.score, "fuzzy", false, list);
+    return out(null, best.score, "", close.length > 1, list);
+  }
+
+  return { resolve, candidates };
+}
@@ -1,4 +1,6 @@
-import { getSettings } from "./storage.js";
+import { getSettings, onStateChange, STATE_KEYS } from "./storage.js";
+
+let _headerLive = false;
 
 export function setActiveTab() {
   const path = window.location.pathname.split("/").pop() || "index.html";
@@ -19,4 +21,10 @@ export function hydrateHeader() {
   if (slotsEl) {
     slotsEl.textContent = `Slots: H ${s.hitter_slots_total} / P ${s.pitcher_slots_total}`;
   }
+
+  // Budget moves when any page or tab records a sale / edits the roster
+  if (!_headerLive) {
+    _headerLive = true;
+    onStateChange([STATE_KEYS.settings], hydrateHeader);
+  }
 }
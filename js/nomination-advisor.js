@@ -0,0 +1,316 @@
+// js/nomination-advisor.js
+// Nomination advisor for the Auction Board: whom to put up next.
+// - Drain: players we don't want (not on our target board) that several rivals
+//   need and can still pay for — nominating them burns rival budgets
+// - Buy: our targets while few rivals can still pay our price for them
+// Every suggestion says which rival budgets / open slots it rests on (league
+// ledger), so the call can be checked at a glance.
+
+import { getAuctionTargets, getTakenPlayerKeys, getRoster, getLeague, getMyTeamName } from "./storage.js";
+import { getLedger } from "./league-ledger.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { splitPositions } from "./player-repo.js";
+import { getInflatedVal26 } from "./inflation.js";
+
+export const ADVISOR_DEFAULTS = {
+  limit: 6, // suggestions per list
+  pool: 150, // only the best available players by value are considered
+  minBidders: 2, // a drain needs at least this many rivals bidding
+};
+
+const POS_GROUPS = {
+  C: "C",
+  "1B": "1B",
+  "2B": "2B",
+  "3B": "3B",
+  SS: "SS",
+  LF: "OF",
+  CF: "OF",
+  RF: "OF",
+  OF: "OF",
+  SP: "SP",
+  RP: "RP",
+  CP: "RP",
+};
+
+const TIER_WEIGHT = { A: 3, B: 2, C: 1 };
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function posGroups(pos) {
+  return new Set(splitPositions(pos).map((p) => POS_GROUPS[p]).filter(Boolean));
+}
+
+function playerName(p) {
+  return String(p?.Name ?? p?.name ?? p?.player ?? "").trim();
+}
+
+/* ------------------------------- Advisor -------------------------------- */
+
+// Per-type view of a ledger team: open slots, max bid, positions covered.
+function teamNeeds(t) {
+  const covered = new Set();
+  let known = 0;
+  for (const p of t.players) {
+    const g = posGroups(p.pos);
+    if (g.size) known += 1;
+    g.forEach((x) => covered.add(x));
+  }
+  return {
+    team: t,
+    open: { hit: t.hitOpen, pit: t.pitOpen },
+    max: { hit: t.maxBidHit, pit: t.maxBidPit },
+    covered,
+    // "no SS yet" only means something once we know some of their positions
+    knowsPositions: known > 0,
+  };
+}
+
+function describeRival(n, type) {
+  const t = n.team;
+  return `${t.name} (${money(t.remaining)} left, ${n.open[type]} ${type === "pit" ? "P" : "H"} open, max ${money(n.max[type])})`;
+}
+
+/**
+ * Pure advisor (no DOM, no storage).
+ *
+ * Inputs:
+ * - players: auction rows (player_key / Name, type, POS, auction_value_26)
+ * - ledger: computeLedger() / getLedger() output
+ * - targets: our target board (getAuctionTargets())
+ * - takenKeys: Set of player keys already sold, kept or on our roster
+ * - factor: draft inflation factor (expected price = value × factor)
+ * - minBid: league minimum bid
+ *
+ * Output:
+ * {
+ *   drain: [{ player, key, name, type, pos, price, score, bidders: [team], posNeed: [team], reasons: [] }],
+ *   buy:   [{ player, target, key, name, type, pos, price, ourPrice, score, able: [team], timing: "now" | "wait", reasons: [] }],
+ *   me: ledger row | null,
+ *   rivals: number
+ * }
+ */
+export function adviseNominations({ players = [], ledger, targets = [], takenKeys = new Set(), factor = 1, minBid = 1, limit = ADVISOR_DEFAULTS.limit, pool = ADVISOR_DEFAULTS.pool, minBidders = ADVISOR_DEFAULTS.minBidders } = {}) {
+  const teams = ledger?.teams || [];
+  const me = teams.find((t) => t.mine) || null;
+  const rivals = teams.filter((t) => !t.mine).map(teamNeeds);
+  const wanted = new Map();
+  for (const t of targets) {
+    const key = t.player_key || getPlayerKey({ type: typeLabel(t.type), Name: t.name });
+    if (key) wanted.set(key, t);
+  }
+
+  // Best players by value, plus every target still out there (even unvalued)
+  const open = players
+    .map((p) => ({ p, key: p.player_key || getPlayerKey({ type: p.type, Name: playerName(p) }), value: getBaseVal26(p) }))
+    .filter((x) => !takenKeys.has(x.key))
+    .sort((a, b) => b.value - a.value);
+  const top = open.filter((x) => x.value > 0).slice(0, pool);
+  const available = [...top, ...open.filter((x) => wanted.has(x.key) && !top.includes(x))];
+
+  const drain = [];
+  const buy = [];
+
+  for (const { p, key, value } of available) {
+    const type = typeLabel(p.type);
+    const pos = String(p.POS ?? p.display_role ?? "");
+    const groups = posGroups(pos);
+    const price = Math.max(minBid, Math.round(getInflatedVal26(p, factor)));
+    const needing = rivals.filter((n) => n.open[type] > 0);
+    const label = type === "pit" ? "pitcher" : "hitter";
+    const target = wanted.get(key);
+
+    if (!target) {
+      // Drain: rivals who need the type and can pay the expected price
+      const bidders = needing.filter((n) => n.max[type] >= price);
+      if (bidders.length < minBidders) continue;
+      const missing = (n) => [...groups].filter((g) => !n.covered.has(g));
+      const posNeed = bidders.filter((n) => n.knowsPositions && missing(n).length);
+
+      const reasons = [
+        `${bidders.length} rival(s) need a ${label} and can pay ~${money(price)}: ${bidders
+          .sort((a, b) => b.max[type] - a.max[type])
+          .slice(0, 4)
+          .map((n) => describeRival(n, type))
+          .join(" • ")}${bidders.length > 4 ? ` • +${bidders.length - 4} more` : ""}`,
+      ];
+      if (posNeed.length) {
+        reasons.push(`Fills an empty position for: ${posNeed.map((n) => `${n.team.name} (${missing(n).join("/")})`).join(", ")}`);
+      }
+      reasons.push(`Not on our board — let them spend it`);
+
+      drain.push({
+        player: p,
+        key,
+        name: playerName(p),
+        type,
+        pos,
+        price,
+        score: price * (Math.min(bidders.length, 4) / 4) * (1 + 0.15 * posNeed.length),
+        bidders: bidders.map((n) => n.team),
+        posNeed: posNeed.map((n) => n.team),
+        reasons,
+      });
+      continue;
+    }
+
+    // Buy: only if we have the slot and the money for our price
+    const ourPrice = Math.max(minBid, Math.round(num(target.max) || num(target.plan) || price));
+    if (!me || (type === "pit" ? me.pitOpen : me.hitOpen) <= 0) continue;
+    if ((type === "pit" ? me.maxBidPit : me.maxBidHit) < ourPrice) continue;
+
+    const able = needing.filter((n) => n.max[type] >= ourPrice).sort((a, b) => b.max[type] - a.max[type]);
+    const capped = needing.filter((n) => n.max[type] < ourPrice);
+    const cap = capped.reduce((acc, n) => Math.max(acc, n.max[type]), 0);
+    const threshold = Math.max(1, Math.ceil(needing.length / 3));
+    const timing = able.length <= threshold ? "now" : "wait";
+
+    const reasons = [
+      able.length
+        ? `${able.length} of ${needing.length} rival(s) needing a ${label} can pay our ${money(ourPrice)}: ${able
+            .slice(0, 4)
+            .map((n) => describeRival(n, type))
+            .join(" • ")}${able.length > 4 ? ` • +${able.length - 4} more` : ""}`
+        : `No rival needing a ${label} can pay our ${money(ourPrice)}`,
+    ];
+    if (capped.length) reasons.push(`${capped.length} other(s) capped at ${money(cap)} or less`);
+    reasons.push(timing === "now" ? "Rivals are cash-constrained — nominate while they are" : "Too many rivals can still pay — wait for them to spend");
+
+    buy.push({
+      player: p,
+      target,
+      key,
+      name: playerName(p),
+      type,
+      pos,
+      price,
+      ourPrice,
+      score: (1 - able.length / Math.max(1, needing.length)) * 10 + (TIER_WEIGHT[target.tier] || 1),
+      able: able.map((n) => n.team),
+      timing,
+      reasons,
+    });
+  }
+
+  drain.sort((a, b) => b.score - a.score);
+  buy.sort((a, b) => (a.timing === b.timing ? b.score - a.score : a.timing === "now" ? -1 : 1));
+
+  return { drain: drain.slice(0, limit), buy: buy.slice(0, limit), me, rivals: rivals.length };
+}
+
+/**
+ * Advisor from what's saved (ledger, target board, sales, keepers, our roster).
+ */
+export function getNominationAdvice(players, { factor = 1, limit } = {}) {
+  const takenKeys = getTakenPlayerKeys();
+  for (const r of getRoster() || []) {
+    if (!r.underContract) continue;
+    takenKeys.add(getPlayerKey({ type: r.type, Name: r.name }));
+  }
+  return adviseNominations({
+    players,
+    ledger: getLedger(),
+    targets: getAuctionTargets(),
+    takenKeys,
+    factor,
+    minBid: num(getLeague().min_bid, 1),
+    limit,
+  });
+}
+
+/* ---------------------------------- UI ---------------------------------- */
+
+function renderList(box, rows, kind) {
+  if (!box) return;
+  if (!rows.length) {
+    box.innerHTML = `<div class="small" style="opacity:.75;">${
+      kind === "drain"
+        ? "No drain nominations: not enough rivals need (and can pay for) the players we're passing on."
+        : "No buy nominations: add targets to the board, or we're out of slots / money for them."
+    }</div>`;
+    return;
+  }
+
+  box.innerHTML = `
+    <table class="table">
+      <tbody>
+        ${rows
+          .map(
+            (r) => `
+              <tr>
+                <td>
+                  <strong>${escapeHtml(r.name)}</strong>
+                  <span class="small">${escapeHtml(r.pos || r.type)} • ~${money(r.price)}${kind === "buy" ? ` • our max ${money(r.ourPrice)}` : ""}</span>
+                  ${kind === "buy" ? ` <span class="pill">${r.timing === "now" ? "Now" : "Wait"}</span>` : ""}
+                  <div class="small" style="opacity:.85; margin-top:4px;">${r.reasons.map(escapeHtml).join("<br />")}</div>
+                </td>
+                <td style="text-align:right; vertical-align:top;">
+                  <button class="ghost" type="button" data-na-nominate="${escapeHtml(r.name)}">Nominate</button>
+                </td>
+              </tr>
+            `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Mount the advisor panel. getPlayers() → auction rows, getFactor() → current
+ * inflation factor. Returns { refresh }.
+ */
+export function mountNominationAdvisor({ getPlayers, getFactor } = {}) {
+  const root = document.getElementById("nomAdvisor");
+  if (!root) return null;
+
+  const meta = document.getElementById("naMeta");
+
+  function refresh() {
+    const advice = getNominationAdvice(getPlayers?.() || [], { factor: num(getFactor?.(), 1) });
+    renderList(document.getElementById("naDrain"), advice.drain, "drain");
+    renderList(document.getElementById("naBuy"), advice.buy, "buy");
+
+    if (meta) {
+      const me = advice.me;
+      meta.textContent = me
+        ? `${advice.rivals} rival(s) • us: ${money(me.remaining)} left, ${me.hitOpen} H / ${me.pitOpen} P open • prices at inflation ×${num(getFactor?.(), 1).toFixed(2)}`
+        : "Set up the league (team ledger below) and mark our team to get advice.";
+    }
+  }
+
+  // Hand the name to the Live Draft form; nominating stays one click there.
+  root.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-na-nominate]");
+    if (!btn) return;
+    const name = document.getElementById("ldNomName");
+    const by = document.getElementById("ldNomBy");
+    if (name) name.value = btn.dataset.naNominate;
+    if (by && !by.value) by.value = getMyTeamName();
+    document.getElementById("liveDraft")?.scrollIntoView({ behavior: "smooth", block: "start" });
+    name?.focus?.();
+  });
+
+  refresh();
+  return { refresh };
+}
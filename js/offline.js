@@ -0,0 +1,185 @@
+// js/offline.js
+// Page side of the offline app (sw.js).
+// - registerOffline(): register the service worker + header pill (every page)
+// - getOfflineDataInfo(): which data files are cached, and from when
+// - updateOfflineData(): explicit "update data" (the worker pins data otherwise)
+// - mountOfflinePanel(): Offline Data panel on the Data page
+
+import { REPO_SOURCES } from "./player-repo.js";
+
+// Must match DATA_CACHE in sw.js.
+const DATA_CACHE = "hag-data-v1";
+const CACHED_AT = "x-hag-cached-at";
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function fmtDate(d) {
+  if (!d) return "—";
+  const t = new Date(d);
+  return Number.isNaN(t.getTime()) ? "—" : t.toLocaleString([], { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+function supported() {
+  return typeof navigator !== "undefined" && "serviceWorker" in navigator && typeof caches !== "undefined" && location.protocol !== "file:";
+}
+
+/* ------------------------------ Status ------------------------------- */
+
+/**
+ * Cached copies of the current data files:
+ * {
+ *   supported, controlled,          // worker available / controlling this page
+ *   files: [{ source, url, cached, cachedAt, lastModified, bytes }],
+ *   cachedAt                        // oldest copy ("" if any file is missing)
+ * }
+ */
+export async function getOfflineDataInfo() {
+  const info = { supported: supported(), controlled: !!navigator.serviceWorker?.controller, files: [], cachedAt: "" };
+  if (!info.supported) return info;
+
+  const cache = await caches.open(DATA_CACHE);
+  for (const [source, url] of Object.entries(REPO_SOURCES)) {
+    const res = await cache.match(new URL(url, location.href).href);
+    info.files.push({
+      source,
+      url,
+      cached: !!res,
+      cachedAt: res?.headers.get(CACHED_AT) || "",
+      lastModified: res?.headers.get("last-modified") || "",
+      bytes: Number(res?.headers.get("content-length")) || 0,
+    });
+  }
+
+  const stamps = info.files.map((f) => f.cachedAt);
+  info.cachedAt = stamps.every(Boolean) ? stamps.sort()[0] : "";
+  return info;
+}
+
+/**
+ * Ask the worker to fetch every current data file fresh (all-or-nothing).
+ * Resolves when the new copies are cached; pages need a reload to use them.
+ */
+export async function updateOfflineData() {
+  if (!supported()) throw new Error("Offline mode isn't available in this browser");
+  const reg = await navigator.serviceWorker.ready;
+  const worker = navigator.serviceWorker.controller || reg.active;
+  if (!worker) throw new Error("Offline mode isn't running yet — reload the page");
+
+  const reply = await new Promise((resolve) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => resolve(e.data || {});
+    worker.postMessage({ type: "update-data" }, [channel.port2]);
+  });
+  if (!reply.ok) throw new Error(reply.error || "Update failed");
+  return getOfflineDataInfo();
+}
+
+/* ------------------------------ Header ------------------------------- */
+
+function mountOfflinePill() {
+  const stats = document.querySelector(".header .stats");
+  if (!stats || document.getElementById("hdrOffline")) return;
+
+  const pill = document.createElement("div");
+  pill.className = "pill";
+  pill.id = "hdrOffline";
+  stats.appendChild(pill);
+
+  const paint = async () => {
+    const info = await getOfflineDataInfo().catch(() => null);
+    const ready = !!info?.cachedAt;
+    if (!navigator.onLine) {
+      pill.textContent = ready ? "Offline • cached data" : "Offline";
+    } else {
+      pill.textContent = ready ? "Offline ready" : "";
+    }
+    pill.title = ready ? `Data cached ${fmtDate(info.cachedAt)} — update it on the Data page` : "";
+    pill.style.display = pill.textContent ? "" : "none";
+  };
+
+  window.addEventListener("online", paint);
+  window.addEventListener("offline", paint);
+  navigator.serviceWorker?.addEventListener("controllerchange", paint);
+  paint();
+}
+
+/**
+ * Register sw.js and show the offline pill in the header. Call once per page.
+ */
+export function registerOffline() {
+  if (!supported()) return;
+  navigator.serviceWorker.register("./sw.js").catch((e) => console.warn("[offline] Service worker not registered:", e));
+  mountOfflinePill();
+}
+
+/* --------------------------- Data page panel ------------------------- */
+
+export function mountOfflinePanel({ onUpdate } = {}) {
+  const root = document.getElementById("offlineData");
+  if (!root) return null;
+
+  const el = (id) => root.querySelector(`#${id}`);
+
+  async function refresh() {
+    const meta = el("odMeta");
+    const info = await getOfflineDataInfo().catch((e) => {
+      console.warn("[offline] cache read failed:", e);
+      return null;
+    });
+
+    if (!info?.supported) {
+      if (meta) meta.textContent = "Offline mode needs a browser with service workers, served over http(s).";
+      if (el("odUpdate")) el("odUpdate").disabled = true;
+      return;
+    }
+
+    if (meta) {
+      meta.textContent = info.cachedAt
+        ? `Cached data from ${fmtDate(info.cachedAt)}${info.controlled ? "" : " • reload to go offline-ready"}`
+        : "Data not cached yet — reload once while online";
+    }
+
+    const tbody = el("odFiles");
+    if (tbody) {
+      tbody.innerHTML = info.files
+        .map(
+          (f) => `
+            <tr>
+              <td>${escapeHtml(f.source)}</td>
+              <td class="small">${escapeHtml(f.url.replace("./data/", ""))}</td>
+              <td>${f.cached ? fmtDate(f.cachedAt) : "Not cached"}</td>
+              <td>${escapeHtml(f.lastModified ? fmtDate(f.lastModified) : "—")}</td>
+            </tr>
+          `
+        )
+        .join("");
+    }
+  }
+
+  el("odUpdate")?.addEventListener("click", async () => {
+    const btn = el("odUpdate");
+    const meta = el("odMeta");
+    btn.disabled = true;
+    if (meta) meta.textContent = "Downloading the current data files…";
+    try {
+      await updateOfflineData();
+      await refresh();
+      onUpdate?.();
+    } catch (e) {
+      console.error("[offline] update failed:", e);
+      if (meta) meta.textContent = `Update failed, kept the cached version: ${e.message || e}`;
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  refresh();
+  return { refresh };
+}
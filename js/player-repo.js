@@ -0,0 +1,365 @@
+// js/player-repo.js
+// Player repository: one merged record per player, joined across every data file.
+//
+// Sources (joined through getPlayerKey(): type + normalized name; rows whose
+// name is spelled differently elsewhere are re-keyed by name-resolver.js):
+// - auction:  auction_values_2026_all_players_with_shadow.csv (values, tiers, flags)
+// - proj:     hit_pit_2026.csv (2026 projections)
+// - stats25:  2025_stats.csv (2025 actuals)
+// - master:   master.csv (team, display role, flags, market estimate, anchors)
+//
+// Stats stay nested (stats26 / stats25) so raw counting stats never get mistaken
+// for per-category value components on the Auction Board. Use withStats() for a
+// flat row (projections table, SGP engine, compare).
+
+import { normalizeAuctionRow, getPlayerKey } from "./auction-data.js";
+import { parseCsv, describeCsvErrors } from "./csv.js";
+import { normalizeProjectionRow } from "./projections-data.js";
+import { createNameResolver, canonicalName, aliasKey, AUTO_MATCH, MATCH_MARGIN } from "./name-resolver.js";
+import { getNameAliases } from "./storage.js";
+
+export const REPO_SOURCES = {
+  auction: "./data/auction_values_2026_all_players_with_shadow.csv",
+  proj: "./data/hit_pit_2026.csv",
+  stats25: "./data/2025_stats.csv",
+  master: "./data/master.csv",
+};
+
+export const STAT_KEYS = ["PA", "AVG", "OPS", "TB", "HR", "RBI", "R", "SB", "ERA", "WHIP", "IP", "QS", "K", "SV", "HLD"];
+
+function str(v) {
+  return String(v ?? "").trim();
+}
+
+function hasValue(v) {
+  return v != null && v !== "";
+}
+
+function normalizeMasterRow(obj) {
+  obj.Name = str(obj.Name ?? obj.name ?? obj.player);
+  obj.type = str(obj.type ?? obj.Type).toLowerCase();
+  return obj;
+}
+
+/**
+ * master.csv carries both seasons as "PA(2025)" / "PA(2026)" columns.
+ * Returns the season's stats, or null when the row has none (or only zeros).
+ */
+function masterStats(row, season) {
+  if (!row) return null;
+  const out = {};
+  let any = false;
+  for (const k of STAT_KEYS) {
+    const v = row[`${k}(${season})`];
+    if (hasValue(v) && Number(v) !== 0) any = true;
+    out[k] = hasValue(v) ? v : "";
+  }
+  return any ? out : null;
+}
+
+function pickStats(row) {
+  if (!row) return null;
+  const out = {};
+  for (const k of STAT_KEYS) out[k] = hasValue(row[k]) ? row[k] : "";
+  return out;
+}
+
+/**
+ * Split a position string ("CF,RF,OF", "SS/2B", "starter") into unique tokens.
+ */
+export function splitPositions(pos) {
+  const seen = new Set();
+  for (const part of str(pos).split(/[,/|]/)) {
+    const t = part.trim().toUpperCase();
+    if (t) seen.add(t);
+  }
+  return [...seen];
+}
+
+function splitFlags(...raw) {
+  const seen = new Map();
+  for (const r of raw) {
+    for (const part of str(r).split(/[|;]/)) {
+      const f = part.trim();
+      if (f && !seen.has(f.toLowerCase())) seen.set(f.toLowerCase(), f);
+    }
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Index one source by player key. First row wins; later ones are reported.
+ */
+function indexSource(rows) {
+  const byKey = new Map();
+  const duplicates = [];
+  for (const row of rows) {
+    const key = getPlayerKey({ type: row.type, Name: row.Name });
+    if (!row.Name) continue;
+    if (byKey.has(key)) {
+      duplicates.push({ key, name: row.Name });
+      continue;
+    }
+    byKey.set(key, row);
+  }
+  return { byKey, duplicates };
+}
+
+/**
+ * Re-key rows whose name is spelled differently in another source
+ * ("Michael Harris II" vs "Michael Harris"): a saved alias first, then one
+ * confident fuzzy match. Only rows found in a single source move, and never
+ * onto a key that source already has. Mutates idx; returns the moves.
+ */
+function reconcileKeys(idx, names, aliases) {
+  const keys = new Map(); // key -> { name, type, sources: Set }
+  for (const n of names) {
+    for (const [key, row] of idx[n].byKey) {
+      if (!keys.has(key)) keys.set(key, { name: row.Name, type: str(row.type).toLowerCase(), sources: new Set() });
+      keys.get(key).sources.add(n);
+    }
+  }
+
+  const resolver = createNameResolver(
+    [...keys].map(([key, k]) => ({ player_key: key, Name: k.name, type: k.type })),
+    { aliases }
+  );
+
+  const moved = new Set();
+  const targets = new Set();
+  const resolved = [];
+
+  // Extra sources move onto auction spellings, not the other way round.
+  for (const n of [...names].reverse()) {
+    for (const [key, k] of keys) {
+      if (k.sources.size !== 1 || !k.sources.has(n) || moved.has(key) || targets.has(key)) continue;
+      const open = (to) => to !== key && keys.has(to) && !moved.has(to) && !idx[n].byKey.has(to);
+
+      let to = [aliases[key], aliases[aliasKey(k.name, "")]].find((x) => x && open(x)) || "";
+      let score = 1;
+      let method = "alias";
+      if (!to) {
+        const list = resolver.candidates(k.name, { type: k.type }).filter((c) => open(c.key));
+        const [best, next] = list;
+        if (!best || best.score < AUTO_MATCH || (next && best.score - next.score < MATCH_MARGIN)) continue;
+        to = best.key;
+        score = best.score;
+        method = best.score === 1 ? "canonical" : "fuzzy";
+      }
+
+      const row = idx[n].byKey.get(key);
+      idx[n].byKey.delete(key);
+      idx[n].byKey.set(to, row);
+      keys.get(to).sources.add(n);
+      moved.add(key);
+      targets.add(to);
+      resolved.push({ source: n, from: key, to, name: k.name, toName: keys.get(to).name, score, method });
+    }
+  }
+
+  return resolved;
+}
+
+function mergeRecord(key, { auction, proj, stats25, master }) {
+  const base = auction || proj || master || stats25;
+  const name = str(base.Name);
+  const type = str(base.type).toLowerCase() === "pit" ? "pit" : "hit";
+
+  const pos = str(master?.["Display Role"]) || str(proj?.POS) || str(auction?.display_role) || str(stats25?.POS);
+  const flagList = splitFlags(master?.Flags, auction?.flags);
+
+  const marketRaw = master?.["Market Estimate"];
+
+  return {
+    // Auction columns first so the Auction Board keeps every field it knows.
+    ...(auction || {}),
+
+    player_key: key,
+    Name: name,
+    name,
+    player: name,
+    type,
+    Type: type,
+    Team: str(master?.Team),
+    POS: pos,
+    positions: splitPositions(pos),
+
+    flags: flagList.join("|"),
+    flag_list: flagList,
+
+    "Market Estimate": hasValue(marketRaw) ? marketRaw : "",
+    market_estimate: hasValue(marketRaw) ? marketRaw : "",
+    proj_anchor: hasValue(master?.["Proj Anchor"]) ? master["Proj Anchor"] : "",
+    auction_25_anchor: hasValue(master?.["Auction 25 Anchor"]) ? master["Auction 25 Anchor"] : "",
+    actual_25_price: hasValue(master?.["Actual 25 Draft$"]) ? master["Actual 25 Draft$"] : "",
+
+    stats26: pickStats(proj) || masterStats(master, 2026),
+    stats25: pickStats(stats25) || masterStats(master, 2025),
+
+    sources: {
+      auction: !!auction,
+      proj: !!proj,
+      stats25: !!stats25,
+      master: !!master,
+    },
+  };
+}
+
+/**
+ * Pure join (no fetch): parsed + normalized rows per source → repository.
+ *
+ * Output:
+ * {
+ *   players: [record],
+ *   byKey: Map(player_key -> record),
+ *   unmatched: { auction, proj, stats25, master },   // [{ key, name }] found in no other source
+ *   duplicates: { auction, proj, stats25, master },  // [{ key, name }] repeated within a source
+ *   resolved: [{ source, from, to, name, toName, score, method }],  // rows re-keyed by name
+ *   ambiguous: [{ name, keys }],                     // same name on a hitter and a pitcher
+ *   counts: { auction, proj, stats25, master, players },
+ *   resolver                                         // createNameResolver() over players
+ * }
+ *
+ * byKey also answers for re-keyed and aliased spellings (players does not
+ * repeat them).
+ */
+export function buildPlayerRepo({ auction = [], proj = [], stats25 = [], master = [] } = {}, { aliases = {} } = {}) {
+  const idx = {
+    auction: indexSource(auction),
+    proj: indexSource(proj),
+    stats25: indexSource(stats25),
+    master: indexSource(master),
+  };
+  const names = Object.keys(idx);
+  const resolved = reconcileKeys(idx, names, aliases);
+
+  const keys = new Set();
+  for (const n of names) for (const k of idx[n].byKey.keys()) keys.add(k);
+
+  const players = [];
+  const byKey = new Map();
+  const unmatched = {};
+  const duplicates = {};
+  for (const n of names) {
+    unmatched[n] = [];
+    duplicates[n] = idx[n].duplicates;
+  }
+
+  for (const key of keys) {
+    const rows = {};
+    for (const n of names) rows[n] = idx[n].byKey.get(key) || null;
+
+    const present = names.filter((n) => rows[n]);
+    if (present.length === 1) {
+      unmatched[present[0]].push({ key, name: rows[present[0]].Name });
+    }
+
+    const rec = mergeRecord(key, rows);
+    players.push(rec);
+    byKey.set(key, rec);
+  }
+
+  for (const r of resolved) if (!byKey.has(r.from)) byKey.set(r.from, byKey.get(r.to));
+  for (const [from, to] of Object.entries(aliases)) {
+    if (!byKey.has(from) && byKey.has(to)) byKey.set(from, byKey.get(to));
+  }
+
+  const byName = new Map();
+  for (const rec of players) {
+    const canon = canonicalName(rec.Name);
+    if (!byName.has(canon)) byName.set(canon, []);
+    byName.get(canon).push(rec);
+  }
+  const ambiguous = [...byName.values()]
+    .filter((list) => new Set(list.map((r) => r.type)).size > 1)
+    .map((list) => ({ name: list[0].Name, keys: list.map((r) => r.player_key) }));
+
+  const counts = { players: players.length };
+  for (const n of names) counts[n] = idx[n].byKey.size;
+
+  const resolver = createNameResolver(players, { aliases });
+
+  return { players, byKey, unmatched, duplicates, resolved, ambiguous, counts, resolver };
+}
+
+/**
+ * Repo record for a row from anywhere (roster, league import, typed name):
+ * key first, then a confident resolver match. null when unsure.
+ */
+export function findPlayer(repo, row) {
+  const name = str(row?.Name ?? row?.name ?? row?.player);
+  const hit = repo?.byKey.get(row?.player_key || getPlayerKey({ type: row?.type, Name: name }));
+  if (hit) return hit;
+  const r = repo?.resolver?.resolve(name, { type: row?.type });
+  return r?.player && !r.ambiguous ? r.player : null;
+}
+
+/**
+ * Flat row for tables and the SGP engine: record + one season's stats on top.
+ * season: 2026 (projections) or 2025 (actuals).
+ */
+export function withStats(record, season = 2026) {
+  const stats = season === 2025 ? record?.stats25 : record?.stats26;
+  return { ...record, ...(stats || {}) };
+}
+
+/**
+ * One-line summary of unmatched rows (for page meta text / console).
+ */
+export function describeUnmatched(repo) {
+  const bits = Object.entries(repo?.unmatched || {})
+    .filter(([, rows]) => rows.length)
+    .map(([src, rows]) => `${src} ${rows.length}`);
+  return bits.length ? `Unmatched rows: ${bits.join(", ")}` : "All rows matched";
+}
+
+/* ------------------------------- Loading ------------------------------- */
+
+// Identity / label columns stay text even when they look numeric.
+const TEXT_COLUMNS = Object.fromEntries(
+  ["Name", "name", "player", "Type", "type", "Team", "POS", "Display Role", "Flags", "flags"].map((c) => [c, "string"])
+);
+
+async function fetchRows(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) {
+    throw new Error(`Failed to load CSV: ${res.status} ${res.statusText} (${url})`);
+  }
+  const { rows, errors } = parseCsv(await res.text(), { types: TEXT_COLUMNS });
+  if (errors.length) console.warn(`[player-repo] ${url}:\n${describeCsvErrors(errors).join("\n")}`);
+  return rows;
+}
+
+let _repoPromise = null;
+
+/**
+ * Load (once per page) and join every data file.
+ * Optional sources that fail to load are logged and treated as empty;
+ * the auction CSV is required.
+ */
+export function loadPlayerRepo({ reload = false } = {}) {
+  if (_repoPromise && !reload) return _repoPromise;
+
+  const optional = (url, normalize) =>
+    fetchRows(url)
+      .then((rows) => rows.map(normalize))
+      .catch((e) => {
+        console.warn("[player-repo] Skipping source:", e);
+        return [];
+      });
+
+  _repoPromise = Promise.all([
+    fetchRows(REPO_SOURCES.auction).then((rows) => rows.map(normalizeAuctionRow)),
+    optional(REPO_SOURCES.proj, normalizeProjectionRow),
+    optional(REPO_SOURCES.stats25, normalizeProjectionRow),
+    optional(REPO_SOURCES.master, normalizeMasterRow),
+  ]).then(([auction, proj, stats25, master]) =>
+    buildPlayerRepo({ auction, proj, stats25, master }, { aliases: getNameAliases() })
+  );
+
+  _repoPromise.catch(() => {
+    _repoPromise = null;
+  });
+
+  return _repoPromise;
+}
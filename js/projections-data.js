@@ -1,16 +1,7 @@
 // js/projections-data.js
 // Responsible ONLY for loading + parsing the CSV
 
-function toNumberMaybe(raw) {
-  const s = String(raw ?? "").trim();
-  if (s === "") return "";
-
-  // Strip common numeric decorations: $ and commas
-  const cleaned = s.replace(/[$,]/g, "");
-
-  const n = Number(cleaned);
-  return Number.isFinite(n) ? n : s; // keep original string if not numeric
-}
+import { parseCsvObjects } from "./csv.js";
 
 function normalizeType(obj) {
   // Normalize type (Type vs type, casing)
@@ -58,6 +49,15 @@ function normalizeStats(obj) {
   return obj;
 }
 
+/**
+ * Normalize one projection/stat row in place (Name/type/POS + stat key aliases).
+ */
+export function normalizeProjectionRow(obj) {
+  normalizeType(obj);
+  normalizeStats(obj);
+  return obj;
+}
+
 export async function loadPlayers() {
   const res = await fetch("./data/hit_pit_2026.csv");
   if (!res.ok) {
@@ -65,28 +65,7 @@ export async function loadPlayers() {
   }
 
   const text = await res.text();
-
-  // Split lines safely across OSes
-  const lines = text.trim().split(/\r?\n/);
-  if (lines.length < 2) {
-    return { players: [], hitters: [], pitchers: [] };
-  }
-
-  // Trim headers to avoid "type " vs "type" bugs
-  const headers = lines[0].split(",").map((h) => h.trim());
-
-  const players = lines.slice(1).map((line) => {
-    const values = line.split(",");
-    const obj = {};
-
-    headers.forEach((h, i) => {
-      obj[h] = toNumberMaybe(values[i]);
-    });
-
-    normalizeType(obj);
-    normalizeStats(obj);
-    return obj;
-  });
+  const players = parseCsvObjects(text).map(normalizeProjectionRow);
 
   const hitters = players.filter((p) => p.type === "hit");
   const pitchers = players.filter((p) => ["pit", "sp", "rp"].includes(p.type));
@@ -1,5 +1,6 @@
 // js/projections-page.js
-import { loadPlayers } from "./projections-data.js";
+import { loadPlayerRepo, withStats, describeUnmatched } from "./player-repo.js";
+import { onStateChange, STATE_KEYS } from "./storage.js";
 function normalize(s) {
   return String(s ?? "").trim().toLowerCase();
 }
@@ -128,7 +129,17 @@ function sortByStat(players, stat, asc = false) {
 }
 
 async function init() {
-  const { hitters, pitchers } = await loadPlayers();
+  // 2026 projections from the player repository (same records as every other page)
+  let repo, hitters, pitchers, projectedByKey, unmatchedNote;
+  const join = (next) => {
+    repo = next;
+    const projected = repo.players.filter((p) => p.stats26).map((p) => withStats(p));
+    hitters = projected.filter((p) => p.type === "hit");
+    pitchers = projected.filter((p) => p.type === "pit");
+    projectedByKey = new Map(projected.map((p) => [p.player_key, p]));
+    unmatchedNote = describeUnmatched(repo);
+  };
+  join(await loadPlayerRepo());
 
   // DOM
   const playerSearch = document.getElementById("playerSearch");
@@ -155,6 +166,13 @@ async function init() {
     let hit = q ? hitters.filter(p => playerName(p).includes(q)) : [...hitters];
 let pit = q ? pitchers.filter(p => playerName(p).includes(q)) : [...pitchers];
 
+    // Nothing by substring: ask the name resolver ("Mike Harris", "Acuna Jr")
+    if (q && !hit.length && !pit.length) {
+      const found = repo.resolver.candidates(q, { limit: 10 }).map((c) => projectedByKey.get(c.key)).filter(Boolean);
+      hit = found.filter(p => p.type === "hit");
+      pit = found.filter(p => p.type === "pit");
+    }
+
     // ✅ ELIGIBILITY (Hitters ≥ 250 PA, Pitchers ≥ 35 IP)
     const eligible = eligOnly?.checked ?? true;
     if (eligible) {
@@ -192,7 +210,7 @@ let pit = q ? pitchers.filter(p => playerName(p).includes(q)) : [...pitchers];
     if (searchMeta) {
       if (!q) {
         searchMeta.textContent =
-          `Showing all players (Hitters: ${hitters.length}, Pitchers: ${pitchers.length})`;
+          `Showing all players (Hitters: ${hitters.length}, Pitchers: ${pitchers.length}) • ${unmatchedNote}`;
       } else {
         searchMeta.textContent =
           `Matches for "${playerSearch.value}" (Hitters: ${hit.length}, Pitchers: ${pit.length})`;
@@ -221,6 +239,16 @@ let pit = q ? pitchers.filter(p => playerName(p).includes(q)) : [...pitchers];
   projSort?.addEventListener("change", applyFilters);
   eligOnly?.addEventListener("change", applyFilters); // ✅ checkbox live
 
+  // A saved name alias (Data page) re-joins the data files
+  onStateChange([STATE_KEYS.nameAliases], () =>
+    loadPlayerRepo({ reload: true })
+      .then((next) => {
+        join(next);
+        applyFilters();
+      })
+      .catch((err) => console.error("Projections page: player data reload failed:", err))
+  );
+
   // Initial render
   applyFilters();
 }
@@ -1,7 +1,7 @@
 // js/recommended-targets.js
 // Recommended Targets panel (objective + biased only via user strategy weights).
 
-import { getCategoryWeights, getRoster, getLivePrices, getSettings, addAuctionTarget, addToRosterFromCsv, getAuctionTargets } from "./storage.js";
+import { getCategoryWeights, getRoster, getLivePrices, getTakenPlayerKeys, getSettings, addAuctionTarget, addToRosterFromCsv, getAuctionTargets } from "./storage.js";
 import {
   detectCatStats,
   getCatStat,
@@ -9,8 +9,7 @@ import {
   getMarketEstimate,
   getPlayerKey,
 } from "./auction-data.js";
-
-const PLANNER_STORAGE_KEY = "hag_lineup_planner_v1";
+import { isEligibleForSlot, getEmptySlotKeys } from "./lineup-planner.js";
 
 // Keep these aligned with auction-data.js categories.
 const HIT_CATS = ["OPS", "TB", "HR", "RBI", "R", "AVG", "SB"];
@@ -65,69 +64,11 @@ function computeAutoMaxBid() {
   return { maxBid, remainingBudget, remainingSlots, totalSlots, filled };
 }
 
-function normPosList(pos) {
-  return String(pos ?? "")
-    .split(/[,/\s]+/)
-    .map((p) => p.trim().toUpperCase())
-    .filter(Boolean);
-}
-
 function normType(t) {
   const s = String(t ?? "").trim().toLowerCase();
   return s === "pit" ? "pit" : "hit";
 }
 
-function isEligibleForSlot(player, slotKey) {
-  const type = normType(player.type ?? player.Type ?? "");
-  const posList = normPosList(player.POS ?? player.pos ?? player.Position ?? "");
-
-  // Pitching slots
-  if (slotKey.startsWith("P")) return type === "pit";
-
-  // UT
-  if (slotKey === "UT") return type === "hit";
-
-  // OF duplicates
-  if (slotKey === "OF1" || slotKey === "OF2") {
-    return type === "hit" && (posList.includes("OF") || posList.includes("LF") || posList.includes("CF") || posList.includes("RF"));
-  }
-
-  // CI / MI
-  if (slotKey === "CI") return type === "hit" && (posList.includes("1B") || posList.includes("3B"));
-  if (slotKey === "MI") return type === "hit" && (posList.includes("2B") || posList.includes("SS"));
-
-  // Standard
-  return type === "hit" && posList.includes(slotKey);
-}
-
-function loadPlannerState() {
-  try {
-    const raw = localStorage.getItem(PLANNER_STORAGE_KEY);
-    if (!raw) return { slots: {}, minors: [] };
-    const parsed = JSON.parse(raw);
-    return {
-      slots: parsed?.slots && typeof parsed.slots === "object" ? parsed.slots : {},
-      minors: Array.isArray(parsed?.minors) ? parsed.minors : [],
-    };
-  } catch {
-    return { slots: {}, minors: [] };
-  }
-}
-
-export function getEmptySlotKeys() {
-  const state = loadPlannerState();
-  const slots = state.slots || {};
-
-  const hit = ["C","1B","2B","3B","SS","CI","MI","LF","CF","RF","OF1","OF2","UT"];
-  const pit = Array.from({ length: 9 }).map((_, i) => `P${i + 1}`);
-
-  const empty = [];
-  for (const k of [...hit, ...pit]) {
-    if (!slots[k]) empty.push(k);
-  }
-  return empty;
-}
-
 function needBoostForPlayer(player, emptySlots) {
   // Only boost if a required slot is currently empty.
   // Use max boost among eligible empty slots.
@@ -196,7 +137,10 @@ function computeFitRaw(player, weights, hasCatStats) {
 function scorePlayers(players, valueMode, opts = {}) {
   const weights = getCategoryWeights();
   const roster = getRoster();
-  const rosterIds = new Set(roster.map((r) => String(r.id || "").trim()).filter(Boolean));
+  // Roster ids keep the raw name ("hit|Juan Soto"); compare on player keys.
+  const rosterIds = new Set(
+    roster.map((r) => getPlayerKey({ type: r.type, Name: r.name })).filter(Boolean)
+  );
 
   // Exclude players already added to the Auction Board targets list.
   const targetKeys = new Set(
@@ -205,6 +149,9 @@ function scorePlayers(players, valueMode, opts = {}) {
       .filter(Boolean)
   );
 
+  // Exclude players already sold in the live draft or kept by an opponent.
+  const soldKeys = getTakenPlayerKeys();
+
   const emptySlots = getEmptySlotKeys();
   const livePrices = getLivePrices();
   // Some pools start with auction-only rows that don't have stat columns.
@@ -218,6 +165,9 @@ function scorePlayers(players, valueMode, opts = {}) {
   const scored = [];
   const fitRaws = [];
 
+  const inflRaw = num(opts.inflation?.factor ?? opts.inflation, 1);
+  const inflation = inflRaw > 0 ? inflRaw : 1;
+
   const affordableOnly = !!opts.affordableOnly;
   const maxPrice = Number.isFinite(Number(opts.maxPrice)) ? Number(opts.maxPrice) : null;
 
@@ -231,15 +181,20 @@ function scorePlayers(players, valueMode, opts = {}) {
     // Exclude already-targeted players
     if (targetKeys.has(key)) continue;
 
-    // $ value for pricing / delta (does NOT include strategy weighting)
-    const baseVal = getBaselineVal(p, valueMode) ?? 0;
+    // Exclude players off the board
+    if (soldKeys.has(key)) continue;
+
+    // $ value for pricing / delta (does NOT include strategy weighting),
+    // scaled by draft inflation when the board passes one in.
+    const baseVal = (getBaselineVal(p, valueMode) ?? 0) * inflation;
 
     // Strategy fit (raw), normalized later.
     const fitRaw = computeFitRaw(p, weights, hasCatStats);
     fitRaws.push(fitRaw);
 
     const live = livePrices[key];
-    const price = (live != null && live !== "") ? num(live, 0) : pickFallbackPrice(p);
+    // Pre-draft estimates move with the room; live bids are already in today's dollars.
+    const price = (live != null && live !== "") ? num(live, 0) : pickFallbackPrice(p) * inflation;
 
     const needBoost = needBoostForPlayer(p, emptySlots);
 
@@ -351,6 +306,7 @@ function renderRows(container, rows, emptySlots, maxRows = 10, { showActions = f
 export function mountRecommendedTargets({
   players,
   valueMode,
+  inflation = 1,
   fullContainerId = "recTargets",
   needsContainerId = "recNeeds",
   valuesContainerId = "recValues",
@@ -401,7 +357,7 @@ export function mountRecommendedTargets({
   // Persist latest settings (so refresh keeps behavior)
   saveRecFilters({ affordable_only: affordableOnly, max_price: maxInput && String(maxInput.value || "").trim() ? Math.round(maxPrice) : null });
 
-  const { scored, emptySlots } = scorePlayers(players || [], mode, { affordableOnly, maxPrice });
+  const { scored, emptySlots } = scorePlayers(players || [], mode, { affordableOnly, maxPrice, inflation });
 
   // Bucket A: Fill Needs
   const needs = scored.filter((r) => r.needBoost > 0);
@@ -437,6 +393,8 @@ export function mountRecommendedTargets({
       const pos = getDisplayPos(p);
       const type = normType(p.type ?? p.Type ?? "");
 
+      // No re-render here: storage.js announces the write and every open
+      // page / tab redraws itself (state-bus.js).
       if (action === "add-auction") {
         const plan = Math.max(0, Math.round(num(row.baseVal, 0)));
         addAuctionTarget({
@@ -451,7 +409,6 @@ export function mountRecommendedTargets({
           // persist helpful fields for downstream displays
           val: row.baseVal,
         });
-        window.hagRefreshAuction?.();
       }
 
       if (action === "add-roster") {
@@ -461,8 +418,6 @@ export function mountRecommendedTargets({
           Team: team,
           POS: pos,
         });
-        window.hagRefreshRoster?.();
-        window.hagRefreshAuction?.();
       }
     });
     elFull.dataset._recActionsBound = "1";
@@ -540,12 +495,9 @@ export function mountRosterMiniRecommended({
           player_key: row.key,
           val: row.baseVal,
         });
-        window.hagRefreshAuction?.();
       }
       if (action === "add-roster") {
         addToRosterFromCsv({ Name: name, Type: type, Team: team, POS: pos });
-        window.hagRefreshRoster?.();
-        window.hagRefreshAuction?.();
       }
     });
     el.dataset._recActionsBound = "1";
@@ -0,0 +1,173 @@
+// js/room-sync.js
+// Shared rules for the draft room (tools/draft-room.mjs + js/draft-room.js).
+// - Room docs: the live draft log and our roster belong to the recorder;
+//   the target board (incl. notes) can be edited by the recorder and co-editors
+// - diffTargets(): turn a local board edit into per-field ops
+// - applyTargetOps(): server-side merge; a field someone else changed since
+//   you last saw it is kept and reported back as a conflict
+//
+// Import-free, so the Node server can load it.
+
+export const ROOM_ROLES = ["recorder", "editor", "viewer"];
+
+export const ROLE_LABELS = {
+  recorder: "Recorder",
+  editor: "Co-editor",
+  viewer: "Read-only",
+};
+
+// doc → who may write it
+export const ROOM_DOCS = {
+  draft: "recorder",
+  roster: "recorder",
+  targets: "editor",
+};
+
+// Target fields merged one by one (id is the identity).
+export const TARGET_FIELDS = ["name", "type", "pos", "team", "tier", "plan", "max", "enforce", "notes", "player_key", "val"];
+
+export function normalizeRole(role) {
+  return ROOM_ROLES.includes(role) ? role : "viewer";
+}
+
+export function canWrite(role, doc) {
+  const need = ROOM_DOCS[doc];
+  if (!need) return false;
+  if (role === "recorder") return true;
+  return need === "editor" && role === "editor";
+}
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * Is `value` something the room can hand to every device as `doc`?
+ * (draft: { nomination, sales: [] }; roster / targets: lists of records)
+ */
+export function isValidDocValue(doc, value) {
+  if (doc === "draft") {
+    return isObject(value) && Array.isArray(value.sales) && value.sales.every(isObject) && (value.nomination == null || isObject(value.nomination));
+  }
+  if (doc === "roster") return Array.isArray(value) && value.every((r) => isObject(r) && (r.id || r.name));
+  if (doc === "targets") return Array.isArray(value) && value.every((t) => isObject(t) && typeof t.id === "string" && t.id);
+  return false;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function pick(t, fields) {
+  const out = {};
+  for (const f of fields) out[f] = t?.[f] ?? null;
+  return out;
+}
+
+/* ------------------------------ Client side ------------------------------ */
+
+/**
+ * Ops that turn `base` (the board as the room last sent it) into `next`:
+ *   { op: "add", target }
+ *   { op: "patch", id, base: { field: old }, set: { field: new } }
+ *   { op: "remove", id, base: { ...all fields } }
+ * Order of the list isn't synced; new targets go on top.
+ */
+export function diffTargets(base, next) {
+  const before = new Map((base || []).map((t) => [t.id, t]));
+  const after = new Map((next || []).map((t) => [t.id, t]));
+  const ops = [];
+
+  // reversed so repeated unshift keeps the local order of new rows
+  for (const t of [...after.values()].reverse()) {
+    const old = before.get(t.id);
+    if (!old) {
+      ops.push({ op: "add", target: t });
+      continue;
+    }
+    const changed = TARGET_FIELDS.filter((f) => !same(old[f], t[f]));
+    if (changed.length) {
+      ops.push({ op: "patch", id: t.id, base: pick(old, changed), set: pick(t, changed) });
+    }
+  }
+
+  for (const t of before.values()) {
+    if (!after.has(t.id)) ops.push({ op: "remove", id: t.id, base: pick(t, TARGET_FIELDS) });
+  }
+  return ops;
+}
+
+/* ------------------------------ Server side ------------------------------ */
+
+/**
+ * Merge ops into the room's board.
+ * - patch: each field applies if the room still has the value the sender
+ *   started from; otherwise the room keeps its value → conflict
+ * - remove: skipped (conflict) if someone edited the target meanwhile
+ * - add: skipped (conflict) if the player is already on the board
+ * editedBy: { [id]: { [field]: name } }, updated in place, names who last
+ * changed each field (shown in conflicts).
+ *
+ * Returns { list, changed, conflicts: [{ id, name, field, mine, theirs, by, reason }] }
+ */
+export function applyTargetOps(list, ops, { by = "", editedBy = {} } = {}) {
+  let next = [...(list || [])];
+  const conflicts = [];
+  let changed = false;
+
+  const stamp = (id, fields) => {
+    editedBy[id] = editedBy[id] || {};
+    for (const f of fields) editedBy[id][f] = by;
+  };
+
+  for (const op of Array.isArray(ops) ? ops : []) {
+    if (!isObject(op)) continue;
+    const base = isObject(op.base) ? op.base : {};
+    if (op.op === "add" && isObject(op.target) && typeof op.target.id === "string") {
+      const t = op.target;
+      if (next.some((x) => x.id === t.id)) continue;
+      const dupe = t.player_key && next.find((x) => x.player_key === t.player_key);
+      if (dupe) {
+        conflicts.push({ id: dupe.id, name: dupe.name, field: "", mine: t, theirs: dupe, by: editedBy[dupe.id]?.name || "", reason: "duplicate" });
+        continue;
+      }
+      next = [t, ...next];
+      stamp(t.id, TARGET_FIELDS);
+      changed = true;
+    } else if (op.op === "patch") {
+      const i = next.findIndex((x) => x.id === op.id);
+      if (i < 0) {
+        conflicts.push({ id: op.id, name: op.set?.name ?? base.name ?? "", field: "", mine: op.set, theirs: null, by: "", reason: "removed" });
+        continue;
+      }
+      const cur = { ...next[i] };
+      const applied = [];
+      for (const [f, value] of Object.entries(isObject(op.set) ? op.set : {})) {
+        if (!TARGET_FIELDS.includes(f)) continue;
+        if (same(cur[f], value)) continue;
+        if (same(cur[f], base[f])) {
+          cur[f] = value;
+          applied.push(f);
+        } else {
+          conflicts.push({ id: cur.id, name: cur.name, field: f, mine: value, theirs: cur[f], by: editedBy[cur.id]?.[f] || "", reason: "edited" });
+        }
+      }
+      if (applied.length) {
+        next[i] = cur;
+        stamp(cur.id, applied);
+        changed = true;
+      }
+    } else if (op.op === "remove") {
+      const cur = next.find((x) => x.id === op.id);
+      if (!cur) continue;
+      const edited = TARGET_FIELDS.find((f) => f in base && !same(cur[f], base[f]));
+      if (edited) {
+        conflicts.push({ id: cur.id, name: cur.name, field: edited, mine: null, theirs: cur[edited], by: editedBy[cur.id]?.[edited] || "", reason: "kept" });
+        continue;
+      }
+      next = next.filter((x) => x.id !== op.id);
+      delete editedBy[op.id];
+      changed = true;
+    }
+  }
+
+  return { list: next, changed, conflicts };
+}
@@ -3,12 +3,13 @@ import {
   getRoster,
   updateRosterPlayer,
   removeRosterPlayer,
-  recalcBudgetRemaining
+  recalcBudgetRemaining,
+  onStateChange,
+  STATE_KEYS
 } from "./storage.js";
-import { hydrateHeader } from "./nav.js";
-
-// ✅ Update this if your CSV filename differs
-const CSV_PATH = "./data/hit_pit_2026.csv";
+import { loadPlayerRepo } from "./player-repo.js";
+import { mountKeeperAnalysis } from "./keeper-value.js";
+import { mountContractTimeline } from "./contract-timeline.js";
 
 function norm(s) {
   return String(s ?? "").trim().toLowerCase();
@@ -21,24 +22,6 @@ function td(text, opts = {}) {
   return el;
 }
 
-async function loadPlayersFromCsv() {
-  const res = await fetch(CSV_PATH);
-  if (!res.ok) throw new Error(`CSV fetch failed (${res.status}): ${CSV_PATH}`);
-
-  const text = await res.text();
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const headers = lines[0].split(",").map((h) => h.trim());
-
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = lines[i].split(",");
-    const obj = {};
-    headers.forEach((h, idx) => (obj[h] = cols[idx]?.trim() ?? ""));
-    rows.push(obj);
-  }
-  return rows;
-}
-
 function renderAddResults(rows, tbody, meta, rosterIds, onAdd, query) {
   tbody.innerHTML = "";
 
@@ -203,8 +186,10 @@ async function init() {
   const rosterMeta = document.getElementById("rosterMeta");
   const rosterTbody = document.getElementById("rosterTbody");
 
-  // Load CSV pool
-  const pool = await loadPlayersFromCsv();
+  // Player pool (merged records from the player repository)
+  let repo = await loadPlayerRepo();
+  const keepers = mountKeeperAnalysis({ repo });
+  const timeline = mountContractTimeline();
 
   function refreshUI() {
     const roster = getRoster();
@@ -212,13 +197,13 @@ async function init() {
 
     // ✅ Only show results when user types something
     const q = norm(addSearch?.value);
-    const matches = q ? pool.filter((p) => norm(p.Name).includes(q)) : [];
+    let matches = q ? repo.players.filter((p) => norm(p.Name).includes(q)) : [];
+    // Nothing by substring: ask the name resolver ("Mike Harris", "Acuna Jr")
+    if (q && !matches.length) matches = repo.resolver.candidates(q).map((c) => c.player);
 
     renderAddResults(matches, addTbody, addMeta, rosterIds, (player) => {
       addToRosterFromCsv(player);
       recalcBudgetRemaining();
-      hydrateHeader();
-      refreshUI();
     }, q);
 
     renderRoster(
@@ -228,20 +213,33 @@ async function init() {
       (id, patch) => {
         updateRosterPlayer(id, patch);
         recalcBudgetRemaining();
-        hydrateHeader();
-        refreshUI();
       },
       (id) => {
         removeRosterPlayer(id);
         recalcBudgetRemaining();
-        hydrateHeader();
-        refreshUI();
       }
     );
+
+    keepers?.refresh();
+    timeline?.refresh();
   }
 
   addSearch?.addEventListener("input", refreshUI);
 
+  // Roster / contract writes from this page, other pages' panels or other tabs
+  onStateChange([STATE_KEYS.roster, STATE_KEYS.settings, STATE_KEYS.league, STATE_KEYS.contractMoves], refreshUI);
+
+  // A saved name alias (Data page) re-joins roster names to the data files
+  onStateChange([STATE_KEYS.nameAliases], () =>
+    loadPlayerRepo({ reload: true })
+      .then((next) => {
+        repo = next;
+        keepers?.setRepo(repo);
+        refreshUI();
+      })
+      .catch((err) => console.error("Roster page: player data reload failed:", err))
+  );
+
   // Initial render
   refreshUI();
 }
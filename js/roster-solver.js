@@ -0,0 +1,194 @@
+// js/roster-solver.js
+// Optimal slot assignment for multi-position players.
+//
+// Given a pool (roster + targets) it finds the assignment to the 13 hitter and
+// 9 pitcher slots that fills as many slots as possible and, among those, has
+// the highest total projected value. Eligibility is the planner's
+// isEligibleForSlot(), so "CF,RF,OF" can cover CF, RF, OF1, OF2 and UT.
+//
+// Method: Hungarian algorithm (min-cost assignment) on a slots × players matrix.
+// Every eligible pair is worth OFFSET + value, where OFFSET exceeds the whole
+// value spread; one more filled slot always beats any value gain.
+
+import { ALL_SLOTS, isEligibleForSlot, slotLabel, checkAssignments } from "./lineup-planner.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Hungarian algorithm (rows ≤ cols). cost[i][j] is minimized.
+ * Returns rowToCol: array of column index per row.
+ */
+export function hungarian(cost) {
+  const n = cost.length;
+  const m = n ? cost[0].length : 0;
+  if (!n || !m) return [];
+  if (n > m) throw new Error("hungarian: more rows than columns");
+
+  const INF = Number.POSITIVE_INFINITY;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0); // p[j] = row matched to column j (1-based)
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(INF);
+    const used = new Array(m + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = INF;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const rowToCol = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) if (p[j]) rowToCol[p[j] - 1] = j - 1;
+  return rowToCol;
+}
+
+/**
+ * Solve the lineup.
+ *
+ * Inputs:
+ * - pool: [{ player_key, name, type, pos, ... }] (see getPlannerPool())
+ * - opts:
+ *    - score(player): projected value (default player.value); higher is better
+ *    - exclude: Set/array of player keys to leave out (minors)
+ *    - locked: { slot: player_key } assignments to keep as-is
+ *    - slots: slot keys to fill (default: all 22)
+ *
+ * Output:
+ * {
+ *   slots: { slot: player_key },
+ *   total,                           // sum of score() over placed players
+ *   unfilled: [slot],                // nobody eligible left for these
+ *   bench: [{ player, value, eligible: [slot], blockedBy: [{ slot, player_key }] }]
+ * }
+ */
+export function solveLineup(pool = [], opts = {}) {
+  const score = opts.score || ((p) => num(p.value, 0));
+  const exclude = new Set(opts.exclude || []);
+  const slotKeys = opts.slots || ALL_SLOTS;
+  const byKey = new Map(pool.map((p) => [p.player_key, p]));
+
+  // Locked assignments stay put (if still valid).
+  const fixed = {};
+  const fixedKeys = new Set();
+  for (const [slot, key] of Object.entries(opts.locked || {})) {
+    const p = byKey.get(key);
+    if (!p || !slotKeys.includes(slot) || exclude.has(key) || !isEligibleForSlot(p, slot)) continue;
+    fixed[slot] = key;
+    fixedKeys.add(key);
+  }
+
+  const openSlots = slotKeys.filter((s) => !fixed[s]);
+  const players = pool.filter((p) => !exclude.has(p.player_key) && !fixedKeys.has(p.player_key));
+  const values = new Map(players.map((p) => [p.player_key, num(score(p), 0)]));
+
+  const vals = [...values.values()];
+  const minV = vals.length ? Math.min(...vals) : 0;
+  const maxV = vals.length ? Math.max(...vals) : 0;
+  const OFFSET = (maxV - minV + 1) * (openSlots.length + 1);
+
+  // Columns: real players, padded with dummies so rows ≤ cols.
+  const cols = Math.max(players.length, openSlots.length);
+  const cost = openSlots.map((slot) => {
+    const row = new Array(cols).fill(0);
+    players.forEach((p, j) => {
+      if (isEligibleForSlot(p, slot)) row[j] = -(OFFSET + values.get(p.player_key) - minV);
+    });
+    return row;
+  });
+
+  const out = { ...fixed };
+  if (openSlots.length && players.length) {
+    const rowToCol = hungarian(cost);
+    rowToCol.forEach((j, i) => {
+      if (j < 0 || j >= players.length) return;
+      if (cost[i][j] === 0) return; // dummy / ineligible: slot stays empty
+      out[openSlots[i]] = players[j].player_key;
+    });
+  }
+
+  const placed = new Set(Object.values(out));
+  const total = [...placed].reduce((acc, k) => acc + num(score(byKey.get(k)), 0), 0);
+  const unfilled = slotKeys.filter((s) => !out[s]);
+
+  const bench = players
+    .filter((p) => !placed.has(p.player_key))
+    .map((p) => {
+      const eligible = slotKeys.filter((s) => isEligibleForSlot(p, s));
+      return {
+        player: p,
+        value: values.get(p.player_key),
+        eligible,
+        blockedBy: eligible.filter((s) => out[s]).map((s) => ({ slot: s, player_key: out[s] })),
+      };
+    })
+    .sort((a, b) => b.value - a.value);
+
+  return { slots: out, total, unfilled, bench };
+}
+
+/**
+ * Human summary of a solve: "Unfilled: C, P9 • Bench: 3".
+ */
+export function describeSolve(res) {
+  const bits = [];
+  bits.push(res.unfilled.length ? `Unfilled: ${res.unfilled.map(slotLabel).join(", ")}` : "Every slot filled");
+  if (res.bench.length) bits.push(`Bench: ${res.bench.length}`);
+  return bits.join(" • ");
+}
+
+/**
+ * Planner auto-fill: solve over the pool (minors stay put) and return the new
+ * planner state with the solve result.
+ *
+ * - keep: true keeps current (valid) assignments and only fills the gaps
+ * - score: see solveLineup()
+ */
+export function solvePlanner(state, pool, { keep = false, score } = {}) {
+  const minors = [...(state.minors || [])];
+  const issues = checkAssignments(state, pool);
+
+  const locked = {};
+  if (keep) {
+    for (const [slot, key] of Object.entries(state.slots || {})) if (!issues[slot]) locked[slot] = key;
+  }
+
+  const result = solveLineup(pool, { score, exclude: minors, locked });
+  return { state: { slots: result.slots, minors }, result };
+}
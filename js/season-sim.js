@@ -0,0 +1,471 @@
+// js/season-sim.js
+// Season standings Monte Carlo for drafted rosters.
+// - Teams: ours from the roster (hag_roster_v1), opponents from the league
+//   ledger (keepers + live-draft sales); open slots can be filled with a
+//   snake "draft" of the best players left so pre-draft runs make sense
+// - Each run samples every player around the 2026 projections
+//   (hit_pit_2026.csv): playing time, injuries, talent swings, closer churn
+// - Teams are ranked per category (roto points: N for first ... 1 for last)
+// - Output: expected roto points, overall finish distribution and per-category
+//   points / finish distribution, next to our Strategy weights
+
+import { getLeague, getRoster, getAuctionTargets, getCategoryWeights } from "./storage.js";
+import { getLedger } from "./league-ledger.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { withStats } from "./player-repo.js";
+import { teamCategoryTotals, higherIsBetter, ratioVolume, ipToDecimal, SGP_HIT_CATS, SGP_PIT_CATS } from "./sgp.js";
+
+export const SIM_CATS = [...SGP_HIT_CATS, ...SGP_PIT_CATS];
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+// mulberry32
+function makeRng(seed) {
+  let a = seed >>> 0 || 1;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Box–Muller standard normal
+function gauss(rnd) {
+  const u = Math.max(1e-12, rnd());
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rnd());
+}
+
+/* ------------------------------ Sampling ----------------------------- */
+
+// Spreads are per-season standard deviations as a share of the projection.
+const SPREAD = {
+  time: 0.12, // PA / IP, before injuries
+  injury: 0.12, // chance of a big chunk of the season lost
+  injuryFlagged: 0.3, // ... for players flagged "Injury Risk" in master.csv
+  rate: 0.1, // counting stats per PA / IP
+  avg: 0.035,
+  ops: 0.05,
+  era: 0.12,
+  whip: 0.06,
+  sb: 0.2,
+  roleLoss: 0.2, // closers / setup men losing the job
+};
+
+function stat(p, k) {
+  return k === "IP" ? ipToDecimal(p.IP) : num(p[k], 0);
+}
+
+/**
+ * One simulated season for one player (raw stat columns, e.g. withStats(rec)).
+ * `volatility` scales every spread (0 = projections exactly).
+ */
+export function samplePlayerSeason(p, rnd, volatility = 1) {
+  const v = Math.max(0, num(volatility, 1));
+  const type = typeLabel(p.type ?? p.Type);
+  const flagged = (p.flag_list || []).some((f) => /injur/i.test(f));
+
+  let time = clamp(1 + v * SPREAD.time * gauss(rnd), 0.2, 1.15);
+  if (v > 0 && rnd() < (flagged ? SPREAD.injuryFlagged : SPREAD.injury)) time *= 0.35 + 0.5 * rnd();
+  const z = v * gauss(rnd); // talent: one draw moves every rate together
+
+  if (type === "hit") {
+    const rate = Math.max(0, 1 + SPREAD.rate * z);
+    return {
+      type,
+      PA: stat(p, "PA") * time,
+      TB: stat(p, "TB") * time * rate,
+      HR: stat(p, "HR") * time * rate,
+      RBI: stat(p, "RBI") * time * rate,
+      R: stat(p, "R") * time * rate,
+      SB: stat(p, "SB") * time * Math.max(0, 1 + SPREAD.sb * v * gauss(rnd)),
+      AVG: stat(p, "AVG") * (1 + SPREAD.avg * z),
+      OPS: stat(p, "OPS") * (1 + SPREAD.ops * z),
+    };
+  }
+
+  const rate = Math.max(0, 1 + SPREAD.rate * z);
+  const role = v > 0 && rnd() < SPREAD.roleLoss ? 0.3 : 1;
+  return {
+    type,
+    IP: stat(p, "IP") * time,
+    QS: stat(p, "QS") * time * rate,
+    K: stat(p, "K") * time * rate,
+    SV: stat(p, "SV") * time * role,
+    HLD: stat(p, "HLD") * time * role,
+    ERA: stat(p, "ERA") * Math.max(0.3, 1 - SPREAD.era * z),
+    WHIP: stat(p, "WHIP") * Math.max(0.5, 1 - SPREAD.whip * z),
+  };
+}
+
+/**
+ * Roto points for one category: best gets N, worst 1; ties split the points.
+ * totals: [number | null] (one per team); null = no volume for a ratio
+ * category (no PA / IP), ranked last. Returns [points] in the same order.
+ */
+export function rotoPoints(totals, cat) {
+  const n = totals.length;
+  const better = (a, b) => (higherIsBetter(cat) ? b - a : a - b);
+  const idx = totals
+    .map((v, i) => i)
+    .sort((a, b) => (totals[a] == null || totals[b] == null ? (totals[a] == null) - (totals[b] == null) : better(totals[a], totals[b])));
+  const out = new Array(n).fill(0);
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j + 1 < n && totals[idx[j + 1]] === totals[idx[i]]) j++;
+    // places i..j share points (n - i) .. (n - j)
+    const pts = (n - i + (n - j)) / 2;
+    for (let k = i; k <= j; k++) out[idx[k]] = pts;
+    i = j + 1;
+  }
+  return out;
+}
+
+/**
+ * Monte Carlo over full seasons.
+ *
+ * Inputs:
+ * - teams: [{ id, name, mine, players: [raw stat rows] }]
+ * - opts: { iterations = 500, seed, volatility = 1 }
+ *
+ * Output:
+ * {
+ *   iterations,
+ *   teams: [{
+ *     id, name, mine,
+ *     points, pointsSd,                    // expected roto points (+ spread)
+ *     finish: [p(1st), p(2nd), ...],
+ *     cats: { cat: { points, total, rank, dist: [p(1st in cat), ...] } }
+ *   }]  // sorted by expected points
+ * }
+ */
+export function simulateSeason(teams = [], opts = {}) {
+  const iterations = clamp(Math.round(num(opts.iterations, 500)), 1, 20000);
+  const rnd = makeRng(num(opts.seed, Date.now()));
+  const n = teams.length;
+
+  const acc = teams.map(() => ({
+    points: 0,
+    pointsSq: 0,
+    finish: new Array(n).fill(0),
+    cats: Object.fromEntries(SIM_CATS.map((c) => [c, { points: 0, total: 0, rank: 0, dist: new Array(n).fill(0) }])),
+  }));
+
+  for (let it = 0; it < iterations; it++) {
+    const totals = teams.map((t) => teamCategoryTotals(t.players.map((p) => samplePlayerSeason(p, rnd, opts.volatility))));
+    const points = new Array(n).fill(0);
+
+    for (const cat of SIM_CATS) {
+      const vol = ratioVolume(cat);
+      const pts = rotoPoints(totals.map((t) => (vol && !(t[vol] > 0) ? null : t[cat])), cat);
+      pts.forEach((x, i) => {
+        const a = acc[i].cats[cat];
+        points[i] += x;
+        a.points += x;
+        a.total += totals[i][cat];
+        const rank = Math.round(n - x); // 0-based place (ties round)
+        a.rank += rank + 1;
+        a.dist[clamp(rank, 0, n - 1)] += 1;
+      });
+    }
+
+    const order = points.map((p, i) => i).sort((a, b) => points[b] - points[a] || a - b);
+    order.forEach((i, place) => (acc[i].finish[place] += 1));
+    points.forEach((p, i) => {
+      acc[i].points += p;
+      acc[i].pointsSq += p * p;
+    });
+  }
+
+  const out = teams.map((t, i) => {
+    const a = acc[i];
+    const mean = a.points / iterations;
+    const cats = {};
+    for (const cat of SIM_CATS) {
+      const c = a.cats[cat];
+      cats[cat] = {
+        points: c.points / iterations,
+        total: c.total / iterations,
+        rank: c.rank / iterations,
+        dist: c.dist.map((x) => x / iterations),
+      };
+    }
+    return {
+      id: t.id,
+      name: t.name,
+      mine: !!t.mine,
+      points: mean,
+      pointsSd: Math.sqrt(Math.max(0, a.pointsSq / iterations - mean * mean)),
+      finish: a.finish.map((x) => x / iterations),
+      cats,
+    };
+  });
+
+  return { iterations, teams: out.sort((a, b) => b.points - a.points) };
+}
+
+/* ---------------------------- Team building -------------------------- */
+
+/**
+ * Simulation teams from what's saved.
+ *
+ * - repo: loadPlayerRepo() result (projections live on record.stats26)
+ * - fill: fill open slots — our Auction Board targets first, then a snake
+ *   draft of the best auction values left (all teams)
+ *
+ * Returns { teams: [{ id, name, mine, players, drafted, filled }], missing: [name] }
+ * where missing = rostered players with no 2026 projection (count as zero).
+ */
+export function buildSimTeams(repo, { fill = true, league = getLeague(), ledger = getLedger(), roster = getRoster() || [] } = {}) {
+  const hitCap = league.hitter_slots;
+  const pitCap = league.pitcher_slots;
+  const byKey = repo?.byKey || new Map();
+  const taken = new Set();
+  const missing = [];
+
+  const teams = ledger.teams.map((t) => {
+    const rows = t.mine ? roster : t.players;
+    const keys = [];
+    for (const r of rows) {
+      const key = r.player_key || getPlayerKey({ type: r.type, Name: r.name });
+      if (taken.has(key)) continue;
+      taken.add(key);
+      keys.push({ key, name: r.name, type: typeLabel(r.type) });
+    }
+    return { id: t.id, name: t.name, mine: t.mine, keys };
+  });
+
+  const valueOf = (k) => getBaseVal26(byKey.get(k.key));
+  const count = (team, type) => team.keys.filter((k) => k.type === type).length;
+  const open = (team, type) => (type === "pit" ? pitCap : hitCap) - count(team, type);
+
+  // Over the cap (e.g. a long roster): keep the most valuable.
+  for (const team of teams) {
+    for (const type of ["hit", "pit"]) {
+      const cap = type === "pit" ? pitCap : hitCap;
+      const mine = team.keys.filter((k) => k.type === type).sort((a, b) => valueOf(b) - valueOf(a));
+      const drop = new Set(mine.slice(cap).map((k) => k.key));
+      team.keys = team.keys.filter((k) => !drop.has(k.key));
+    }
+    team.drafted = team.keys.length;
+  }
+
+  if (fill) {
+    const ours = teams.find((t) => t.mine);
+    if (ours) {
+      const targets = (getAuctionTargets() || [])
+        .map((t) => ({ key: t.player_key || getPlayerKey({ type: t.type, Name: t.name }), name: t.name, type: typeLabel(t.type), plan: num(t.plan, 0) }))
+        .sort((a, b) => b.plan - a.plan);
+      for (const t of targets) {
+        if (taken.has(t.key) || open(ours, t.type) <= 0) continue;
+        taken.add(t.key);
+        ours.keys.push(t);
+      }
+    }
+
+    const pool = (repo?.players || [])
+      .filter((p) => p.sources?.auction && p.stats26 && !taken.has(p.player_key))
+      .sort((a, b) => getBaseVal26(b) - getBaseVal26(a))
+      .map((p) => ({ key: p.player_key, name: p.Name, type: typeLabel(p.type) }));
+
+    for (let round = 0; round < hitCap + pitCap; round++) {
+      const order = round % 2 ? [...teams].reverse() : teams;
+      for (const team of order) {
+        const i = pool.findIndex((p) => !taken.has(p.key) && open(team, p.type) > 0);
+        if (i < 0) continue;
+        taken.add(pool[i].key);
+        team.keys.push(pool[i]);
+      }
+    }
+  }
+
+  const out = teams.map((t) => ({
+    id: t.id,
+    name: t.name,
+    mine: t.mine,
+    drafted: t.drafted,
+    filled: t.keys.length - t.drafted,
+    players: t.keys.map((k) => {
+      const rec = byKey.get(k.key);
+      if (!rec?.stats26) {
+        if (k.name) missing.push(k.name);
+        return { type: k.type, Name: k.name };
+      }
+      return withStats(rec);
+    }),
+  }));
+
+  return { teams: out, missing };
+}
+
+/* -------------------------------- UI --------------------------------- */
+
+function pct(x) {
+  return `${Math.round(num(x) * 100)}%`;
+}
+
+function fmtTotal(cat, v) {
+  if (cat === "AVG" || cat === "OPS") return num(v).toFixed(3);
+  if (cat === "ERA" || cat === "WHIP") return num(v).toFixed(2);
+  return String(Math.round(num(v)));
+}
+
+function weightOf(weights, cat) {
+  return cat === "SB" ? num(weights.SB ?? weights.SBN, 1) : num(weights[cat], 1);
+}
+
+// Does the weight match where we finish?
+function verdict(weight, c, n) {
+  const good = c.rank <= n / 3 + 0.5;
+  const poor = c.rank >= (2 * n) / 3;
+  if (weight >= 1.1 && poor) return "Priority, but losing";
+  if (weight >= 1.1 && good) return "Priority, winning";
+  if (weight <= 0.3 && good) return "Punted, still winning (surplus)";
+  if (weight <= 0.3) return "Punted";
+  return good ? "Winning" : poor ? "Losing" : "Middle";
+}
+
+function renderStandings(box, res) {
+  const n = res.teams.length;
+  box.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Team</th>
+          <th style="text-align:right;">Exp. Pts</th>
+          <th style="text-align:right;">±</th>
+          <th style="text-align:right;">1st</th>
+          <th style="text-align:right;">Top 3</th>
+          <th style="text-align:right;">Avg Finish</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${res.teams
+          .map((t) => {
+            const avg = t.finish.reduce((acc, p, i) => acc + p * (i + 1), 0);
+            const top3 = t.finish.slice(0, Math.min(3, n)).reduce((a, b) => a + b, 0);
+            return `
+              <tr>
+                <td>${escapeHtml(t.name)}${t.mine ? ` <span class="chip chipNeed">Ours</span>` : ""}</td>
+                <td style="text-align:right;">${t.points.toFixed(1)}</td>
+                <td style="text-align:right;">${t.pointsSd.toFixed(1)}</td>
+                <td style="text-align:right;">${pct(t.finish[0])}</td>
+                <td style="text-align:right;">${pct(top3)}</td>
+                <td style="text-align:right;">${avg.toFixed(1)}</td>
+              </tr>
+            `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderOurCats(box, res) {
+  const me = res.teams.find((t) => t.mine);
+  if (!me) {
+    box.innerHTML = `<div class="small" style="opacity:.7;">No team is marked as ours in the league setup.</div>`;
+    return;
+  }
+  const n = res.teams.length;
+  const weights = getCategoryWeights();
+
+  box.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Cat</th>
+          <th style="text-align:right;">Weight</th>
+          <th style="text-align:right;">Proj. Total</th>
+          <th style="text-align:right;">Exp. Pts</th>
+          <th style="text-align:right;">Avg Rank</th>
+          <th style="text-align:right;">Top 3</th>
+          <th style="text-align:left;">Read</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${SIM_CATS.map((cat) => {
+          const c = me.cats[cat];
+          const w = weightOf(weights, cat);
+          const top3 = c.dist.slice(0, Math.min(3, n)).reduce((a, b) => a + b, 0);
+          return `
+            <tr>
+              <td>${cat}</td>
+              <td style="text-align:right;">${w.toFixed(1)}</td>
+              <td style="text-align:right;">${fmtTotal(cat, c.total)}</td>
+              <td style="text-align:right;">${c.points.toFixed(1)}</td>
+              <td style="text-align:right;">${c.rank.toFixed(1)}</td>
+              <td style="text-align:right;">${pct(top3)}</td>
+              <td class="small">${escapeHtml(verdict(w, c, n))}</td>
+            </tr>
+          `;
+        }).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Mount the Season Simulation panel (Strategy page).
+ * - repo: loadPlayerRepo() result
+ * Returns { run, setRepo } (setRepo swaps in a re-joined repo for the next run).
+ */
+export function mountSeasonSim({ repo } = {}) {
+  const root = document.getElementById("seasonSim");
+  if (!root) return null;
+
+  const el = (id) => document.getElementById(id);
+  const meta = el("simMeta");
+
+  function run() {
+    const iterations = clamp(Math.round(num(el("simIterations")?.value, 500)), 50, 5000);
+    const volatility = num(el("simVolatility")?.value, 1);
+    const { teams, missing } = buildSimTeams(repo, { fill: el("simFill")?.checked ?? true });
+
+    if (meta) meta.textContent = "Running…";
+    // Let the status paint before the (synchronous) run.
+    setTimeout(() => {
+      const t0 = performance.now();
+      const res = simulateSeason(teams, { iterations, volatility });
+      const filled = teams.reduce((acc, t) => acc + t.filled, 0);
+
+      if (el("simStandings")) renderStandings(el("simStandings"), res);
+      if (el("simCats")) renderOurCats(el("simCats"), res);
+      if (meta) {
+        const bits = [`${res.iterations} seasons in ${Math.round(performance.now() - t0)} ms`];
+        if (filled) bits.push(`${filled} open slot(s) filled from the pool`);
+        if (missing.length) bits.push(`No projection (counted as zero): ${missing.slice(0, 5).join(", ")}${missing.length > 5 ? "…" : ""}`);
+        meta.textContent = bits.join(" • ");
+      }
+    }, 0);
+  }
+
+  el("simRun")?.addEventListener("click", run);
+
+  function setRepo(next) {
+    repo = next;
+  }
+
+  return { run, setRepo };
+}
@@ -0,0 +1,301 @@
+// js/sgp.js
+// Standings-gain-points (SGP) valuation engine.
+// Raw projections (hit_pit_2026.csv) → per-category SGP above replacement → $.
+//
+// Pipeline:
+// 1) Pool = draft-relevant players (hitters 200+ PA, pitchers 35+ IP)
+// 2) Each category is turned into "team standings points":
+//    - counting stats: stat / denominator
+//    - ratio stats (AVG/OPS by PA, ERA/WHIP by IP): the player's pull on a
+//      full team's ratio, / denominator (ERA/WHIP sign-flipped)
+//    Denominators approximate the gap between adjacent teams in the standings
+//    (expected range of team totals ÷ (teams − 1)) unless passed in explicitly.
+// 3) Replacement level = the players ranked just past the last drafted slot.
+//    Category SGP is reported above that baseline.
+// 4) Dollars: every drafted slot costs the min bid; the rest of the league
+//    budget is split hit/pit and handed out per SGP above replacement.
+
+import { getLeague } from "./storage.js";
+import { getPlayerKey } from "./player-key.js";
+
+export const SGP_HIT_CATS = ["OPS", "TB", "HR", "RBI", "R", "AVG", "SB"];
+export const SGP_PIT_CATS = ["IP", "QS", "K", "HLD", "SV", "ERA", "WHIP"];
+
+const RATIO_CATS = {
+  AVG: { vol: "PA", lowerIsBetter: false },
+  OPS: { vol: "PA", lowerIsBetter: false },
+  ERA: { vol: "IP", lowerIsBetter: true },
+  WHIP: { vol: "IP", lowerIsBetter: true },
+};
+
+// Expected range (max − min) of N normal draws, in standard deviations.
+// Close enough for 10–16 team leagues; used to turn team-total spread into
+// "one standings point".
+const RANGE_SD = 3.4;
+
+// Methodology budget split: hitters $2730 of $4200.
+const DEFAULT_HIT_SHARE = 0.65;
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Baseball IP notation → decimal innings (175.2 = 175⅔).
+ */
+export function ipToDecimal(ip) {
+  const x = num(ip, 0);
+  const whole = Math.trunc(x);
+  const outs = Math.round((x - whole) * 10);
+  return outs >= 1 && outs <= 2 ? whole + outs / 3 : x;
+}
+
+function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+}
+
+function sd(xs) {
+  if (xs.length < 2) return 0;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((acc, x) => acc + (x - m) * (x - m), 0) / (xs.length - 1));
+}
+
+function statOf(p, cat) {
+  if (cat === "IP") return ipToDecimal(p.IP);
+  if (cat === "SB") return num(p.SB ?? p.SBN, 0);
+  return num(p[cat], 0);
+}
+
+function weightFor(weights, cat) {
+  if (!weights) return 1;
+  // Strategy page saves SB; older settings only have SBN.
+  if (cat === "SB") return num(weights.SB ?? weights.SBN, 1);
+  return num(weights[cat], 1);
+}
+
+/**
+ * Raw (pre-replacement) per-category scores for one group.
+ * Returns { raw: Map(player -> {cat: value}), denominators: {cat: number} }.
+ */
+function scoreGroup(pool, cats, { teams, slots, denominators = {} }) {
+  const volKey = (cat) => RATIO_CATS[cat].vol;
+  const avgVol = {};
+  const leagueRate = {};
+
+  for (const cat of cats) {
+    const spec = RATIO_CATS[cat];
+    if (!spec) continue;
+    const vols = pool.map((p) => statOf(p, volKey(cat)));
+    const totalVol = vols.reduce((a, b) => a + b, 0);
+    avgVol[cat] = pool.length ? totalVol / pool.length : 0;
+    leagueRate[cat] = totalVol > 0
+      ? pool.reduce((acc, p) => acc + statOf(p, cat) * statOf(p, volKey(cat)), 0) / totalVol
+      : 0;
+  }
+
+  // Per-player "contribution" to a team total (ratio cats: pull on team ratio).
+  const contrib = (p, cat) => {
+    const spec = RATIO_CATS[cat];
+    if (!spec) return statOf(p, cat);
+    const vol = statOf(p, spec.vol);
+    const teamVol = slots * avgVol[cat];
+    if (!vol || !teamVol) return 0;
+    const pull = ((statOf(p, cat) - leagueRate[cat]) * vol) / teamVol;
+    return spec.lowerIsBetter ? -pull : pull;
+  };
+
+  const denoms = {};
+  for (const cat of cats) {
+    const given = num(denominators[cat], 0);
+    if (given > 0) {
+      denoms[cat] = given;
+      continue;
+    }
+    const spread = sd(pool.map((p) => contrib(p, cat))) * Math.sqrt(Math.max(1, slots));
+    const d = (RANGE_SD * spread) / Math.max(1, teams - 1);
+    denoms[cat] = d > 0 ? d : 1;
+  }
+
+  const raw = new Map();
+  for (const p of pool) {
+    const out = {};
+    for (const cat of cats) out[cat] = contrib(p, cat) / denoms[cat];
+    raw.set(p, out);
+  }
+
+  return { raw, denominators: denoms };
+}
+
+function valueGroup(pool, cats, { teams, slots, weights, denominators, budget, minBid }) {
+  if (!pool.length) return { rows: [], denominators: {}, replacement: {} };
+
+  const { raw, denominators: denoms } = scoreGroup(pool, cats, { teams, slots, denominators });
+  const weighted = (cs) => cats.reduce((acc, c) => acc + weightFor(weights, c) * cs[c], 0);
+
+  const ranked = pool
+    .map((p) => ({ p, cats: raw.get(p), score: weighted(raw.get(p)) }))
+    .sort((a, b) => b.score - a.score);
+
+  // Replacement: average of the few players just past the last drafted slot.
+  const drafted = Math.min(ranked.length, teams * slots);
+  const band = ranked.slice(drafted, drafted + 5);
+  const replBand = band.length ? band : ranked.slice(-1);
+  const replacement = {};
+  for (const c of cats) replacement[c] = mean(replBand.map((r) => r.cats[c]));
+
+  const rows = ranked.map((r) => {
+    const above = {};
+    for (const c of cats) above[c] = r.cats[c] - replacement[c];
+    return { p: r.p, cats: above, total: weighted(above) };
+  });
+
+  const positive = rows.slice(0, drafted).reduce((acc, r) => acc + Math.max(0, r.total), 0);
+  const surplus = Math.max(0, budget - drafted * minBid);
+  const dollarsPerSgp = positive > 0 ? surplus / positive : 0;
+
+  for (const r of rows) {
+    r.value = r.total > 0 ? minBid + r.total * dollarsPerSgp : 0;
+  }
+
+  return { rows, denominators: denoms, replacement, dollarsPerSgp };
+}
+
+/**
+ * Value every projected player.
+ *
+ * Inputs:
+ * - projections: rows from loadPlayers() (Name, type, POS + raw stat columns)
+ * - opts:
+ *    - league: getLeague() shape (teams, budget, slots, min_bid); defaults to saved league
+ *    - weights: category weights (missing = 1); weights shape the ranking and the $
+ *    - denominators: { cat: sgpDenominator } overrides (e.g. from real standings)
+ *    - hitShare: share of the league budget spent on hitters (default 0.65)
+ *    - minPA / minIP: pool cutoffs (default 200 / 35)
+ *
+ * Output:
+ * {
+ *   players: [{ player_key, name, type, pos, cats: { cat: SGP above repl }, total, value }],
+ *   byKey: Map(player_key -> row),
+ *   hit: { denominators, replacement, dollarsPerSgp },
+ *   pit: { denominators, replacement, dollarsPerSgp }
+ * }
+ */
+export function computeSgpValues(projections = [], opts = {}) {
+  const league = opts.league || getLeague();
+  const teams = Math.max(2, league.teams.length);
+  const minBid = Math.max(0, num(league.min_bid, 1));
+  const totalBudget = teams * num(league.budget, 300);
+  const hitShare = Math.min(1, Math.max(0, num(opts.hitShare, DEFAULT_HIT_SHARE)));
+  const minPA = num(opts.minPA, 200);
+  const minIP = num(opts.minIP, 35);
+
+  const type = (p) => (String(p.type ?? p.Type ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit");
+  const hitters = projections.filter((p) => type(p) === "hit" && statOf(p, "PA") >= minPA);
+  const pitchers = projections.filter((p) => type(p) === "pit" && statOf(p, "IP") >= minIP);
+
+  const hit = valueGroup(hitters, SGP_HIT_CATS, {
+    teams,
+    slots: Math.max(1, num(league.hitter_slots, 14)),
+    weights: opts.weights,
+    denominators: opts.denominators,
+    budget: totalBudget * hitShare,
+    minBid,
+  });
+
+  const pit = valueGroup(pitchers, SGP_PIT_CATS, {
+    teams,
+    slots: Math.max(1, num(league.pitcher_slots, 9)),
+    weights: opts.weights,
+    denominators: opts.denominators,
+    budget: totalBudget * (1 - hitShare),
+    minBid,
+  });
+
+  const players = [...hit.rows, ...pit.rows].map((r) => {
+    const name = String(r.p.Name ?? r.p.name ?? "").trim();
+    return {
+      player_key: getPlayerKey({ type: type(r.p), Name: name }),
+      name,
+      type: type(r.p),
+      pos: String(r.p.POS ?? "").trim(),
+      cats: r.cats,
+      total: r.total,
+      value: r.value,
+    };
+  });
+
+  const strip = ({ denominators, replacement, dollarsPerSgp }) => ({ denominators, replacement, dollarsPerSgp });
+
+  return {
+    players,
+    byKey: new Map(players.map((r) => [r.player_key, r])),
+    hit: strip(hit),
+    pit: strip(pit),
+  };
+}
+
+/**
+ * Attach SGP results to auction rows (matched on player_key):
+ * - sgp_cats: per-category SGP above replacement (drives strategy weights)
+ * - sgp_value_26: engine $ value
+ * Returns the number of rows matched.
+ */
+export function attachSgp(players, sgp) {
+  let matched = 0;
+  for (const p of players || []) {
+    const key = p.player_key || getPlayerKey({ type: p.type, Name: p.Name ?? p.name });
+    const row = sgp?.byKey?.get(key);
+    if (!row) continue;
+    p.sgp_cats = row.cats;
+    p.sgp_value_26 = row.value;
+    matched++;
+  }
+  return matched;
+}
+
+/**
+ * Projected category totals for a set of players (a team).
+ * Counting stats are summed; AVG/OPS are PA-weighted, ERA/WHIP IP-weighted.
+ * Players need raw stat columns (e.g. withStats(record)).
+ *
+ * Returns { OPS, TB, HR, RBI, R, AVG, SB, IP, QS, K, HLD, SV, ERA, WHIP, PA }.
+ */
+export function teamCategoryTotals(players = []) {
+  const type = (p) => (String(p.type ?? p.Type ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit");
+  const out = {};
+
+  for (const [cats, group] of [
+    [SGP_HIT_CATS, players.filter((p) => type(p) === "hit")],
+    [SGP_PIT_CATS, players.filter((p) => type(p) === "pit")],
+  ]) {
+    for (const cat of cats) {
+      const spec = RATIO_CATS[cat];
+      if (!spec) {
+        out[cat] = group.reduce((acc, p) => acc + statOf(p, cat), 0);
+        continue;
+      }
+      const vol = group.reduce((acc, p) => acc + statOf(p, spec.vol), 0);
+      out[cat] = vol > 0 ? group.reduce((acc, p) => acc + statOf(p, cat) * statOf(p, spec.vol), 0) / vol : 0;
+    }
+  }
+
+  out.PA = players.filter((p) => type(p) === "hit").reduce((acc, p) => acc + statOf(p, "PA"), 0);
+  return out;
+}
+
+/**
+ * Volume stat behind a ratio category ("PA" for AVG/OPS, "IP" for ERA/WHIP),
+ * or null for counting categories. Without any volume the ratio is only a
+ * 0 placeholder (see teamCategoryTotals()).
+ */
+export function ratioVolume(cat) {
+  return RATIO_CATS[cat]?.vol ?? null;
+}
+
+/**
+ * Is a higher total better in this category? (ERA/WHIP: no.)
+ */
+export function higherIsBetter(cat) {
+  return !RATIO_CATS[cat]?.lowerIsBetter;
+}
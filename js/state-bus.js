@@ -0,0 +1,83 @@
+// js/state-bus.js
+// State-change bus: every write through storage.js announces its key, here and
+// in every other open tab, so pages and panels re-render themselves.
+// - Same page: handlers run once per batch of writes (microtask), not per write
+// - Other tabs: BroadcastChannel("hag-state"); the localStorage "storage"
+//   event stands in where BroadcastChannel is missing
+// - Handlers get { keys: Set, remote } — remote = the write came from another tab
+//
+// Import-free, so storage.js (and Node tools) can load it.
+
+const CHANNEL = "hag-state";
+
+const handlers = new Set();
+let pending = null;
+let channel = null;
+let listening = false;
+
+function dispatch(keys, remote) {
+  for (const h of [...handlers]) {
+    if (h.keys && ![...keys].some((k) => h.keys.has(k))) continue;
+    try {
+      h.fn({ keys, remote });
+    } catch (e) {
+      console.error("[state-bus] handler failed:", e);
+    }
+  }
+}
+
+function listen() {
+  if (listening) return;
+  listening = true;
+
+  if (typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = (e) => {
+      const keys = Array.isArray(e.data?.keys) ? e.data.keys : [];
+      if (keys.length) dispatch(new Set(keys), true);
+    };
+    return;
+  }
+
+  if (typeof window !== "undefined") {
+    window.addEventListener("storage", (e) => {
+      // e.key is null when another tab cleared localStorage entirely
+      if (e.key == null || e.key.startsWith("hag_")) dispatch(new Set(e.key == null ? ["*"] : [e.key]), true);
+    });
+  }
+}
+
+function flush() {
+  const keys = pending;
+  pending = null;
+  if (!keys?.size) return;
+  channel?.postMessage({ keys: [...keys] });
+  dispatch(keys, false);
+}
+
+/**
+ * Announce changed storage keys (storage.js calls this on every write).
+ */
+export function emitStateChange(...keys) {
+  const list = keys.flat().filter(Boolean);
+  if (!list.length) return;
+  listen();
+  if (!pending) {
+    pending = new Set();
+    queueMicrotask(flush);
+  }
+  list.forEach((k) => pending.add(String(k)));
+}
+
+/**
+ * Run fn({ keys, remote }) whenever one of `keys` changes (null / [] = any key).
+ * Returns an unsubscribe function.
+ */
+export function onStateChange(keys, fn) {
+  listen();
+  const list = [keys].flat().filter(Boolean);
+  // "*" = everything changed (another tab cleared storage); matches any subscriber
+  const h = { keys: list.length ? new Set([...list, "*"]) : null, fn };
+  handlers.add(h);
+  return () => handlers.delete(h);
+}
@@ -1,11 +1,77 @@
 // Tiny storage helper so every page reads/writes the same way.
+// Every write is announced on the state bus (state-bus.js) so open pages and
+// other tabs re-render.
+import { getPlayerKey } from "./player-key.js";
+import { emitStateChange } from "./state-bus.js";
+
+export { onStateChange } from "./state-bus.js";
+
+// Problems found while reading storage (unreadable JSON, dropped records).
+// Reported once per key + message; see getStorageIssues().
+const STORAGE_ISSUES = [];
+const CORRUPT_KEY = "hag_corrupt_v1";
+
+/**
+ * Record a storage problem instead of failing silently.
+ * The raw value is stashed under hag_corrupt_v1 so nothing is lost when the
+ * key is written again.
+ */
+function reportStorageIssue(key, message, raw) {
+  if (STORAGE_ISSUES.some((x) => x.key === key && x.message === message)) return;
+  STORAGE_ISSUES.push({ key, message, ts: Date.now() });
+  console.warn(`[storage] ${key}: ${message}`);
+
+  if (raw == null || key === CORRUPT_KEY) return;
+  try {
+    const stash = JSON.parse(localStorage.getItem(CORRUPT_KEY) || "{}");
+    const list = Array.isArray(stash[key]) ? stash[key] : [];
+    if (!list.some((x) => x.raw === raw)) list.push({ message, raw, ts: Date.now() });
+    stash[key] = list.slice(-10);
+    localStorage.setItem(CORRUPT_KEY, JSON.stringify(stash));
+  } catch {
+    // stash is best-effort
+  }
+}
+
+export function getStorageIssues() {
+  return STORAGE_ISSUES.slice();
+}
+
 export function load(key, fallback) {
+  let raw = null;
   try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
+    raw = localStorage.getItem(key);
   } catch {
     return fallback;
   }
+  if (!raw) return fallback;
+
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    reportStorageIssue(key, `Unreadable JSON (${e.message})`, raw);
+    return fallback;
+  }
+}
+
+/**
+ * Load a list and run every entry through `normalize` (returns null for
+ * entries that can't be repaired). Dropped entries are reported.
+ */
+function loadList(key, normalize) {
+  const data = load(key, []);
+  if (!Array.isArray(data)) {
+    reportStorageIssue(key, "Expected a list", JSON.stringify(data));
+    return [];
+  }
+
+  const out = [];
+  data.forEach((item, i) => {
+    const rec = normalize(item);
+    if (rec) out.push(rec);
+    else reportStorageIssue(key, `Dropped unreadable entry #${i + 1}`, JSON.stringify(item));
+  });
+  return out;
 }
 export const DEFAULT_WEIGHTS = {
   // Hitting
@@ -28,7 +94,17 @@ export const DEFAULT_WEIGHTS = {
 };
 
 export function save(key, value) {
-  localStorage.setItem(key, JSON.stringify(value));
+  const raw = JSON.stringify(value);
+  // Unchanged writes stay quiet, so a re-render that saves can't loop
+  if (localStorage.getItem(key) === raw) return;
+  localStorage.setItem(key, raw);
+  emitStateChange(key);
+}
+
+export function remove(key) {
+  if (localStorage.getItem(key) == null) return;
+  localStorage.removeItem(key);
+  emitStateChange(key);
 }
 
 // -------------------------
@@ -40,6 +116,7 @@ export function getSettings() {
     budget_remaining: 300,
     hitter_slots_total: 14,
     pitcher_slots_total: 9,
+    my_team_name: "My Team",
 
     // NEW — category strategy
     category_weights: { ...DEFAULT_WEIGHTS }
@@ -53,10 +130,44 @@ export function getCategoryWeights() {
 export function setCategoryWeights(nextWeights) {
   const s = getSettings();
   const merged = { ...DEFAULT_WEIGHTS, ...(s.category_weights || {}), ...(nextWeights || {}) };
-  save("hag_settings", { ...s, category_weights: merged });
+  save("hag_settings", { ...s, category_weights: merged, category_weights_updated_at: Date.now() });
   return merged;
 }
 
+/**
+ * When the strategy weights were last saved (ms), or null if never.
+ */
+export function getCategoryWeightsUpdatedAt() {
+  const t = Number(getSettings().category_weights_updated_at);
+  return Number.isFinite(t) && t > 0 ? t : null;
+}
+
+/**
+ * Keeper analysis assumptions (Roster page):
+ * - decay: share of projected value lost per future season (0.10 = 10%)
+ * - raise: $ added to a contract price each season after this one
+ * - discount: yearly discount on future surplus (a $ next year < a $ now)
+ */
+export const DEFAULT_KEEPER_SETTINGS = { decay: 0.1, raise: 0, discount: 0.1 };
+
+export function getKeeperSettings() {
+  const k = getSettings().keeper_settings || {};
+  const pick = (v, fallback, min, max) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+  };
+  return {
+    decay: pick(k.decay, DEFAULT_KEEPER_SETTINGS.decay, 0, 0.9),
+    raise: pick(k.raise, DEFAULT_KEEPER_SETTINGS.raise, 0, 100),
+    discount: pick(k.discount, DEFAULT_KEEPER_SETTINGS.discount, 0, 0.9),
+  };
+}
+
+export function setKeeperSettings(next) {
+  const s = getSettings();
+  save("hag_settings", { ...s, keeper_settings: { ...getKeeperSettings(), ...(next || {}) } });
+  return getKeeperSettings();
+}
 
 export function setSettings(next) {
   save("hag_settings", next);
@@ -81,7 +192,7 @@ const ROSTER_KEY = "hag_roster_v1";
  * }
  */
 export function getRoster() {
-  return load(ROSTER_KEY, []);
+  return loadList(ROSTER_KEY, validRosterRow);
 }
 
 export function setRoster(next) {
@@ -108,7 +219,7 @@ function clampInt(n, min, max) {
   return Math.max(min, Math.min(max, x));
 }
 
-function normalizeRosterPlayer(p) {
+export function normalizeRosterPlayer(p) {
   // Enforce safe defaults + valid contract formatting
   const underContract = !!p.underContract;
 
@@ -129,6 +240,13 @@ function normalizeRosterPlayer(p) {
   };
 }
 
+function validRosterRow(p) {
+  if (!p || typeof p !== "object") return null;
+  const name = String(p.name ?? "").trim();
+  if (!p.id && !name) return null;
+  return normalizeRosterPlayer({ ...p, id: p.id || makeRosterId({ Name: name, Type: p.type }) });
+}
+
 /**
  * Upsert a player from CSV into the roster with contract defaults.
  * - If already present: keeps existing contract fields unless missing.
@@ -221,16 +339,60 @@ export function recalcBudgetRemaining() {
 // ==============================
 const AUCTION_KEY = "hag_auction_targets_v1";
 
+/**
+ * Auction target shape:
+ * {
+ *   id,
+ *   name, type: "hit" | "pit", pos, team,
+ *   tier: "A" | "B" | "C",
+ *   plan, max, enforce,        // $
+ *   notes,
+ *   player_key,                // getPlayerKey({ type, Name: name })
+ *   val                        // $ value when added (recommendations), or null
+ * }
+ */
+export function normalizeAuctionTarget(t) {
+  if (!t || typeof t !== "object") return null;
+
+  const name = String(t.name ?? "").trim();
+  const type = t.type === "pit" ? "pit" : "hit";
+  const tier = String(t.tier ?? "").trim().toUpperCase();
+  const n = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+  const val = t.val != null && t.val !== "" && Number.isFinite(Number(t.val)) ? Number(t.val) : null;
+
+  return {
+    id: String(t.id || crypto?.randomUUID?.() || `t_${Date.now()}_${Math.random().toString(16).slice(2)}`),
+    name,
+    type,
+    pos: String(t.pos ?? ""),
+    team: String(t.team ?? ""),
+    tier: ["A", "B", "C"].includes(tier) ? tier : "B",
+    plan: n(t.plan),
+    max: n(t.max),
+    enforce: n(t.enforce),
+    notes: String(t.notes ?? ""),
+    player_key: String(t.player_key || (name ? getPlayerKey({ type, Name: name }) : "")),
+    val,
+  };
+}
+
+// Records saved without an id (older data, merged backups) get one derived
+// from the player, so every read hands out the same id until the list is
+// next saved with it.
 function loadAuctionTargets() {
-  try {
-    return JSON.parse(localStorage.getItem(AUCTION_KEY) || "[]");
-  } catch {
-    return [];
-  }
+  const seen = new Map();
+  return loadList(AUCTION_KEY, (t) => {
+    if (!t || typeof t !== "object" || t.id) return normalizeAuctionTarget(t);
+    const name = String(t.name ?? "").trim();
+    const base = `t_${t.player_key || (name ? getPlayerKey({ type: t.type === "pit" ? "pit" : "hit", Name: name }) : "unnamed")}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return normalizeAuctionTarget({ ...t, id: n > 1 ? `${base}_${n}` : base });
+  });
 }
 
 function saveAuctionTargets(list) {
-  localStorage.setItem(AUCTION_KEY, JSON.stringify(list));
+  save(AUCTION_KEY, list);
 }
 
 export function getAuctionTargets() {
@@ -244,17 +406,13 @@ export function addAuctionTarget(target) {
     (crypto?.randomUUID?.() ??
       `t_${Date.now()}_${Math.random().toString(16).slice(2)}`);
 
-  const created = {
+  const created = normalizeAuctionTarget({
+    tier: "B",
+    ...(target || {}),
     id,
-    name: target?.name ?? "",
-    type: target?.type ?? "hit", // "hit" | "pit"
-    pos: target?.pos ?? "",
-    tier: target?.tier ?? "B", // "A" | "B" | "C"
-    plan: Number(target?.plan ?? 0),
-    max: Number(target?.max ?? 0),
-    enforce: Number(target?.enforce ?? 0),
-    notes: target?.notes ?? "",
-  };
+    // a fresh key is derived from name + type
+    player_key: target?.player_key || "",
+  });
 
   list.unshift(created);
   saveAuctionTargets(list);
@@ -269,14 +427,15 @@ export function updateAuctionTarget(id, patch) {
   if (idx === -1) return;
 
   const cur = list[idx];
+  const renamed = (patch?.name !== undefined && patch.name !== cur.name) || (patch?.type !== undefined && patch.type !== cur.type);
 
-  list[idx] = {
+  list[idx] = normalizeAuctionTarget({
     ...cur,
     ...patch,
-    plan: patch?.plan !== undefined ? Number(patch.plan) : cur.plan,
-    max: patch?.max !== undefined ? Number(patch.max) : cur.max,
-    enforce: patch?.enforce !== undefined ? Number(patch.enforce) : cur.enforce,
-  };
+    id,
+    // Re-derive the key when the player changes (unless the caller set one)
+    player_key: patch?.player_key ?? (renamed ? "" : cur.player_key),
+  });
 
   saveAuctionTargets(list);
 }
@@ -289,3 +448,737 @@ export function removeAuctionTarget(id) {
 export function clearAuctionTargets() {
   saveAuctionTargets([]);
 }
+
+/**
+ * Our target for a player (nomination, sale, CSV row): same player_key,
+ * else same name (case-insensitive). null if not on the board.
+ */
+export function findAuctionTarget(player, targets = loadAuctionTargets()) {
+  if (!player) return null;
+  const name = String(player.name ?? "").trim().toLowerCase();
+  return (
+    targets.find((t) => (player.player_key && t.player_key === player.player_key) || (name && t.name.toLowerCase() === name)) ||
+    null
+  );
+}
+
+// ==============================
+// Live Draft (nominations + sales)
+// ==============================
+const DRAFT_KEY = "hag_draft_log_v1";
+
+/**
+ * Draft log shape:
+ * {
+ *   nomination: {
+ *     player_key, name, type, pos,
+ *     nominated_by: "Team name",
+ *     bid: number,            // current high bid
+ *     bidder: "Team name",    // current high bidder
+ *     ts: number
+ *   } | null,
+ *   sales: [{
+ *     id, player_key, name, type, pos,
+ *     team: "Team name",
+ *     price: number,
+ *     nominated_by: "Team name",
+ *     mine: boolean,          // won by us (mirrored into the roster)
+ *     roster_id: string,      // roster row created by the sale, if mine
+ *     enforced: { enforce, max, from } | null,   // we pushed the price (below)
+ *     ts: number
+ *   }]
+ * }
+ *
+ * Enforce push: a bid of ours above the target's max (we wouldn't buy there)
+ * but within its enforce price. The open nomination carries `enforced` from
+ * our first push (from = the bid we pushed from); the sale keeps it, so
+ * enforce-tracker.js can count how often a push left us holding the player.
+ */
+function emptyDraftLog() {
+  return { nomination: null, sales: [] };
+}
+
+export function getDraftLog() {
+  const log = load(DRAFT_KEY, emptyDraftLog());
+  return {
+    nomination: log?.nomination && typeof log.nomination === "object" ? log.nomination : null,
+    sales: Array.isArray(log?.sales) ? log.sales : [],
+  };
+}
+
+function saveDraftLog(log) {
+  save(DRAFT_KEY, log);
+}
+
+export function getMyTeamName() {
+  const mine = getLeague().teams.find((t) => t.mine);
+  if (mine?.name) return mine.name;
+  const s = getSettings();
+  return String(s.my_team_name ?? "").trim() || "My Team";
+}
+
+function isMyTeam(team) {
+  return String(team ?? "").trim().toLowerCase() === getMyTeamName().toLowerCase();
+}
+
+// { enforce, max } if the nomination's current bid is our enforce push.
+function enforcePushFor(nom) {
+  if (!nom || !isMyTeam(nom.bidder)) return null;
+  const t = findAuctionTarget(nom);
+  if (!t || !(t.enforce > 0)) return null;
+  if (nom.bid > t.enforce || nom.bid <= t.max) return null;
+  return { enforce: t.enforce, max: t.max };
+}
+
+/**
+ * Put a player up for bid. Replaces any open nomination.
+ * player: { player_key, name, type, pos }
+ */
+export function nominatePlayer(player, { nominatedBy = "", bid = 1 } = {}) {
+  const log = getDraftLog();
+
+  const nomination = {
+    player_key: String(player?.player_key ?? ""),
+    name: String(player?.name ?? "").trim(),
+    type: player?.type === "pit" ? "pit" : "hit",
+    pos: String(player?.pos ?? ""),
+    nominated_by: String(nominatedBy ?? "").trim(),
+    bid: Math.max(0, toInt(bid, 1)),
+    bidder: String(nominatedBy ?? "").trim(),
+    enforced: null,
+    ts: Date.now(),
+  };
+  const push = enforcePushFor(nomination);
+  if (push) nomination.enforced = { ...push, from: 0 };
+
+  saveDraftLog({ ...log, nomination });
+  return nomination;
+}
+
+export function updateNominationBid(bid, bidder) {
+  const log = getDraftLog();
+  if (!log.nomination) return null;
+
+  const nomination = {
+    ...log.nomination,
+    bid: Math.max(0, toInt(bid, log.nomination.bid)),
+    bidder: bidder !== undefined ? String(bidder ?? "").trim() : log.nomination.bidder,
+  };
+  // First push sticks: later rival bids don't clear it
+  const push = !nomination.enforced && enforcePushFor(nomination);
+  if (push) nomination.enforced = { ...push, from: Math.max(0, toInt(log.nomination.bid, 0)) };
+
+  saveDraftLog({ ...log, nomination });
+  return nomination;
+}
+
+export function clearNomination() {
+  const log = getDraftLog();
+  saveDraftLog({ ...log, nomination: null });
+}
+
+/**
+ * Close the open nomination as a sale.
+ * - Sales won by our team are mirrored into the roster as contracted players
+ *   and budget_remaining is recalculated.
+ * - Returns the sale record, or null if nothing was nominated.
+ */
+export function recordSale({ team, price } = {}) {
+  const log = getDraftLog();
+  const nom = log.nomination;
+  if (!nom || !nom.name) return null;
+
+  const winner = String(team ?? nom.bidder ?? "").trim();
+  const sale = {
+    id: crypto?.randomUUID?.() ?? `s_${Date.now()}_${Math.random().toString(16).slice(2)}`,
+    player_key: nom.player_key,
+    name: nom.name,
+    type: nom.type,
+    pos: nom.pos,
+    team: winner,
+    price: Math.max(0, toInt(price ?? nom.bid, 0)),
+    nominated_by: nom.nominated_by,
+    mine: isMyTeam(winner),
+    roster_id: "",
+    enforced: nom.enforced && typeof nom.enforced === "object" ? nom.enforced : null,
+    ts: Date.now(),
+  };
+
+  if (sale.mine) {
+    const existed = getRoster().some((r) => r.id === makeRosterId({ Name: sale.name, Type: sale.type }));
+    const added = addToRosterFromCsv({ Name: sale.name, Type: sale.type, POS: sale.pos });
+    updateRosterPlayer(added.id, {
+      underContract: true,
+      contractYear: 1,
+      contractTotal: Math.max(1, toInt(added.contractTotal, 1)),
+      price: sale.price,
+    });
+    // Only undo roster rows the sale created (keep pre-existing keepers)
+    sale.roster_id = existed ? "" : added.id;
+  }
+
+  saveDraftLog({ nomination: null, sales: [sale, ...log.sales] });
+  if (sale.mine) recalcBudgetRemaining();
+
+  return sale;
+}
+
+/**
+ * Undo a sale. If it was ours, the roster row it created is removed too.
+ */
+export function removeSale(id) {
+  const log = getDraftLog();
+  const sale = log.sales.find((s) => s.id === id);
+  if (!sale) return false;
+
+  saveDraftLog({ ...log, sales: log.sales.filter((s) => s.id !== id) });
+
+  if (sale.mine && sale.roster_id) {
+    removeRosterPlayer(sale.roster_id);
+    recalcBudgetRemaining();
+  }
+  return true;
+}
+
+/**
+ * Start the draft over: no nomination, no sales, and the roster rows our
+ * own sales created are undone (as removeSale() does one by one).
+ */
+export function clearDraftLog() {
+  const mine = getDraftLog().sales.filter((s) => s.mine && s.roster_id);
+  saveDraftLog(emptyDraftLog());
+  if (!mine.length) return;
+  for (const s of mine) removeRosterPlayer(s.roster_id);
+  recalcBudgetRemaining();
+}
+
+export function getSoldPlayerKeys() {
+  return new Set(getDraftLog().sales.map((s) => String(s.player_key || "")).filter(Boolean));
+}
+
+/**
+ * Live price per player_key: winning price for sold players,
+ * current high bid for the open nomination.
+ */
+export function getLivePrices() {
+  const log = getDraftLog();
+  const out = {};
+  for (const s of log.sales) {
+    if (s.player_key) out[s.player_key] = toInt(s.price, 0);
+  }
+  if (log.nomination?.player_key) out[log.nomination.player_key] = toInt(log.nomination.bid, 0);
+  return out;
+}
+
+// ==============================
+// League (teams + budgets)
+// ==============================
+const LEAGUE_KEY = "hag_league_v1";
+
+// Teams in a league nobody has set up yet (also the mock draft's fallback).
+export const DEFAULT_TEAM_COUNT = 12;
+
+/**
+ * League shape:
+ * {
+ *   budget: 300,           // auction $ per team
+ *   hitter_slots: 14,
+ *   pitcher_slots: 9,
+ *   min_bid: 1,            // $ held back per open slot when computing max bid
+ *   teams: [{
+ *     id, name, mine: boolean,
+ *     keepers: [{ player_key, name, type, pos, price, contractYear, contractTotal }]
+ *   }]
+ * }
+ *
+ * Our own keepers live in the roster (hag_roster_v1), so our team's keepers
+ * list is always empty.
+ *
+ * Defaults come from hag_settings so an unconfigured league still matches
+ * the Dashboard numbers.
+ */
+function defaultLeague(teamCount = DEFAULT_TEAM_COUNT) {
+  const s = getSettings();
+  const myName = String(s.my_team_name ?? "").trim() || "My Team";
+  const teams = Array.from({ length: teamCount }).map((_, i) => ({
+    id: `team${i + 1}`,
+    name: i === 0 ? myName : `Team ${i + 1}`,
+    mine: i === 0,
+    keepers: [],
+  }));
+
+  return {
+    budget: Math.max(0, toInt(s.budget_total ?? 300, 300)),
+    hitter_slots: Math.max(0, toInt(s.hitter_slots_total ?? 14, 14)),
+    pitcher_slots: Math.max(0, toInt(s.pitcher_slots_total ?? 9, 9)),
+    min_bid: 1,
+    teams,
+  };
+}
+
+function normalizeKeeper(k) {
+  const type = String(k?.type ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+  const name = String(k?.name ?? "").trim();
+  const contractTotal = clampInt(k?.contractTotal ?? 1, 1, 10);
+  return {
+    player_key: String(k?.player_key || getPlayerKey({ type, Name: name })),
+    name,
+    type,
+    pos: String(k?.pos ?? "").trim(),
+    price: Math.max(0, toInt(k?.price ?? 0, 0)),
+    contractYear: clampInt(k?.contractYear ?? 1, 1, contractTotal),
+    contractTotal,
+  };
+}
+
+function normalizeLeague(raw) {
+  const base = defaultLeague();
+  const teamsIn = Array.isArray(raw?.teams) && raw.teams.length ? raw.teams : base.teams;
+
+  const teams = teamsIn.map((t, i) => ({
+    id: String(t?.id || `team${i + 1}`),
+    name: String(t?.name ?? "").trim() || `Team ${i + 1}`,
+    mine: !!t?.mine,
+    keepers: (Array.isArray(t?.keepers) ? t.keepers : []).map(normalizeKeeper).filter((k) => k.name),
+  }));
+  // Exactly one team is ours
+  const mineIdx = Math.max(0, teams.findIndex((t) => t.mine));
+  teams.forEach((t, i) => (t.mine = i === mineIdx));
+  teams.forEach((t) => {
+    if (t.mine) t.keepers = [];
+  });
+
+  return {
+    budget: Math.max(0, toInt(raw?.budget ?? base.budget, base.budget)),
+    hitter_slots: Math.max(0, toInt(raw?.hitter_slots ?? base.hitter_slots, base.hitter_slots)),
+    pitcher_slots: Math.max(0, toInt(raw?.pitcher_slots ?? base.pitcher_slots, base.pitcher_slots)),
+    min_bid: Math.max(0, toInt(raw?.min_bid ?? base.min_bid, base.min_bid)),
+    teams,
+  };
+}
+
+export function getLeague() {
+  return normalizeLeague(load(LEAGUE_KEY, null));
+}
+
+export function setLeague(next) {
+  const league = normalizeLeague(next);
+  save(LEAGUE_KEY, league);
+
+  // Keep the Dashboard's team name in step with the ledger
+  const mine = league.teams.find((t) => t.mine);
+  const s = getSettings();
+  if (mine && s.my_team_name !== mine.name) setSettings({ ...s, my_team_name: mine.name });
+
+  return league;
+}
+
+/**
+ * Grow/shrink the team list, keeping existing names.
+ */
+export function setLeagueTeamCount(count) {
+  const league = getLeague();
+  const n = clampInt(count, 2, 30);
+  const teams = Array.from({ length: n }).map((_, i) =>
+    league.teams[i] ?? { id: `team${i + 1}_${Date.now().toString(36)}`, name: `Team ${i + 1}`, mine: false, keepers: [] }
+  );
+  return setLeague({ ...league, teams });
+}
+
+export function setMyTeamName(name) {
+  const clean = String(name ?? "").trim();
+  const s = getSettings();
+  setSettings({ ...s, my_team_name: clean });
+
+  // Only touch the league if one has been saved
+  if (load(LEAGUE_KEY, null)) {
+    const league = getLeague();
+    setLeague({
+      ...league,
+      teams: league.teams.map((t) => (t.mine ? { ...t, name: clean || t.name } : t)),
+    });
+  }
+}
+
+/**
+ * Player keys kept by opponents (league teams[].keepers).
+ */
+export function getOpponentKeeperKeys() {
+  const out = new Set();
+  for (const t of getLeague().teams) {
+    if (t.mine) continue;
+    for (const k of t.keepers) if (k.player_key) out.add(k.player_key);
+  }
+  return out;
+}
+
+/**
+ * Players off the board: sold in the live draft or kept by an opponent.
+ */
+export function getTakenPlayerKeys() {
+  const out = getSoldPlayerKeys();
+  for (const k of getOpponentKeeperKeys()) out.add(k);
+  return out;
+}
+
+// ==============================
+// Lineup Planner
+// ==============================
+const PLANNER_KEY = "hag_lineup_planner_v1";
+
+/**
+ * Lineup planner shape:
+ * {
+ *   slots: { C: player_key, "1B": player_key, ..., P9: player_key },  // empty slots are omitted
+ *   minors: [player_key]
+ * }
+ * A player sits in at most one slot and is never in a slot and the minors at once.
+ */
+function normalizePlanner(raw) {
+  const slots = {};
+  const used = new Set();
+  const src = raw?.slots && typeof raw.slots === "object" && !Array.isArray(raw.slots) ? raw.slots : {};
+  for (const [slot, key] of Object.entries(src)) {
+    const k = String(key ?? "").trim();
+    if (!k || used.has(k)) continue;
+    slots[slot] = k;
+    used.add(k);
+  }
+
+  const minors = [];
+  for (const key of Array.isArray(raw?.minors) ? raw.minors : []) {
+    const k = String(key ?? "").trim();
+    if (!k || used.has(k)) continue;
+    minors.push(k);
+    used.add(k);
+  }
+
+  return { slots, minors };
+}
+
+export function getLineupPlanner() {
+  return normalizePlanner(load(PLANNER_KEY, null));
+}
+
+export function setLineupPlanner(next) {
+  const planner = normalizePlanner(next);
+  save(PLANNER_KEY, planner);
+  return planner;
+}
+
+// ==============================
+// Mock Draft
+// ==============================
+const MOCK_DRAFT_KEY = "hag_mock_draft_v1";
+
+/**
+ * Mock draft state (see mock-draft.js for the shape). Kept apart from the
+ * real draft log so a rehearsal never touches the roster, ledger or sales.
+ */
+export function getMockDraft() {
+  const raw = load(MOCK_DRAFT_KEY, null);
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.teams) || !raw.teams.length) return null;
+  return raw;
+}
+
+export function saveMockDraft(state) {
+  save(MOCK_DRAFT_KEY, state);
+  return state;
+}
+
+export function clearMockDraft() {
+  remove(MOCK_DRAFT_KEY);
+}
+
+// ==============================
+// Category Targets
+// ==============================
+const CATEGORY_TARGETS_KEY = "hag_category_targets_v1";
+
+/**
+ * Category target planner shape:
+ * {
+ *   targets: { HR: 280, QS: 95, WHIP: 1.18, ... },  // categories without a goal are omitted
+ *   auto: boolean,             // gaps drive the strategy weights
+ *   includeTargets: boolean    // count Auction Board targets as ours
+ * }
+ */
+function normalizeCategoryTargets(raw) {
+  const targets = {};
+  const src = raw?.targets && typeof raw.targets === "object" ? raw.targets : {};
+  for (const [cat, v] of Object.entries(src)) {
+    const n = Number(v);
+    if (v !== "" && v != null && Number.isFinite(n) && n > 0) targets[cat] = n;
+  }
+  return { targets, auto: !!raw?.auto, includeTargets: !!raw?.includeTargets };
+}
+
+export function getCategoryTargets() {
+  return normalizeCategoryTargets(load(CATEGORY_TARGETS_KEY, null));
+}
+
+export function setCategoryTargets(next) {
+  const out = normalizeCategoryTargets(next);
+  save(CATEGORY_TARGETS_KEY, out);
+  return out;
+}
+
+// ==============================
+// Contract What-Ifs
+// ==============================
+const CONTRACT_MOVES_KEY = "hag_contract_moves_v1";
+
+/**
+ * Modelled contract moves, keyed by roster id (see contract-timeline.js):
+ * {
+ *   "hit|Juan Soto": { action: "release" },
+ *   "pit|Tarik Skubal": { action: "extend", years: 2, price: 40 }  // seasons added after the current deal
+ * }
+ * Nothing here touches the roster itself.
+ */
+function normalizeContractMove(m) {
+  if (m?.action === "release") return { action: "release" };
+  if (m?.action === "extend") {
+    return {
+      action: "extend",
+      years: clampInt(m.years ?? 1, 1, 10),
+      price: Math.max(0, toInt(m.price ?? 0, 0)),
+    };
+  }
+  return null;
+}
+
+export function getContractMoves() {
+  const raw = load(CONTRACT_MOVES_KEY, {});
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [id, m] of Object.entries(raw)) {
+    const move = normalizeContractMove(m);
+    if (move) out[id] = move;
+  }
+  return out;
+}
+
+/** Set (or with null, drop) the modelled move for one roster player. */
+export function setContractMove(id, move) {
+  const moves = getContractMoves();
+  const next = normalizeContractMove(move);
+  if (next) moves[String(id)] = next;
+  else delete moves[String(id)];
+  save(CONTRACT_MOVES_KEY, moves);
+  return moves;
+}
+
+export function clearContractMoves() {
+  remove(CONTRACT_MOVES_KEY);
+}
+
+// ==============================
+// Trade Analyzer
+// ==============================
+const TRADE_KEY = "hag_trade_v1";
+
+/**
+ * Trade being evaluated (see trade.js):
+ * {
+ *   partner: "team3",   // league team id ("" = not picked)
+ *   give: [{ player_key, name, type, pos, price, contractYear, contractTotal }],
+ *   get:  [ ...same shape ]
+ * }
+ * Contract fields use the keeper shape so ledger keepers drop straight in.
+ */
+function normalizeTrade(raw) {
+  const side = (list) => (Array.isArray(list) ? list : []).map(normalizeKeeper).filter((k) => k.name);
+  return {
+    partner: String(raw?.partner ?? ""),
+    give: side(raw?.give),
+    get: side(raw?.get),
+  };
+}
+
+export function getTrade() {
+  return normalizeTrade(load(TRADE_KEY, null));
+}
+
+export function setTrade(next) {
+  const out = normalizeTrade(next);
+  save(TRADE_KEY, out);
+  return out;
+}
+
+export function clearTrade() {
+  remove(TRADE_KEY);
+}
+
+// ==============================
+// Name Aliases
+// ==============================
+const NAME_ALIASES_KEY = "hag_name_aliases_v1";
+
+/**
+ * Confirmed name matches (see name-resolver.js), alias key → player key:
+ * {
+ *   "hit|Mike Harris": "hit|Michael Harris II",
+ *   "unk|JP Crawford": "hit|J.P. Crawford"   // "unk" = type not known where it was typed
+ * }
+ */
+export function getNameAliases() {
+  const raw = load(NAME_ALIASES_KEY, {});
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [from, to] of Object.entries(raw)) {
+    if (from && typeof to === "string" && to && from !== to) out[from] = to;
+  }
+  return out;
+}
+
+export function setNameAlias(from, to) {
+  const aliases = getNameAliases();
+  if (from && to && from !== to) aliases[String(from)] = String(to);
+  save(NAME_ALIASES_KEY, aliases);
+  return aliases;
+}
+
+export function removeNameAlias(from) {
+  const aliases = getNameAliases();
+  delete aliases[String(from)];
+  save(NAME_ALIASES_KEY, aliases);
+  return aliases;
+}
+
+// ==============================
+// Draft Room (this device's connection)
+// ==============================
+const DRAFT_ROOM_KEY = "hag_draft_room_v1";
+
+/**
+ * Draft room connection (see js/draft-room.js), per device:
+ * {
+ *   url: "ws://192.168.1.20:8787/room",   // "" = the server this page came from
+ *   name: "Sam's laptop",
+ *   role: "recorder" | "editor" | "viewer",
+ *   auto: boolean                           // reconnect when the Auction Board opens
+ * }
+ */
+export function getDraftRoomSettings() {
+  const s = load(DRAFT_ROOM_KEY, {});
+  return {
+    url: String(s?.url ?? "").trim(),
+    name: String(s?.name ?? "").trim(),
+    role: ["recorder", "editor", "viewer"].includes(s?.role) ? s.role : "editor",
+    auto: !!s?.auto,
+  };
+}
+
+export function setDraftRoomSettings(patch) {
+  const next = { ...getDraftRoomSettings(), ...(patch || {}) };
+  save(DRAFT_ROOM_KEY, next);
+  return next;
+}
+
+// ==============================
+// Change events
+// ==============================
+
+/**
+ * Storage keys by name, for onStateChange() subscribers:
+ *   onStateChange([STATE_KEYS.roster, STATE_KEYS.settings], refresh)
+ */
+export const STATE_KEYS = {
+  settings: "hag_settings",
+  roster: ROSTER_KEY,
+  targets: AUCTION_KEY,
+  draft: DRAFT_KEY,
+  league: LEAGUE_KEY,
+  planner: PLANNER_KEY,
+  mockDraft: MOCK_DRAFT_KEY,
+  categoryTargets: CATEGORY_TARGETS_KEY,
+  contractMoves: CONTRACT_MOVES_KEY,
+  trade: TRADE_KEY,
+  nameAliases: NAME_ALIASES_KEY,
+  draftRoom: DRAFT_ROOM_KEY,
+};
+
+/**
+ * Keys that belong to this device, not the league (draft room connection,
+ * stashed unreadable values). Backups neither export nor restore them.
+ */
+export const DEVICE_KEYS = [DRAFT_ROOM_KEY, CORRUPT_KEY];
+
+// ==============================
+// Schema version + migrations
+// ==============================
+const SCHEMA_KEY = "hag_schema_v1";
+
+/**
+ * Ordered migrations. Each runs once, in order, for any browser whose saved
+ * schema version is below it. Append only; never renumber.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    label: "Repair roster rows (ids, contract fields)",
+    run() {
+      setRoster(getRoster());
+    },
+  },
+  {
+    version: 2,
+    label: "Auction targets: player_key, team and val become real fields",
+    run() {
+      saveAuctionTargets(loadAuctionTargets());
+    },
+  },
+  {
+    version: 3,
+    label: "Live-draft sales + nomination carry player_key",
+    run() {
+      const log = getDraftLog();
+      const withKey = (x) =>
+        x && !x.player_key && x.name ? { ...x, player_key: getPlayerKey({ type: x.type, Name: x.name }) } : x;
+      saveDraftLog({ nomination: withKey(log.nomination), sales: log.sales.map(withKey) });
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * { version, updated_at, applied: [{ version, label, ts }] }
+ */
+export function getSchemaInfo() {
+  const info = load(SCHEMA_KEY, null);
+  return {
+    version: Math.max(0, toInt(info?.version, 0)),
+    updated_at: info?.updated_at ?? null,
+    applied: Array.isArray(info?.applied) ? info.applied : [],
+  };
+}
+
+/**
+ * Bring saved data up to SCHEMA_VERSION. Safe to call repeatedly.
+ * A failing migration is reported and stops the run (later ones depend on it).
+ * Returns the list of migrations applied by this call.
+ */
+export function runMigrations() {
+  const info = getSchemaInfo();
+  const ran = [];
+
+  for (const m of MIGRATIONS) {
+    if (m.version <= info.version) continue;
+    try {
+      m.run();
+    } catch (e) {
+      reportStorageIssue(SCHEMA_KEY, `Migration ${m.version} failed (${e?.message ?? e})`);
+      break;
+    }
+    info.version = m.version;
+    info.applied = [...info.applied, { version: m.version, label: m.label, ts: Date.now() }].slice(-20);
+    ran.push(m);
+  }
+
+  if (ran.length) save(SCHEMA_KEY, { ...info, updated_at: Date.now() });
+  return ran;
+}
+
+if (typeof localStorage !== "undefined") runMigrations();
@@ -1,12 +1,19 @@
 // js/strategy-page.js
 // Separate Strategy Weights page (keeps Auction Board calm).
+// Also hosts the category target planner (goals, gaps, gap-driven weights)
+// and the season simulation (how the current rosters would finish).
 
 import {
   DEFAULT_WEIGHTS,
   getCategoryWeights,
   setCategoryWeights,
-  getCategoryWeightsUpdatedAt
+  getCategoryWeightsUpdatedAt,
+  onStateChange,
+  STATE_KEYS
 } from "./storage.js";
+import { loadPlayerRepo } from "./player-repo.js";
+import { mountSeasonSim } from "./season-sim.js";
+import { mountCategoryTargets } from "./category-targets.js";
 
 const HIT_CATS = [
   ["OPS", "OPS"],
@@ -199,3 +206,36 @@ function bindActions() {
 // Init
 renderWeights();
 bindActions();
+
+loadPlayerRepo()
+  .then((repo) => {
+    const targets = mountCategoryTargets({
+      repo,
+      onWeights: (w) => {
+        setSliders(w);
+        setDirty(false);
+      },
+    });
+    // Weights saved here or in another tab, roster / league changes: refresh the
+    // table, and the sliders unless there are unsaved edits on them.
+    onStateChange([STATE_KEYS.settings, STATE_KEYS.categoryTargets, STATE_KEYS.roster, STATE_KEYS.league], ({ keys }) => {
+      if (keys.has(STATE_KEYS.settings) && !DIRTY) {
+        setSliders(getCategoryWeights());
+        setDirty(false);
+      }
+      targets?.refresh();
+    });
+    const sim = mountSeasonSim({ repo });
+
+    // A saved name alias (Data page) re-joins roster names to the data files
+    onStateChange([STATE_KEYS.nameAliases], () =>
+      loadPlayerRepo({ reload: true })
+        .then((next) => {
+          targets?.setRepo(next);
+          sim?.setRepo(next);
+          targets?.refresh();
+        })
+        .catch((err) => console.error("Player data reload failed:", err))
+    );
+  })
+  .catch((err) => console.error("Player data unavailable:", err));
@@ -0,0 +1,416 @@
+// js/trade-page.js
+// Trade Analyzer page: put our roster players on one side and another team's
+// players on the other (contracts from the roster / league ledger, editable),
+// then compare $ value, contract surplus, category totals and future budgets.
+// The trade in progress is saved to hag_trade_v1.
+
+import { getRoster, getLeague, getTrade, setTrade, clearTrade, getCategoryWeights, onStateChange, STATE_KEYS } from "./storage.js";
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { loadPlayerRepo, withStats } from "./player-repo.js";
+import { computeSgpValues } from "./sgp.js";
+import { getLedger } from "./league-ledger.js";
+import { fmtCat } from "./category-targets.js";
+import { analyzeTrade } from "./trade.js";
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function money(n) {
+  return `$${Math.max(0, Math.round(num(n)))}`;
+}
+
+function signed(n, digits = 0) {
+  const v = num(n);
+  const s = v.toFixed(digits);
+  return v > 0 ? `+${s}` : s;
+}
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+let REPO = null;
+let SGP = null;
+
+function el(id) {
+  return document.getElementById(id);
+}
+
+function computeSgp() {
+  try {
+    const projections = REPO.players.filter((p) => p.stats26).map((p) => withStats(p));
+    return computeSgpValues(projections, { weights: getCategoryWeights() });
+  } catch (e) {
+    console.warn("[trade-page] SGP valuation skipped:", e);
+    return null;
+  }
+}
+
+/* ---------------------------- Trade edits ---------------------------- */
+
+function addToSide(sideName, item) {
+  const trade = getTrade();
+  const onBoard = [...trade.give, ...trade.get].some((p) => p.player_key === item.player_key);
+  if (onBoard) return;
+  trade[sideName].push(item);
+  setTrade(trade);
+}
+
+function rosterItem(r) {
+  return {
+    player_key: getPlayerKey({ type: r.type, Name: r.name }),
+    name: r.name,
+    type: r.type,
+    pos: r.pos,
+    price: r.underContract ? r.price : 0,
+    contractYear: r.underContract ? r.contractYear : 1,
+    contractTotal: r.underContract ? r.contractTotal : 1,
+  };
+}
+
+// Players on the partner's side of the ledger (keepers carry their contract).
+function partnerPlayers(partnerId) {
+  if (!partnerId) return [];
+  const team = getLedger().teams.find((t) => t.id === partnerId);
+  const keepers = getLeague().teams.find((t) => t.id === partnerId)?.keepers || [];
+
+  return (team?.players || []).map((p) => {
+    const player_key = getPlayerKey({ type: p.type, Name: p.name });
+    const k = keepers.find((x) => x.player_key === player_key);
+    return {
+      player_key,
+      name: p.name,
+      type: p.type,
+      pos: p.pos,
+      price: num(p.price, 0),
+      contractYear: k?.contractYear ?? 1,
+      contractTotal: k?.contractTotal ?? 1,
+    };
+  });
+}
+
+/* ------------------------------ Render ------------------------------- */
+
+function renderPickers(trade) {
+  const giveSel = el("trGiveSelect");
+  if (giveSel) {
+    const onBoard = new Set(trade.give.map((p) => p.player_key));
+    const roster = getRoster() || [];
+    giveSel.innerHTML = roster.length
+      ? `<option value="">Pick a roster player…</option>` +
+        roster
+          .map((r) => {
+            const key = getPlayerKey({ type: r.type, Name: r.name });
+            const contract = r.underContract ? ` — ${r.contractYear}/${r.contractTotal}, $${r.price}` : "";
+            return `<option value="${escapeHtml(r.id)}"${onBoard.has(key) ? " disabled" : ""}>${escapeHtml(r.name)} (${escapeHtml(r.pos || r.type)})${escapeHtml(contract)}</option>`;
+          })
+          .join("")
+      : `<option value="">Roster is empty</option>`;
+  }
+
+  const partnerSel = el("trPartner");
+  if (partnerSel) {
+    const teams = getLeague().teams.filter((t) => !t.mine);
+    partnerSel.innerHTML =
+      `<option value="">Any team</option>` +
+      teams.map((t) => `<option value="${escapeHtml(t.id)}"${t.id === trade.partner ? " selected" : ""}>${escapeHtml(t.name)}</option>`).join("");
+  }
+
+  const box = el("trPartnerPlayers");
+  if (box) {
+    const taken = new Set(trade.get.map((p) => p.player_key));
+    const list = partnerPlayers(trade.partner).filter((p) => !taken.has(p.player_key));
+    box.innerHTML = !trade.partner
+      ? ""
+      : list.length
+        ? list
+            .map(
+              (p) =>
+                `<button type="button" class="ghost" data-tr-partner="${escapeHtml(p.player_key)}">${escapeHtml(p.name)} <span class="small" style="opacity:.7;">${p.contractYear}/${p.contractTotal}, ${money(p.price)}</span></button>`
+            )
+            .join(" ")
+        : `<span class="small" style="opacity:.7;">No players on this team in the ledger yet — search below.</span>`;
+  }
+}
+
+function renderSearch() {
+  const out = el("trGetResults");
+  if (!out) return;
+  const q = norm(el("trGetSearch")?.value);
+  if (!q || !REPO) {
+    out.innerHTML = "";
+    return;
+  }
+
+  const mine = new Set((getRoster() || []).map((r) => getPlayerKey({ type: r.type, Name: r.name })));
+  const hits = REPO.players.filter((p) => norm(p.Name).includes(q) && !mine.has(p.player_key)).slice(0, 8);
+  out.innerHTML = hits.length
+    ? hits
+        .map(
+          (p) =>
+            `<button type="button" class="ghost" data-tr-search="${escapeHtml(p.player_key)}">${escapeHtml(p.Name)} <span class="small" style="opacity:.7;">${escapeHtml(p.POS || p.type)} • ${money(getBaseVal26(p))}</span></button>`
+        )
+        .join(" ")
+    : `<span class="small" style="opacity:.7;">No matches.</span>`;
+}
+
+function renderSide(tbody, sideName, rows) {
+  if (!tbody) return;
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="7" class="small" style="padding:12px; opacity:.75;">No players yet.</td></tr>`;
+    return;
+  }
+
+  const input = (i, field, value, min, max) =>
+    `<input type="number" min="${min}"${max ? ` max="${max}"` : ""} step="1" value="${value}" style="width:64px;" data-tr-side="${sideName}" data-tr-idx="${i}" data-tr-field="${field}" />`;
+
+  tbody.innerHTML = rows
+    .map(
+      (p, i) => `
+        <tr>
+          <td>${escapeHtml(p.name)} <span class="small" style="opacity:.7;">${escapeHtml(p.pos || p.type)}</span></td>
+          <td style="text-align:right;">${p.missing ? `<span class="small" style="opacity:.6;">no value</span>` : money(p.value)}${p.valueSource === "sgp" ? ` <span class="small" style="opacity:.6;" title="No auction_value_26; SGP engine value">sgp</span>` : ""}</td>
+          <td>${input(i, "contractYear", p.contractYear, 1, 10)} / ${input(i, "contractTotal", p.contractTotal, 1, 10)}</td>
+          <td>${input(i, "price", p.price, 0)}</td>
+          <td style="text-align:right;">${signed(p.surplusTotal)}</td>
+          <td style="text-align:right;">${signed(p.sgp, 1)}</td>
+          <td style="text-align:right;"><button type="button" class="ghost" data-tr-remove="${sideName}" data-tr-idx="${i}">Remove</button></td>
+        </tr>
+      `
+    )
+    .join("");
+}
+
+function renderSummary(res) {
+  const box = el("trSummary");
+  if (!box) return;
+  const row = (label, t, digits = 0) => `
+    <tr>
+      <td>${label}</td>
+      <td style="text-align:right;">${signed(t.give, digits).replace("+", "")}</td>
+      <td style="text-align:right;">${signed(t.get, digits).replace("+", "")}</td>
+      <td style="text-align:right;"><strong>${signed(t.net, digits)}</strong></td>
+    </tr>
+  `;
+  box.innerHTML = `
+    <div style="margin-bottom:8px;"><strong>${escapeHtml(res.verdict)}</strong></div>
+    <table class="table">
+      <thead>
+        <tr>
+          <th style="text-align:left;"></th>
+          <th style="text-align:right;">We Give</th>
+          <th style="text-align:right;">We Get</th>
+          <th style="text-align:right;">Net</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row("$ value (2026)", res.totals.value)}
+        ${row("Contract surplus (2026)", res.totals.surplusNow)}
+        ${row("Contract surplus (rest of deals)", res.totals.surplusTotal)}
+        ${row("SGP (weighted)", res.totals.sgp, 1)}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderCats(res) {
+  const box = el("trCats");
+  if (!box) return;
+  box.innerHTML = `
+    <table class="table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Cat</th>
+          <th style="text-align:right;">Now</th>
+          <th style="text-align:right;">After</th>
+          <th style="text-align:right;">Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${res.cats
+          .map((c) => {
+            const flat = Math.abs(c.delta) < 1e-9;
+            const delta = c.cat === "AVG" || c.cat === "OPS" || c.cat === "ERA" || c.cat === "WHIP"
+              ? signed(c.delta, c.cat === "AVG" || c.cat === "OPS" ? 3 : 2)
+              : signed(c.delta);
+            return `
+              <tr>
+                <td>${c.cat}</td>
+                <td style="text-align:right;">${fmtCat(c.cat, c.before)}</td>
+                <td style="text-align:right;">${fmtCat(c.cat, c.after)}</td>
+                <td style="text-align:right;">${flat ? `<span style="opacity:.5;">—</span>` : `<span class="chip ${c.better ? "chipNeed" : ""}">${delta}</span>`}</td>
+              </tr>
+            `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function renderBudget(res) {
+  const box = el("trBudget");
+  if (!box) return;
+  box.innerHTML = `
+    <table class="table">
+      <thead>
+        <tr>
+          <th style="text-align:left;">Season</th>
+          <th style="text-align:right;">Committed Now</th>
+          <th style="text-align:right;">After Trade</th>
+          <th style="text-align:right;">Change</th>
+          <th style="text-align:right;">$ Left After</th>
+          <th style="text-align:right;">Open Slots After</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${res.budget
+          .map(
+            (b) => `
+          <tr>
+            <td>${b.season}</td>
+            <td style="text-align:right;">${money(b.before)}</td>
+            <td style="text-align:right;">${money(b.after)}</td>
+            <td style="text-align:right;">${b.delta ? signed(b.delta) : "—"}</td>
+            <td style="text-align:right;">${b.leftAfter < 0 ? `<strong>−$${Math.round(-b.leftAfter)}</strong>` : money(b.leftAfter)}</td>
+            <td style="text-align:right;">${b.openAfter}</td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function render() {
+  const trade = getTrade();
+  const res = analyzeTrade({ trade, repo: REPO, roster: getRoster() || [], sgp: SGP });
+
+  renderPickers(trade);
+  renderSide(el("trGiveTbody"), "give", res.give);
+  renderSide(el("trGetTbody"), "get", res.get);
+  renderSummary(res);
+  renderCats(res);
+  renderBudget(res);
+
+  const meta = el("trMeta");
+  if (meta) {
+    const partner = getLeague().teams.find((t) => t.id === trade.partner);
+    meta.textContent = `${res.give.length} for ${res.get.length}${partner ? ` with ${partner.name}` : ""} • ${res.verdict}`;
+  }
+}
+
+/* ------------------------------ Events ------------------------------- */
+
+// Handlers only write the trade; the state-change subscription in init() redraws.
+function bind() {
+  el("trGiveAdd")?.addEventListener("click", () => {
+    const id = el("trGiveSelect")?.value;
+    const r = (getRoster() || []).find((x) => x.id === id);
+    if (!r) return;
+    addToSide("give", rosterItem(r));
+  });
+
+  el("trPartner")?.addEventListener("change", (e) => {
+    setTrade({ ...getTrade(), partner: e.target.value });
+  });
+
+  el("trGetSearch")?.addEventListener("input", renderSearch);
+
+  el("trClear")?.addEventListener("click", () => {
+    clearTrade();
+    if (el("trGetSearch")) el("trGetSearch").value = "";
+    renderSearch();
+  });
+
+  const root = el("tradeAnalyzer");
+  root?.addEventListener("click", (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+
+    const partnerKey = btn.dataset.trPartner;
+    if (partnerKey) {
+      const p = partnerPlayers(getTrade().partner).find((x) => x.player_key === partnerKey);
+      if (p) addToSide("get", p);
+      return;
+    }
+
+    const searchKey = btn.dataset.trSearch;
+    if (searchKey) {
+      const rec = REPO?.byKey?.get(searchKey);
+      if (rec) {
+        addToSide("get", {
+          player_key: searchKey,
+          name: rec.Name,
+          type: rec.type,
+          pos: rec.POS,
+          price: 0,
+          contractYear: 1,
+          contractTotal: 1,
+        });
+      }
+      renderSearch();
+      return;
+    }
+
+    const side = btn.dataset.trRemove;
+    if (side) {
+      const trade = getTrade();
+      trade[side].splice(num(btn.dataset.trIdx, -1), 1);
+      setTrade(trade);
+    }
+  });
+
+  root?.addEventListener("change", (e) => {
+    const t = e.target;
+    const side = t?.dataset?.trSide;
+    const field = t?.dataset?.trField;
+    if (!side || !field) return;
+    const trade = getTrade();
+    const item = trade[side]?.[num(t.dataset.trIdx, -1)];
+    if (!item) return;
+    item[field] = num(t.value, 0);
+    setTrade(trade);
+  });
+}
+
+async function init() {
+  REPO = await loadPlayerRepo();
+  SGP = computeSgp();
+  bind();
+  render();
+
+  // Roster, ledger, contract what-ifs or the trade itself changed (here or in another tab)
+  onStateChange(
+    [STATE_KEYS.trade, STATE_KEYS.roster, STATE_KEYS.league, STATE_KEYS.contractMoves, STATE_KEYS.settings],
+    ({ keys }) => {
+      if (keys.has(STATE_KEYS.settings)) SGP = computeSgp(); // strategy weights
+      render();
+    }
+  );
+
+  // A saved name alias (Data page) re-joins the data files
+  onStateChange([STATE_KEYS.nameAliases], () =>
+    loadPlayerRepo({ reload: true })
+      .then((next) => {
+        REPO = next;
+        SGP = computeSgp();
+        render();
+      })
+      .catch((err) => console.error("Trade page: player data reload failed:", err))
+  );
+}
+
+init().catch((err) => console.error("Trade page init failed:", err));
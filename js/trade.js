@@ -0,0 +1,158 @@
+// js/trade.js
+// Trade analyzer math (Trade page); no DOM.
+// - $ value exchanged (auction_value_26, else SGP engine $) and SGP exchanged
+// - Contract surplus on each side (keeper-value.js settings)
+// - Our projected category totals before vs. after
+// - Our committed $ / $ left per season before vs. after (contract-timeline.js)
+
+import { getBaseVal26, getPlayerKey } from "./auction-data.js";
+import { withStats, findPlayer } from "./player-repo.js";
+import { teamCategoryTotals, higherIsBetter, SGP_HIT_CATS, SGP_PIT_CATS } from "./sgp.js";
+import { analyzeContract } from "./keeper-value.js";
+import { rollContracts } from "./contract-timeline.js";
+
+export const TRADE_CATS = [...SGP_HIT_CATS, ...SGP_PIT_CATS];
+
+function num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function typeLabel(t) {
+  return String(t ?? "").trim().toLowerCase() === "pit" ? "pit" : "hit";
+}
+
+function rosterKey(r) {
+  return getPlayerKey({ type: typeLabel(r.type), Name: r.name });
+}
+
+/**
+ * Our roster after the trade: given players leave, received players arrive
+ * under the contract entered for them.
+ */
+export function rosterAfterTrade(roster = [], trade = {}) {
+  const gone = new Set((trade.give || []).map((p) => p.player_key));
+  const kept = roster.filter((r) => !gone.has(rosterKey(r)));
+  const have = new Set(kept.map(rosterKey));
+
+  const arriving = (trade.get || [])
+    .filter((p) => !have.has(p.player_key))
+    .map((p) => ({
+      id: `${typeLabel(p.type)}|${p.name}`,
+      name: p.name,
+      type: typeLabel(p.type),
+      pos: p.pos,
+      underContract: true,
+      contractYear: p.contractYear,
+      contractTotal: p.contractTotal,
+      price: p.price,
+    }));
+
+  return [...kept, ...arriving];
+}
+
+function statRows(roster, repo) {
+  return roster.map((r) => {
+    const rec = findPlayer(repo, r);
+    return rec?.stats26 ? withStats(rec) : { type: typeLabel(r.type), Name: r.name };
+  });
+}
+
+/**
+ * Evaluate a trade from our side.
+ *
+ * Inputs:
+ * - trade: { give: [...], get: [...] } (storage getTrade() shape)
+ * - repo: loadPlayerRepo() result
+ * - roster: our roster rows
+ * - sgp: computeSgpValues() result (optional; SGP columns read 0 without it)
+ * - keeperSettings, moves, league, horizon: passed to analyzeContract / rollContracts
+ *
+ * Output:
+ * {
+ *   give, get: [{ ...item, missing, valueSource, value, sgp, surplusNow, surplusTotal, yearsLeft }],
+ *   totals: { value, sgp, surplusNow, surplusTotal } each as { give, get, net },
+ *   cats: [{ cat, before, after, delta, better }],   // better: delta helps us
+ *   budget: [{ season, before, after, delta, leftAfter, openAfter }],
+ *   verdict
+ * }
+ */
+export function analyzeTrade({ trade, repo, roster = [], sgp = null, keeperSettings, moves, league, horizon } = {}) {
+  const byKey = repo?.byKey || new Map();
+
+  const side = (list) =>
+    (list || []).map((item) => {
+      const rec = byKey.get(item.player_key) || null;
+      const sgpRow = sgp?.byKey?.get(item.player_key) || null;
+      // Blank auction_value_26: fall back to the SGP engine's $ value.
+      const fromCsv = !!rec && String(rec.auction_value_26 ?? "").trim() !== "";
+      const value = fromCsv ? getBaseVal26(rec) : Math.max(0, num(sgpRow?.value, 0));
+      const c = analyzeContract(item, value, keeperSettings);
+      return {
+        ...item,
+        missing: !fromCsv && !sgpRow,
+        valueSource: fromCsv ? "csv" : sgpRow ? "sgp" : "",
+        value,
+        sgp: num(sgpRow?.total, 0),
+        surplusNow: c.surplusNow,
+        surplusTotal: c.surplusTotal,
+        yearsLeft: c.yearsLeft,
+      };
+    });
+
+  const give = side(trade?.give);
+  const get = side(trade?.get);
+
+  const sum = (field) => {
+    const g = give.reduce((acc, p) => acc + p[field], 0);
+    const r = get.reduce((acc, p) => acc + p[field], 0);
+    return { give: g, get: r, net: r - g };
+  };
+  const totals = {
+    value: sum("value"),
+    sgp: sum("sgp"),
+    surplusNow: sum("surplusNow"),
+    surplusTotal: sum("surplusTotal"),
+  };
+
+  const after = rosterAfterTrade(roster, trade);
+  const catsBefore = teamCategoryTotals(statRows(roster, repo));
+  const catsAfter = teamCategoryTotals(statRows(after, repo));
+  const cats = TRADE_CATS.map((cat) => {
+    const delta = catsAfter[cat] - catsBefore[cat];
+    return {
+      cat,
+      before: catsBefore[cat],
+      after: catsAfter[cat],
+      delta,
+      better: higherIsBetter(cat) ? delta > 0 : delta < 0,
+    };
+  });
+
+  const roll = { moves, league, horizon, raise: keeperSettings?.raise };
+  const b0 = rollContracts({ ...roll, roster });
+  const b1 = rollContracts({ ...roll, roster: after });
+  const budget = b1.seasons.map((s, i) => ({
+    season: s.season,
+    before: b0.seasons[i].committed,
+    after: s.committed,
+    delta: s.committed - b0.seasons[i].committed,
+    leftAfter: s.budgetLeft,
+    openAfter: s.open,
+  }));
+
+  return { give, get, totals, cats, budget, verdict: tradeVerdict(totals, give, get) };
+}
+
+function tradeVerdict(totals, give, get) {
+  if (!give.length && !get.length) return "Add players to both sides.";
+  if (!give.length || !get.length) return "One side is empty.";
+
+  const net = totals.surplusTotal.net;
+  const now = totals.value.net;
+  if (Math.abs(net) <= 3 && Math.abs(now) <= 3) return "Even trade: value and contract surplus roughly match.";
+  if (net > 0 && now >= 0) return "We win: more value and more contract surplus.";
+  if (net > 0) return "We give up value now for cheaper contracts later.";
+  if (now > 0) return "We gain value now but take on worse contracts.";
+  return "We lose: less value and less contract surplus.";
+}
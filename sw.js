@@ -0,0 +1,216 @@
+// sw.js
+// Service worker: makes the toolkit work with no network (draft-room Wi-Fi).
+// - App files (pages, JS modules, CSS): precached, served from cache and
+//   refreshed in the background. Bump APP_VERSION on deploy.
+// - Current data files: precached once and pinned. They only change through
+//   the Data page's "Update data" (message "update-data"), so every page sees
+//   the same data version for the whole draft.
+// - Anything else under data/ (old versions for the diff): network first,
+//   cached copy when offline.
+//
+// Classic script (no imports): keep APP_FILES / DATA_FILES in step with js/
+// and REPO_SOURCES in js/player-repo.js.
+
+const APP_VERSION = "2026-10-19.4";
+const APP_CACHE = `hag-app-${APP_VERSION}`;
+const DATA_CACHE = "hag-data-v1";
+const CACHED_AT = "x-hag-cached-at";
+
+const APP_FILES = [
+  "./",
+  "./index.html",
+  "./auction.html",
+  "./roster.html",
+  "./lineup.html",
+  "./trade.html",
+  "./projections.html",
+  "./data.html",
+  "./strategy.html",
+  "./methodology.html",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+  "./css/style.css",
+  "./js/allocation.js",
+  "./js/auction-data.js",
+  "./js/auction-page.js",
+  "./js/backup.js",
+  "./js/category-targets.js",
+  "./js/compare.js",
+  "./js/contract-timeline.js",
+  "./js/csv.js",
+  "./js/data-page.js",
+  "./js/dataset-diff.js",
+  "./js/draft-room.js",
+  "./js/enforce-tracker.js",
+  "./js/inflation.js",
+  "./js/keeper-value.js",
+  "./js/league-import.js",
+  "./js/league-ledger.js",
+  "./js/lineup-page.js",
+  "./js/lineup-planner.js",
+  "./js/live-draft.js",
+  "./js/mock-draft.js",
+  "./js/name-matching.js",
+  "./js/name-resolver.js",
+  "./js/nomination-advisor.js",
+  "./js/nav.js",
+  "./js/offline.js",
+  "./js/player-key.js",
+  "./js/player-repo.js",
+  "./js/projections-data.js",
+  "./js/projections-page.js",
+  "./js/recommended-targets.js",
+  "./js/roster-page.js",
+  "./js/room-sync.js",
+  "./js/roster-solver.js",
+  "./js/season-sim.js",
+  "./js/sgp.js",
+  "./js/state-bus.js",
+  "./js/storage.js",
+  "./js/strategy-page.js",
+  "./js/trade-page.js",
+  "./js/trade.js",
+];
+
+const DATA_FILES = [
+  "./data/auction_values_2026_all_players_with_shadow.csv",
+  "./data/hit_pit_2026.csv",
+  "./data/2025_stats.csv",
+  "./data/master.csv",
+];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+/* ------------------------------ Data cache ------------------------------ */
+
+// Stamp the copy with when we fetched it (shown on the Data page).
+async function stamped(res) {
+  const headers = new Headers(res.headers);
+  headers.set(CACHED_AT, new Date().toISOString());
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+/**
+ * Fetch every current data file fresh. All-or-nothing: one failure keeps the
+ * whole previous version, so files never mix versions.
+ */
+async function refreshData() {
+  const fresh = await Promise.all(
+    DATA_FILES.map(async (path) => {
+      const res = await fetch(scopeUrl(path), { cache: "reload" });
+      if (!res.ok) throw new Error(`${res.status} ${res.statusText} (${path})`);
+      return [path, await stamped(res)];
+    })
+  );
+  const cache = await caches.open(DATA_CACHE);
+  await Promise.all(fresh.map(([path, res]) => cache.put(scopeUrl(path), res)));
+}
+
+async function seedData() {
+  const cache = await caches.open(DATA_CACHE);
+  const have = await Promise.all(DATA_FILES.map((path) => cache.match(scopeUrl(path))));
+  if (have.every(Boolean)) return;
+  await refreshData();
+}
+
+/* ------------------------------- Lifecycle ------------------------------ */
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(APP_CACHE);
+      await cache.addAll(APP_FILES.map((path) => new Request(scopeUrl(path), { cache: "reload" })));
+      await seedData();
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter((k) => k.startsWith("hag-app-") && k !== APP_CACHE).map((k) => caches.delete(k)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "update-data") return;
+  const port = event.ports?.[0];
+  event.waitUntil(
+    refreshData()
+      .then(() => port?.postMessage({ ok: true }))
+      .catch((e) => port?.postMessage({ ok: false, error: String(e?.message || e) }))
+  );
+});
+
+/* -------------------------------- Fetch --------------------------------- */
+
+async function fromData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  const hit = await cache.match(request.url, { ignoreSearch: true });
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request.url, await stamped(res.clone()));
+  return res;
+}
+
+async function networkFirst(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(request.url, await stamped(res.clone()));
+    }
+    return res;
+  } catch (e) {
+    const hit = await caches.match(request.url, { ignoreSearch: true });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(APP_CACHE);
+  const hit = await cache.match(request, { ignoreSearch: true });
+  const update = fetch(request)
+    .then((res) => {
+      if (res.ok) return cache.put(request, res.clone()).then(() => res);
+      return res;
+    })
+    .catch(() => null);
+
+  if (hit) {
+    event.waitUntil(update);
+    return hit;
+  }
+  const res = await update;
+  if (res) return res;
+  // Offline and never cached: fall back to the dashboard for page loads.
+  if (request.mode === "navigate") {
+    const home = await cache.match(scopeUrl("./index.html"));
+    if (home) return home;
+  }
+  return Response.error();
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const dataPath = `.${url.pathname.slice(new URL(self.registration.scope).pathname.length - 1)}`;
+  // Draft room server status (tools/draft-room.mjs): always live
+  if (dataPath.startsWith("./room/")) return;
+  if (DATA_FILES.includes(dataPath)) {
+    event.respondWith(fromData(request));
+  } else if (dataPath.startsWith("./data/")) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
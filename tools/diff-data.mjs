@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// tools/diff-data.mjs
+// Compare two versions of a data CSV by player key (see js/dataset-diff.js).
+//
+//   node tools/diff-data.mjs <before.csv> <after.csv> [--threshold 3] [--stat-pct 10] [--all] [--json]
+//
+// Bare file names are looked up in data/, e.g.
+//   node tools/diff-data.mjs old.auction_values_2026_all_players_with_shadow.csv auction_values_2026_all_players_with_shadow.csv
+//
+// --threshold: $ move on the value column worth listing (default 3)
+// --stat-pct:  % move on other numeric columns worth listing (default 10)
+// --all:       list every change instead of the first 25 per section
+// --json:      print the full diff as JSON
+//
+// Exit codes: 0 diff printed, 2 couldn't read the files.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { diffDatasets, describeDiff, DIFF_DEFAULTS } from "../js/dataset-diff.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DATA = path.join(ROOT, "data");
+
+function resolveFile(p) {
+  const direct = path.resolve(process.cwd(), p);
+  if (fs.existsSync(direct)) return direct;
+  const inData = path.join(DATA, p);
+  if (fs.existsSync(inData)) return inData;
+  throw new Error(`File not found: ${p}`);
+}
+
+function flag(args, name, fallback) {
+  const i = args.indexOf(name);
+  if (i < 0) return fallback;
+  const n = Number(args[i + 1]);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function fmt(v) {
+  if (v === "" || v == null) return "—";
+  return typeof v === "number" ? String(Math.round(v * 1000) / 1000) : String(v);
+}
+
+function section(title, list, limit, line) {
+  if (!list.length) return;
+  console.log(`\n${title} (${list.length})`);
+  for (const item of list.slice(0, limit)) console.log(`  ${line(item)}`);
+  if (list.length > limit) console.log(`  … ${list.length - limit} more (--all)`);
+}
+
+function printDiff(diff, { before, after, threshold, limit }) {
+  console.log(`${path.relative(ROOT, before)} → ${path.relative(ROOT, after)}`);
+  console.log(describeDiff(diff, { threshold }));
+
+  const { schema } = diff;
+  if (schema.added.length) console.log(`\nColumns added: ${schema.added.join(", ")}`);
+  if (schema.removed.length) console.log(`Columns removed: ${schema.removed.join(", ")}`);
+  if (schema.reordered) console.log("Columns reordered");
+
+  const who = (p) => `${p.name} (${p.type || "?"})`;
+  section("Added", diff.added, limit, (p) => `+ ${who(p)}  ${fmt(p.value)}`);
+  section("Removed", diff.removed, limit, (p) => `− ${who(p)}  ${fmt(p.value)}`);
+  section(
+    `Value moves ≥ $${threshold} (${diff.columns.value || "no value column"})`,
+    diff.changed.filter((c) => c.value),
+    limit,
+    (c) => `${who(c)}  ${fmt(c.value.from)} → ${fmt(c.value.to)}  (${c.value.delta >= 0 ? "+" : ""}${fmt(c.value.delta)})`
+  );
+  section("Tier moves", diff.changed.filter((c) => c.tier), limit, (c) => `${who(c)}  ${fmt(c.tier.from)} → ${fmt(c.tier.to)}`);
+  section("Flag changes", diff.changed.filter((c) => c.flags), limit, (c) =>
+    [who(c), ...c.flags.added.map((f) => `+${f}`), ...c.flags.removed.map((f) => `−${f}`)].join("  ")
+  );
+  section("Other changes", diff.changed.filter((c) => c.fields.length), limit, (c) =>
+    `${who(c)}  ${c.fields.map((f) => `${f.col} ${fmt(f.from)} → ${fmt(f.to)}`).join(", ")}`
+  );
+
+  const errs = diff.errors.before.length + diff.errors.after.length;
+  if (errs) console.log(`\n⚠️  ${errs} CSV row problem(s) — run tools/validate-data.mjs`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const files = args.filter((a, i) => !a.startsWith("--") && !["--threshold", "--stat-pct"].includes(args[i - 1]));
+  if (files.length !== 2) {
+    console.error("Usage: node tools/diff-data.mjs <before.csv> <after.csv> [--threshold 3] [--stat-pct 10] [--all] [--json]");
+    process.exit(2);
+  }
+
+  const before = resolveFile(files[0]);
+  const after = resolveFile(files[1]);
+  const threshold = flag(args, "--threshold", DIFF_DEFAULTS.threshold);
+  const statPct = flag(args, "--stat-pct", DIFF_DEFAULTS.statPct * 100) / 100;
+
+  const diff = diffDatasets(fs.readFileSync(before, "utf8"), fs.readFileSync(after, "utf8"), { threshold, statPct });
+
+  if (args.includes("--json")) console.log(JSON.stringify(diff, null, 2));
+  else printDiff(diff, { before, after, threshold, limit: args.includes("--all") ? Infinity : 25 });
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("diff-data failed:", e.message || e);
+  process.exit(2);
+}
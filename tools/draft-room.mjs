@@ -0,0 +1,494 @@
+#!/usr/bin/env node
+// tools/draft-room.mjs
+// Draft room: one live auction shared by several devices on the draft-room LAN.
+// Serves the toolkit itself (so the other devices need no internet) and a
+// WebSocket at /room that keeps the live draft, our roster and the target
+// board (with notes) in step (see js/room-sync.js for who may write what).
+//
+//   node tools/draft-room.mjs [--port 8787] [--host 0.0.0.0] [--state file.json] [--reset]
+//
+// Then on every device open http://<this laptop's IP>:8787/auction.html and
+// connect from the Draft Room panel. One device is the recorder (enters
+// nominations + sales); the others join as co-editors (target board only)
+// or read-only.
+//
+// --state: where the room is saved between restarts (default: OS temp dir)
+// --reset: start with an empty room
+//
+// Node built-ins only; nothing to install.
+
+import http from "http";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ROOM_DOCS, normalizeRole, canWrite, applyTargetOps, isValidDocValue } from "../js/room-sync.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE = 4 * 1024 * 1024;
+const HEARTBEAT_MS = 15000;
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+function flag(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] && !args[i + 1].startsWith("--") ? args[i + 1] : fallback;
+}
+
+function stamp() {
+  return new Date().toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+function log(...parts) {
+  console.log(`[${stamp()}]`, ...parts);
+}
+
+/* ------------------------------ Room state ------------------------------- */
+
+function emptyRoom() {
+  const docs = {};
+  for (const doc of Object.keys(ROOM_DOCS)) docs[doc] = { rev: 0, value: null, by: "", ts: 0 };
+  return { docs, editedBy: {} };
+}
+
+function loadRoom(file, reset) {
+  const room = emptyRoom();
+  if (reset || !fs.existsSync(file)) return room;
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const doc of Object.keys(ROOM_DOCS)) {
+      if (saved?.docs?.[doc]) room.docs[doc] = { ...room.docs[doc], ...saved.docs[doc] };
+    }
+    if (saved?.editedBy && typeof saved.editedBy === "object") room.editedBy = saved.editedBy;
+  } catch (e) {
+    console.warn(`Couldn't read ${file}, starting an empty room:`, e.message || e);
+  }
+  return room;
+}
+
+function createSaver(file, room) {
+  let timer = null;
+  const save = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      fs.writeFile(file, JSON.stringify(room), (e) => e && console.warn("Room not saved:", e.message || e));
+    }, 250);
+  };
+  // On shutdown: write anything still waiting
+  save.flush = () => {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    fs.writeFileSync(file, JSON.stringify(room));
+  };
+  return save;
+}
+
+/* ------------------------------- WebSocket ------------------------------- */
+
+// Server frames: FIN + opcode, never masked.
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let head;
+  if (len < 126) {
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode;
+    head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+/**
+ * Minimal RFC 6455 connection: text messages, ping/pong, close.
+ * onMessage(text) / onClose() are set by the caller.
+ */
+function wrapSocket(socket) {
+  const conn = { onMessage: null, onClose: null, alive: true, closed: false };
+  let buf = Buffer.alloc(0);
+  let parts = [];
+
+  const close = (code = 1000) => {
+    if (conn.closed) return;
+    conn.closed = true;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    if (socket.writable) socket.end(encodeFrame(0x8, body));
+    conn.onClose?.();
+  };
+
+  conn.send = (text) => {
+    if (!conn.closed && socket.writable) socket.write(encodeFrame(0x1, Buffer.from(text, "utf8")));
+  };
+  conn.ping = () => socket.writable && socket.write(encodeFrame(0x9));
+  conn.close = close;
+  conn.destroy = () => {
+    socket.destroy();
+    if (!conn.closed) {
+      conn.closed = true;
+      conn.onClose?.();
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    buf = Buffer.concat([buf, chunk]);
+    while (buf.length >= 2) {
+      const fin = (buf[0] & 0x80) !== 0;
+      const opcode = buf[0] & 0x0f;
+      const masked = (buf[1] & 0x80) !== 0;
+      let len = buf[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buf.length < 10) return;
+        len = Number(buf.readBigUInt64BE(2));
+        offset = 10;
+      }
+      // Clients must mask (RFC 6455 §5.1); oversized messages end the connection
+      if (!masked || len > MAX_MESSAGE) return close(masked ? 1009 : 1002);
+      if (buf.length < offset + 4 + len) return;
+
+      const mask = buf.subarray(offset, offset + 4);
+      const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buf = buf.subarray(offset + 4 + len);
+
+      if (opcode === 0x8) return close();
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+        continue;
+      }
+      if (opcode === 0xa) {
+        conn.alive = true;
+        continue;
+      }
+      if (opcode === 0x2) return close(1003);
+
+      parts.push(payload);
+      if (parts.reduce((n, p) => n + p.length, 0) > MAX_MESSAGE) return close(1009);
+      if (!fin) continue;
+      const text = Buffer.concat(parts).toString("utf8");
+      parts = [];
+      conn.alive = true;
+      conn.onMessage?.(text);
+    }
+  });
+
+  socket.on("close", () => {
+    if (!conn.closed) {
+      conn.closed = true;
+      conn.onClose?.();
+    }
+  });
+  socket.on("error", () => socket.destroy());
+
+  return conn;
+}
+
+function acceptUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || String(req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return null;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+  return wrapSocket(socket);
+}
+
+/* --------------------------------- Room ---------------------------------- */
+
+function createRoom(room, save) {
+  const clients = new Map();
+  let nextId = 1;
+
+  const peers = () => [...clients.values()].filter((c) => c.joined).map(({ id, name, role }) => ({ id, name, role }));
+  const recorder = () => [...clients.values()].find((c) => c.joined && c.role === "recorder");
+
+  const send = (c, msg) => c.conn.send(JSON.stringify(msg));
+  const broadcast = (msg) => {
+    const text = JSON.stringify(msg);
+    for (const c of clients.values()) if (c.joined) c.conn.send(text);
+  };
+  const broadcastPeers = () => broadcast({ type: "peers", peers: peers() });
+
+  // Recorder slot: one at a time; the rest are bumped to co-editor.
+  function grant(c, wanted) {
+    const role = normalizeRole(wanted);
+    const holder = recorder();
+    if (role === "recorder" && holder && holder !== c) {
+      send(c, { type: "notice", message: `${holder.name} is already recording — joined as co-editor` });
+      return "editor";
+    }
+    return role;
+  }
+
+  function publish(doc, by) {
+    const d = room.docs[doc];
+    d.rev += 1;
+    d.by = by;
+    d.ts = Date.now();
+    save();
+    broadcast({ type: "state", doc, rev: d.rev, value: d.value, by: d.by, ts: d.ts });
+  }
+
+  function handle(c, msg) {
+    if (msg.type === "hello") {
+      c.name = String(msg.name ?? "").trim().slice(0, 40) || `Device ${c.id}`;
+      c.role = grant(c, msg.role);
+      c.joined = true;
+      send(c, { type: "welcome", id: c.id, role: c.role, peers: peers(), docs: room.docs });
+      broadcastPeers();
+      log(`${c.name} joined as ${c.role}`);
+      return;
+    }
+    if (!c.joined) return send(c, { type: "error", message: "Say hello first" });
+
+    if (msg.type === "role") {
+      c.role = grant(c, msg.role);
+      send(c, { type: "role", role: c.role });
+      broadcastPeers();
+      log(`${c.name} is now ${c.role}`);
+      return;
+    }
+
+    const doc = String(msg.doc ?? "");
+    if (!ROOM_DOCS[doc]) return send(c, { type: "error", message: `Unknown doc: ${doc}` });
+    if (!canWrite(c.role, doc)) {
+      // Put the sender back on the room's copy
+      const d = room.docs[doc];
+      send(c, { type: "state", doc, rev: d.rev, value: d.value, by: d.by, ts: d.ts });
+      return send(c, { type: "error", doc, message: doc === "targets" ? "Read-only: the target board can't be edited" : "Only the recorder enters nominations and sales" });
+    }
+
+    if (msg.type === "set") {
+      if (!isValidDocValue(doc, msg.value)) return send(c, { type: "error", doc, message: `Not a valid ${doc} copy — ignored` });
+      // Recorder docs have one writer; targets only take a full set to seed an empty room
+      if (doc === "targets" && room.docs.targets.rev > 0) {
+        return send(c, { type: "error", doc, message: "The room already has a target board" });
+      }
+      room.docs[doc].value = msg.value;
+      if (doc === "targets") room.editedBy = {};
+      publish(doc, c.name);
+      return;
+    }
+
+    if (msg.type === "ops" && doc === "targets") {
+      if (!Array.isArray(msg.ops)) return send(c, { type: "error", doc, message: "ops must be a list — ignored" });
+      const d = room.docs.targets;
+      const { list, changed, conflicts } = applyTargetOps(d.value || [], msg.ops, { by: c.name, editedBy: room.editedBy });
+      if (conflicts.length) send(c, { type: "conflicts", doc, items: conflicts });
+      if (changed) {
+        d.value = list;
+        publish(doc, c.name);
+      } else if (conflicts.length) {
+        // Nothing applied: still resend the room's board so the sender drops its edit
+        send(c, { type: "state", doc, rev: d.rev, value: d.value, by: d.by, ts: d.ts });
+      }
+      return;
+    }
+
+    send(c, { type: "error", message: `Unknown message: ${msg.type}` });
+  }
+
+  function join(conn) {
+    const c = { id: nextId++, conn, name: "", role: "viewer", joined: false };
+    clients.set(c.id, c);
+
+    conn.onMessage = (text) => {
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        return send(c, { type: "error", message: "Bad JSON" });
+      }
+      if (!msg || typeof msg !== "object") return send(c, { type: "error", message: "Bad message" });
+      // One bad message must not take the room down for everyone
+      try {
+        handle(c, msg);
+      } catch (e) {
+        console.warn(`Message from ${c.name || `device ${c.id}`} failed:`, e.message || e);
+        send(c, { type: "error", message: "The room couldn't apply that message" });
+      }
+    };
+    conn.onClose = () => {
+      clients.delete(c.id);
+      if (c.joined) {
+        log(`${c.name} left`);
+        broadcastPeers();
+      }
+    };
+  }
+
+  // Drop devices that went away without closing (laptop lid, Wi-Fi)
+  const heartbeat = setInterval(() => {
+    for (const c of clients.values()) {
+      if (!c.conn.alive) {
+        c.conn.destroy();
+        continue;
+      }
+      c.conn.alive = false;
+      c.conn.ping();
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return { join, peers, status: () => ({ peers: peers(), docs: Object.fromEntries(Object.entries(room.docs).map(([k, d]) => [k, { rev: d.rev, by: d.by, ts: d.ts }])) }) };
+}
+
+/* ------------------------------ HTTP server ------------------------------ */
+
+function serveStatic(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  let rel;
+  try {
+    rel = decodeURIComponent(url.pathname);
+  } catch {
+    res.writeHead(400).end("Bad request");
+    return;
+  }
+  if (rel.endsWith("/")) rel += "index.html";
+  const file = path.resolve(ROOT, `.${rel}`);
+
+  // Inside the repo only, and no dotfiles / server tooling
+  if (!file.startsWith(ROOT + path.sep) || rel.split("/").some((p) => p.startsWith(".")) || rel.startsWith("/tools/")) {
+    res.writeHead(404).end("Not found");
+    return;
+  }
+
+  fs.stat(file, (err, st) => {
+    if (err || !st.isFile()) {
+      res.writeHead(404).end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": MIME[path.extname(file).toLowerCase()] || "application/octet-stream",
+      "Content-Length": st.size,
+      "Last-Modified": st.mtime.toUTCString(),
+      "Cache-Control": "no-cache",
+    });
+    if (req.method === "HEAD") return res.end();
+    fs.createReadStream(file)
+      .on("error", () => res.destroy())
+      .pipe(res);
+  });
+}
+
+function lanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((a) => a && a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const port = Number(flag(args, "--port", 8787));
+  const host = flag(args, "--host", "0.0.0.0");
+  const stateFile = path.resolve(flag(args, "--state", path.join(os.tmpdir(), "hag-draft-room.json")));
+
+  if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+    console.error("Usage: node tools/draft-room.mjs [--port 8787] [--host 0.0.0.0] [--state file.json] [--reset]");
+    process.exit(2);
+  }
+
+  const state = loadRoom(stateFile, args.includes("--reset"));
+  const save = createSaver(stateFile, state);
+  const room = createRoom(state, save);
+
+  function route(req, res) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405).end("Method not allowed");
+      return;
+    }
+    if (req.url.startsWith("/room/status")) {
+      res.writeHead(200, { "Content-Type": MIME[".json"], "Cache-Control": "no-store" });
+      res.end(JSON.stringify(room.status()));
+      return;
+    }
+    serveStatic(req, res);
+  }
+
+  // One bad request must not take the room down
+  const server = http.createServer((req, res) => {
+    try {
+      route(req, res);
+    } catch (e) {
+      console.warn(`${req.method} ${req.url} failed:`, e.message || e);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    }
+  });
+
+  function upgrade(req, socket) {
+    if (new URL(req.url, "http://localhost").pathname !== "/room") {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    const conn = acceptUpgrade(req, socket);
+    if (conn) room.join(conn);
+  }
+
+  // Same for a bad upgrade request (e.g. GET //)
+  server.on("upgrade", (req, socket) => {
+    try {
+      upgrade(req, socket);
+    } catch (e) {
+      console.warn(`Upgrade ${req.url} failed:`, e.message || e);
+      if (socket.writable) socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      else socket.destroy();
+    }
+  });
+
+  server.on("error", (e) => {
+    console.error("draft-room failed:", e.message || e);
+    process.exit(2);
+  });
+
+  server.listen(port, host, () => {
+    log(`Draft room on port ${port} (room saved to ${stateFile})`);
+    const hosts = host === "0.0.0.0" ? ["localhost", ...lanAddresses()] : [host];
+    for (const h of hosts) console.log(`  http://${h}:${port}/auction.html`);
+  });
+
+  const stop = () => {
+    save.flush();
+    log("Draft room closed");
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+main();
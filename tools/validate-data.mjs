@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// tools/validate-data.mjs
+// Row-level validator for the CSV inputs. Run before deploying:
+//
+//   node tools/validate-data.mjs              # summary, exit 1 on errors
+//   node tools/validate-data.mjs --json       # JSON report on stdout
+//   node tools/validate-data.mjs --out r.json # also write the JSON report
+//   node tools/validate-data.mjs --strict     # warnings fail too
+//
+// Checks
+// - CSV structure (csv.js row errors) and required columns
+// - type is hit / pit
+// - stat ranges (AVG 0–1, ERA ≥ 0, …), blanks allowed
+// - duplicate player keys (getPlayerKey) within a file
+// - players with projections but no auction value, and the reverse
+// - position / role strings that don't split into known tokens
+//
+// Exit codes: 0 clean, 1 errors (or warnings with --strict), 2 couldn't run.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseCsv, rowLine } from "../js/csv.js";
+import { getPlayerKey } from "../js/player-key.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DATA = path.join(ROOT, "data");
+
+// Per file: required columns, name / position columns, and the suffixes of
+// its stat columns ("HR" → [""], "HR(2026)" → ["(2026)"]).
+const FILES = {
+  auction: {
+    file: "auction_values_2026_all_players_with_shadow.csv",
+    required: ["player", "type", "auction_value_26"],
+    name: "player",
+    pos: "display_role",
+    stats: [],
+  },
+  proj: { file: "hit_pit_2026.csv", required: ["Name", "Type", "POS"], name: "Name", pos: "POS", stats: [""] },
+  stats25: { file: "2025_stats.csv", required: ["Name", "Type", "POS"], name: "Name", pos: "POS", stats: [""] },
+  master: {
+    file: "master.csv",
+    required: ["Name", "Type", "Display Role"],
+    name: "Name",
+    pos: "Display Role",
+    stats: ["(2025)", "(2026)"],
+  },
+};
+
+const TEXT_COLUMNS = Object.fromEntries(
+  ["Name", "player", "Type", "type", "Team", "POS", "display_role", "Display Role", "Flags", "flags"].map((c) => [c, "string"])
+);
+
+const TYPES = new Set(["hit", "pit"]);
+
+// Position tokens (lineup eligibility) + role words used by the auction CSV.
+const POSITIONS = new Set(["C", "1B", "2B", "3B", "SS", "LF", "CF", "RF", "OF", "DH", "UT", "CI", "MI", "P", "SP", "RP", "CP"]);
+const ROLES = new Set(["starter", "reliever", "closer"]);
+
+// [min, max] per stat; a full-season projection or actual should sit inside.
+const RANGES = {
+  PA: [0, 800],
+  AVG: [0, 1],
+  OPS: [0, 2.5],
+  TB: [0, 500],
+  HR: [0, 80],
+  RBI: [0, 200],
+  R: [0, 200],
+  SB: [0, 120],
+  ERA: [0, Infinity],
+  WHIP: [0, Infinity],
+  IP: [0, 300],
+  QS: [0, 40],
+  K: [0, 400],
+  SV: [0, 70],
+  HLD: [0, 60],
+};
+
+const VALUE_COLUMNS = ["auction_value_26", "auction_price_25", "auction_price_25_imputed"];
+
+/* ------------------------------ Checks ------------------------------ */
+
+function validate() {
+  const issues = [];
+  const files = {};
+  const keys = {}; // source -> Map(key -> { row, name })
+  const add = (source, row, check, severity, message, key = "") =>
+    issues.push({ file: FILES[source].file, row, check, severity, key, message });
+
+  for (const [source, spec] of Object.entries(FILES)) {
+    const full = path.join(DATA, spec.file);
+    if (!fs.existsSync(full)) {
+      add(source, 0, "file", "error", "File not found");
+      continue;
+    }
+
+    const { headers, rows, errors } = parseCsv(fs.readFileSync(full, "utf8"), { types: TEXT_COLUMNS, required: spec.required });
+    files[source] = { path: path.relative(ROOT, full), rows: rows.length, columns: headers.length };
+    for (const e of errors) {
+      add(source, e.row, /column/i.test(e.message) && e.row === 1 ? "columns" : "parse", "error", e.message);
+    }
+
+    const seen = new Map();
+    keys[source] = seen;
+
+    // Stat columns: "HR" or "HR(2026)" style
+    const statCols = [];
+    for (const stat of Object.keys(RANGES)) {
+      for (const sfx of spec.stats) if (headers.includes(`${stat}${sfx}`)) statCols.push([`${stat}${sfx}`, stat]);
+    }
+
+    rows.forEach((row) => {
+      const line = rowLine(row);
+      const name = String(row[spec.name] ?? "").trim();
+      const type = String(row.type ?? row.Type ?? "").trim().toLowerCase();
+
+      if (!name) {
+        add(source, line, "name", "error", "No player name");
+        return;
+      }
+
+      if (!TYPES.has(type)) add(source, line, "type", "error", `type "${type}" is not hit / pit (${name})`);
+
+      const key = getPlayerKey({ type, Name: name });
+      if (seen.has(key)) {
+        add(source, line, "duplicate", "error", `${name} repeats row ${seen.get(key).row}`, key);
+      } else {
+        seen.set(key, { row: line, name, hasValue: spec.required.includes("auction_value_26") ? row.auction_value_26 !== "" : true });
+      }
+
+      for (const [col, stat] of statCols) {
+        const v = row[col];
+        if (v === "") continue;
+        if (typeof v !== "number") {
+          add(source, line, "stat", "error", `${col} "${v}" is not a number (${name})`, key);
+          continue;
+        }
+        const [lo, hi] = RANGES[stat];
+        if (v < lo || v > hi) {
+          add(source, line, "stat", "error", `${col} ${v} outside ${lo}–${hi === Infinity ? "∞" : hi} (${name})`, key);
+        }
+      }
+
+      for (const col of VALUE_COLUMNS) {
+        const v = row[col];
+        if (v === undefined || v === "") continue;
+        if (typeof v !== "number") add(source, line, "value", "error", `${col} "${v}" is not a number (${name})`, key);
+        else if (v < 0) add(source, line, "value", "warning", `${col} is negative (${name})`, key);
+      }
+
+      const pos = String(row[spec.pos] ?? "").trim();
+      if (pos) {
+        const parts = pos.split(/[,/|]/).map((s) => s.trim());
+        const bad = parts.filter((t) => !POSITIONS.has(t.toUpperCase()) && !ROLES.has(t.toLowerCase()));
+        if (bad.length) {
+          const what = bad.map((t) => (t ? `"${t}"` : "empty token")).join(", ");
+          add(source, line, "position", "error", `${spec.pos} "${pos}": ${what} not a position (${name})`, key);
+        }
+      }
+    });
+  }
+
+  // Cross-file: projections ↔ auction values
+  const auction = keys.auction;
+  const proj = keys.proj;
+  if (auction && proj) {
+    for (const [key, p] of proj) {
+      const a = auction.get(key);
+      if (!a) add("proj", p.row, "no-auction", "warning", `${p.name} has projections but no auction row`, key);
+      else if (!a.hasValue) add("auction", a.row, "no-auction", "warning", `${a.name} has projections but a blank auction_value_26`, key);
+    }
+    for (const [key, a] of auction) {
+      if (!proj.has(key)) add("auction", a.row, "no-projection", "warning", `${a.name} has an auction row but no projections`, key);
+    }
+  }
+
+  const errors = issues.filter((i) => i.severity === "error").length;
+  const byCheck = {};
+  for (const i of issues) byCheck[i.check] = (byCheck[i.check] || 0) + 1;
+
+  return {
+    ok: errors === 0,
+    generatedAt: new Date().toISOString(),
+    files,
+    summary: { errors, warnings: issues.length - errors, byCheck },
+    issues,
+  };
+}
+
+/* ------------------------------ Output ------------------------------ */
+
+function printSummary(report, limit = 8) {
+  for (const [source, f] of Object.entries(report.files)) {
+    console.log(`${source.padEnd(8)} ${f.path} — ${f.rows} rows, ${f.columns} columns`);
+  }
+
+  const groups = new Map();
+  for (const i of report.issues) {
+    const g = `${i.severity} ${i.check}`;
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(i);
+  }
+
+  for (const [g, list] of groups) {
+    console.log(`\n${g.startsWith("error") ? "❌" : "⚠️ "} ${g} (${list.length})`);
+    for (const i of list.slice(0, limit)) console.log(`   ${i.file}:${i.row}  ${i.message}`);
+    if (list.length > limit) console.log(`   … ${list.length - limit} more (--json for all)`);
+  }
+
+  const { errors, warnings } = report.summary;
+  console.log(`\n${errors ? "❌" : "✅"} ${errors} error(s), ${warnings} warning(s)`);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIdx = args.indexOf("--out");
+  const outFile = outIdx >= 0 ? args[outIdx + 1] : "";
+  if (outIdx >= 0 && !outFile) {
+    console.error("--out needs a file name");
+    process.exit(2);
+  }
+
+  const report = validate();
+  const json = JSON.stringify(report, null, 2);
+
+  if (outFile) fs.writeFileSync(path.resolve(process.cwd(), outFile), json + "\n");
+  if (args.includes("--json")) console.log(json);
+  else printSummary(report);
+
+  const fail = report.summary.errors > 0 || (args.includes("--strict") && report.summary.warnings > 0);
+  process.exit(fail ? 1 : 0);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("validate-data failed:", e);
+  process.exit(2);
+}